@@ -5,8 +5,7 @@ const program = require('commander')
 , package = JSON.parse(fs.readFileSync(packagePath))
 , defaultConfigFile = path.resolve(path.dirname(__filename), './config.js')
 , interfaceRegex = /^(none|stdin|(?:http(?:-([0-9]+))?))$/i
-, { Resolve } = require('sh.orchestration-tools')
-, { ConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { FileConfigProvider } = require('../lib/cameleer/FileConfigProvider')
 , { Cameleer } = require('../lib/cameleer/Cameleer')
 , { Control } = require('../lib/control/Control')
 , { HttpControl } = require('../lib/control/HttpControl')
@@ -20,12 +19,15 @@ program
   .option('-i, --instrument [itype]', `Specify an additional instrument to use to control Cameleer. Defaults to 'none'. Allowed values are 'none', 'stdin' and 'http'. The format for http is: http(-[0-9]+)? to specify an optional port.`, interfaceRegex, 'none')
   .option('-n, --norun [norun]', `Specify this so that Cameleer is not run automatically (requires an interface other than 'none' to control the Cameleer instance).`)
   .option('-l, --loglevel [loglevel]', `Use this optional flag to override the LogLevel. Allowed values are: ${Object.keys(LogLevel).join(', ')}`)
+  .option('-t, --taskdir <path>', `An optional directory with additional tasks. Files ending with '.task.js' must export a TaskConfig or a Task, files ending with '.task.json' or '.task.yaml' must contain a declarative TaskConfig.`)
+  .option('-w, --watch', 'Watch the configuration file (and the task directory) for changes and reload the tasks in place.')
   .parse(process.argv);
 
 
 (async() => {
-  /** @type {ConfigProvider} */
-  const configProvider = await Resolve.toValue(require(path.resolve(program.config)), ConfigProvider);
+  const configProvider = await new FileConfigProvider(program.config, {
+    taskDirectory: program.taskdir
+  }).load();
 
   // Let's check extra configured controls:
   if (program.instrument === 'stdin') {
@@ -57,6 +59,14 @@ program
     }
   } else {
     await cameleer.loadTasks();
+  }
+
+  if (program.watch) {
+    configProvider.watch();
+    cameleer.observableShutdown.subscribe(() => configProvider.unwatch());
+  }
+
+  if (!program.norun) {
     await cameleer.runAsync();
   }
 })().catch(err => {
@@ -1,17 +1,27 @@
-const { Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, JobFailError,
-  symbolCameleerSchedule, symbolCameleerInterruptable, symbolCameleerShutdown, symbolCameleerWork
+const { Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, TriggerScheduleEvent, RestoredScheduleEvent, MisfireScheduleEvent, DependencyScheduleEvent, JobFailError,
+  symbolCameleerSchedule, symbolCameleerInterruptable, symbolCameleerCancelled, symbolCameleerCircuitOpened, symbolCameleerCircuitClosed, symbolCameleerShutdown, symbolCameleerWork
 } = require('./lib/cameleer/Cameleer')
-, { ConfigProvider, createDefaultCameleerConfig, DefaultCameleerConfig, StandardConfigProvider } = require('./lib/cameleer/ConfigProvider')
+, { ConfigProvider, createDefaultCameleerConfig, DefaultCameleerConfig, StandardConfigProvider, symbolConfigChanged } = require('./lib/cameleer/ConfigProvider')
+, { DirectoryConfigProvider } = require('./lib/cameleer/DirectoryConfigProvider')
+, { registerScheduleFactory, unregisterScheduleFactory, createScheduleFromDeclaration, createTaskConfigFromDeclaration, parseDeclaration } = require('./lib/cameleer/DeclarativeConfig')
+, { FileConfigProvider } = require('./lib/cameleer/FileConfigProvider')
+, { BacklogStore, JsonFileBacklogStore } = require('./lib/cameleer/BacklogStore')
+, { JobRunStates, JobRunStatesKeys, JobHistoryStore, InMemoryJobHistoryStore, JsonLinesJobHistoryStore, SqliteJobHistoryStore } = require('./lib/cameleer/JobHistoryStore')
 , { ResolvedConfig } = require('./lib/cameleer/ResolvedConfig')
+, { ResourceLimiter } = require('./lib/cameleer/ResourceLimiter')
 , { ErrorResult, Result } = require('./lib/cameleer/Result')
-, { AttemptError, ErrorTypes, ErrorTypesKeys, RunAttempt } = require('./lib/cameleer/RunAttempt')
+, { AttemptError, ErrorTypes, ErrorTypesKeys, RunAttempt, TimeoutError, CancellationError } = require('./lib/cameleer/RunAttempt')
+, { SchedulerRegistry } = require('./lib/cameleer/SchedulerRegistry')
 , { Task } = require('./lib/cameleer/Task')
-, { Control } = require('./lib/control/Control')
-, { HttpControl, ControlHttpControlConfigSchema } = require('./lib/control/HttpControl')
+, { symbolCronEvent, CronExpression, CronSchedule, CronEventSimple, CronScheduler } = require('./lib/cameleer/CronSchedule')
+, { TaskType, LogTaskType, DelayTaskType, ProcessTaskType } = require('./lib/cameleer/TaskType')
+, { Control, ControlCommand, ControlError, ControlErrorTypes, ControlErrorTypesKeys } = require('./lib/control/Control')
+, { HttpControl, HttpControlError, ControlHttpControlConfigSchema } = require('./lib/control/HttpControl')
 , { StdinControl } = require('./lib/control/StdinControl')
 , { Manager } = require('./lib/manager/Manager')
 , { ConfigurableClass } = require('./tools/ConfigurableClass')
 , { RetryInterval } = require('./tools/RetryInterval')
+, { symbolBackoffRetryEvent, BackoffRetrySchedule, BackoffRetryEventSimple, BackoffRetryScheduler } = require('./tools/BackoffRetrySchedule')
 , { SubClassRegister } = require('./tools/SubClassRegister')
 , { createObservableValue } = require('./tools/CreateObservableValue')
 , {
@@ -19,13 +29,19 @@ const { Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, JobFailError,
   FunctionalTaskConfigSchema,
   SimpleTaskConfigSchema,
   TaskConfigSchema,
+  DeclarativeFunctionalTaskConfigSchema,
+  DeclarativeTaskConfigSchema,
   CameleerDefaultsSchema,
   CameleerQueueConfigSchema,
   CameleerLoggingConfigSchema,
   CameleerConfigSchema,
   ConfigurableClassConfigSchema,
+  ControlCommandSchema,
   ControlConfigSchema,
-  ManagerConfigSchema
+  ManagerConfigSchema,
+  JobHistoryStoreConfigSchema,
+  JobHistoryQuerySchema,
+  BacklogStoreConfigSchema
 } = require('./meta/schemas')
 , {
   Progress, ProgressNumeric,
@@ -39,19 +55,29 @@ const { Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, JobFailError,
 
 
 module.exports = Object.freeze({
-  Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, JobFailError,
-  symbolCameleerSchedule, symbolCameleerInterruptable, symbolCameleerShutdown, symbolCameleerWork,
-  ConfigProvider, createDefaultCameleerConfig, DefaultCameleerConfig, StandardConfigProvider,
+  Cameleer, CameleerJob, CameleerQueue, CameleerWorkEvent, TriggerScheduleEvent, RestoredScheduleEvent, MisfireScheduleEvent, DependencyScheduleEvent, JobFailError,
+  symbolCameleerSchedule, symbolCameleerInterruptable, symbolCameleerCancelled, symbolCameleerCircuitOpened, symbolCameleerCircuitClosed, symbolCameleerShutdown, symbolCameleerWork,
+  ConfigProvider, createDefaultCameleerConfig, DefaultCameleerConfig, StandardConfigProvider, symbolConfigChanged,
+  DirectoryConfigProvider,
+  registerScheduleFactory, unregisterScheduleFactory, createScheduleFromDeclaration, createTaskConfigFromDeclaration, parseDeclaration,
+  FileConfigProvider,
+  BacklogStore, JsonFileBacklogStore,
+  JobRunStates, JobRunStatesKeys, JobHistoryStore, InMemoryJobHistoryStore, JsonLinesJobHistoryStore, SqliteJobHistoryStore,
   ResolvedConfig,
+  ResourceLimiter,
   ErrorResult, Result,
-  AttemptError, ErrorTypes, ErrorTypesKeys, RunAttempt,
+  AttemptError, ErrorTypes, ErrorTypesKeys, RunAttempt, TimeoutError, CancellationError,
+  SchedulerRegistry,
   Task,
-  Control,
-  HttpControl, ControlHttpControlConfigSchema,
+  symbolCronEvent, CronExpression, CronSchedule, CronEventSimple, CronScheduler,
+  TaskType, LogTaskType, DelayTaskType, ProcessTaskType,
+  Control, ControlCommand, ControlError, ControlErrorTypes, ControlErrorTypesKeys,
+  HttpControl, HttpControlError, ControlHttpControlConfigSchema,
   StdinControl,
   Manager,
   ConfigurableClass,
   RetryInterval,
+  symbolBackoffRetryEvent, BackoffRetrySchedule, BackoffRetryEventSimple, BackoffRetryScheduler,
   SubClassRegister,
   createObservableValue,
   
@@ -59,13 +85,19 @@ module.exports = Object.freeze({
   FunctionalTaskConfigSchema,
   SimpleTaskConfigSchema,
   TaskConfigSchema,
+  DeclarativeFunctionalTaskConfigSchema,
+  DeclarativeTaskConfigSchema,
   CameleerDefaultsSchema,
   CameleerQueueConfigSchema,
   CameleerLoggingConfigSchema,
   CameleerConfigSchema,
   ConfigurableClassConfigSchema,
+  ControlCommandSchema,
   ControlConfigSchema,
   ManagerConfigSchema,
+  JobHistoryStoreConfigSchema,
+  JobHistoryQuerySchema,
+  BacklogStoreConfigSchema,
   
   Progress, ProgressNumeric,
   ProcessExit, ProcessResult, ProcessErrorResult, ProcessOutput,
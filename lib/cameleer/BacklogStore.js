@@ -0,0 +1,246 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, fs = require('fs')
+, path = require('path')
+, { inspect } = require('util')
+, { ConfigurableClass } = require('../../tools/ConfigurableClass')
+, { SubClassRegister } = require('../../tools/SubClassRegister');
+
+
+
+/**
+ * The base-class for stores that persist the backlog of Cameleer's queues, so
+ * that enqueued (and running) jobs survive a restart. Using such a store is
+ * opt-in (CameleerConfig::backlog, a ConfigurableClassConfig). Each job is
+ * represented by a serializable BacklogJobDescriptor, which is saved when the
+ * job is enqueued, updated when it runs and removed once it is finished.
+ * 
+ * All writes are serialized, and reading the descriptors awaits all pending
+ * writes. Sub-classes need to override _saveDescriptor(), _removeDescriptor()
+ * and _getDescriptors().
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class BacklogStore extends ConfigurableClass {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {BacklogStoreConfig} [config] Optional. Defaults to undefined.
+   */
+  constructor(cameleerInstance, config = void 0) {
+    super(cameleerInstance, config);
+
+    /** @type {Promise.<void>} */
+    this._pending = Promise.resolve();
+  };
+
+  /**
+   * @param {any} value
+   * @returns {any|null} A copy of the value that can be serialized as JSON, or
+   * null if the value cannot be serialized.
+   */
+  static toSerializable(value) {
+    try {
+      return value === void 0 ? null : JSON.parse(JSON.stringify(value));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * @param {() => Promise.<void>} action
+   * @returns {Promise.<void>}
+   */
+  _enqueueWrite(action) {
+    this._pending = this._pending.then(action).catch(err => {
+      this.logger.logError(`Writing the backlog failed: ${err instanceof Error ? err.message : inspect(err)}`, err);
+    });
+    return this._pending;
+  };
+
+  /**
+   * Inserts the descriptor or replaces the descriptor with the same ID.
+   * 
+   * @param {BacklogJobDescriptor} descriptor
+   * @returns {Promise.<void>}
+   */
+  saveDescriptor(descriptor) {
+    const copy = BacklogStore.toSerializable(descriptor);
+    return this._enqueueWrite(() => this._saveDescriptor(copy));
+  };
+
+  /**
+   * @param {string} id
+   * @returns {Promise.<void>}
+   */
+  removeDescriptor(id) {
+    return this._enqueueWrite(() => this._removeDescriptor(id));
+  };
+
+  /**
+   * @returns {Promise.<Array.<BacklogJobDescriptor>>} All descriptors, ordered by
+   * the time their jobs were scheduled (oldest first).
+   */
+  async getDescriptors() {
+    await this._pending;
+    return (await this._getDescriptors()).sort((d1, d2) =>
+      +new Date(d1.scheduledAt) - +new Date(d2.scheduledAt));
+  };
+
+  /**
+   * @param {BacklogJobDescriptor} descriptor
+   * @returns {Promise.<void>}
+   */
+  async _saveDescriptor(descriptor) {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * @param {string} id
+   * @returns {Promise.<void>}
+   */
+  async _removeDescriptor(id) {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * @returns {Promise.<Array.<BacklogJobDescriptor>>}
+   */
+  async _getDescriptors() {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * Awaits all pending writes.
+   */
+  async teardown() {
+    await this._pending;
+    await super.teardown();
+  };
+};
+
+
+
+/**
+ * Keeps all descriptors in a single JSON-file that is rewritten on every change.
+ * The file is replaced atomically (written to a temporary file first), so that a
+ * crash does not leave a corrupted backlog behind.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class JsonFileBacklogStore extends BacklogStore {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {JsonFileBacklogStoreConfig} config Requires the property 'file'.
+   */
+  constructor(cameleerInstance, config) {
+    super(cameleerInstance, config);
+
+    this.file = path.resolve(config.file);
+
+    /** @type {Map.<string, BacklogJobDescriptor>} */
+    this._descriptors = null;
+  };
+
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return super.schemaConf.keys({
+      file: Joi.string().min(1).required()
+    });
+  };
+
+  /**
+   * Reads the file once; subsequently, the descriptors are kept in memory.
+   * 
+   * @returns {Promise.<Map.<string, BacklogJobDescriptor>>}
+   */
+  _readDescriptors() {
+    return new Promise((resolve, reject) => {
+      if (this._descriptors !== null) {
+        resolve(this._descriptors);
+        return;
+      }
+
+      fs.readFile(this.file, 'utf8', (err, data) => {
+        if (err && err.code !== 'ENOENT') {
+          reject(err);
+          return;
+        }
+
+        /** @type {Array.<BacklogJobDescriptor>} */
+        let arr = [];
+        if (!err) {
+          try {
+            arr = JSON.parse(data);
+          } catch (e) {
+            this.logger.logError(`The backlog-file '${this.file}' is not valid JSON and will be overwritten.`, e);
+          }
+        }
+
+        this._descriptors = new Map((Array.isArray(arr) ? arr : []).map(d => [d.id, d]));
+        resolve(this._descriptors);
+      });
+    });
+  };
+
+  /**
+   * @returns {Promise.<void>}
+   */
+  _writeDescriptors() {
+    const tempFile = `${this.file}.tmp`
+    , data = JSON.stringify(Array.from(this._descriptors.values()));
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tempFile, data, 'utf8', err => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        fs.rename(tempFile, this.file, err => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * @param {BacklogJobDescriptor} descriptor
+   */
+  async _saveDescriptor(descriptor) {
+    (await this._readDescriptors()).set(descriptor.id, descriptor);
+    await this._writeDescriptors();
+  };
+
+  /**
+   * @param {string} id
+   */
+  async _removeDescriptor(id) {
+    if ((await this._readDescriptors()).delete(id)) {
+      await this._writeDescriptors();
+    }
+  };
+
+  /**
+   * @returns {Promise.<Array.<BacklogJobDescriptor>>}
+   */
+  async _getDescriptors() {
+    return Array.from((await this._readDescriptors()).values())
+      .map(d => BacklogStore.toSerializable(d));
+  };
+};
+
+
+SubClassRegister.registerSubclass(BacklogStore);
+SubClassRegister.registerSubclass(JsonFileBacklogStore);
+
+module.exports = Object.freeze({
+  BacklogStore,
+  JsonFileBacklogStore
+});
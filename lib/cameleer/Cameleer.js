@@ -5,25 +5,30 @@ const Joi = require('joi')
 , fs = require('fs')
 , path = require('path')
 , { inspect } = require('util')
+, { randomUUID } = require('crypto')
 , { ConfigProvider } = require('./ConfigProvider')
 , { Task } = require('./Task')
 , { Result } = require('./Result')
 , { ResolvedConfig } = require('./ResolvedConfig')
-, { RunAttempt, AttemptError } = require('./RunAttempt')
-, { CameleerQueueConfigSchema, CameleerLoggingConfigSchema } = require('../../meta/schemas')
-, { Job, JobEvent, JobQueue, JobQueueEvent, JobQueueCapabilities,
-    Scheduler, ScheduleEvent,
-    Interval, IntervalScheduler,
-    Calendar, CalendarScheduler, CalendarEventSimple,
-    ManualSchedule, ManualScheduler,
+, { RunAttempt, AttemptError, TimeoutError, CancellationError } = require('./RunAttempt')
+, { SchedulerRegistry } = require('./SchedulerRegistry')
+, { JobHistoryStore, InMemoryJobHistoryStore } = require('./JobHistoryStore')
+, { BacklogStore } = require('./BacklogStore')
+, { ResourceLimiter } = require('./ResourceLimiter')
+, { CameleerQueueConfigSchema, CameleerQueueChangesSchema, CameleerLoggingConfigSchema, ResourceLimitConfigSchema } = require('../../meta/schemas')
+, { Job, JobEvent, JobQueue, JobQueueEvent, JobQueueCapabilities, Queue,
+    Scheduler, ScheduleEvent, Calendar, CalendarEventSimple,
     symbolIdle, symbolRun, symbolDone, symbolFailed, defer, Resolve
   } = require('sh.orchestration-tools')
 , symbolCameleerShutdown = Symbol('cameleerShutdown')
 , symbolCameleerWork = Symbol('cameleerWork')
 , symbolCameleerSchedule = Symbol('cameleerSchedule')
 , symbolCameleerInterruptable = Symbol('cameleerInterruptable')
+, symbolCameleerCancelled = Symbol('cameleerCancelled')
+, symbolCameleerCircuitOpened = Symbol('cameleerCircuitOpened')
+, symbolCameleerCircuitClosed = Symbol('cameleerCircuitClosed')
 , { EventEmitter } = require('events')
-, { Observable, Subscription, fromEvent, merge, race } = require('rxjs')
+, { Observable, Subscription, fromEvent, merge } = require('rxjs')
 , { filter } = require('rxjs/operators')
 , { LogLevel, BaseLogger, BaseScope, ColoredConsoleLogger,
     DevNullLogger, WrappedLogger, InMemoryLogger,
@@ -31,7 +36,21 @@ const Joi = require('joi')
   } = require('sh.log-client')
 , { Control } = require('../control/Control')
 , { Manager } = require('../manager/Manager')
-, { createObservableValue } = require('../../tools/CreateObservableValue');
+, { createObservableValue } = require('../../tools/CreateObservableValue')
+, { createFingerprint } = require('../../tools/CreateFingerprint');
+
+
+/**
+ * The key in the static task context file under which the date of each Task's
+ * last scheduled run is kept (see TaskConfig::misfirePolicy).
+ */
+const staticContextLastFiredKey = '$cameleerLastFired';
+
+/**
+ * The key in a Task's static context under which the state of its circuit breaker
+ * is kept (see TaskConfig::circuitBreaker).
+ */
+const staticContextCircuitBreakerKey = '$cameleerCircuitBreaker';
 
 
 /** @type {Map.<CameleerLoggingMethod, Function>} */
@@ -47,7 +66,9 @@ const supportedLoggingMethods = new Map(Array.of(
  */
 class CameleerWorkEvent {
   /**
-   * @param {Symbol} type one of symbolSchedule, symbolRun, symbolDone, symbolFailed
+   * @param {Symbol} type one of symbolSchedule, symbolRun, symbolDone, symbolFailed,
+   * symbolCameleerInterruptable, symbolCameleerCancelled, symbolCameleerCircuitOpened,
+   * symbolCameleerCircuitClosed
    * @param {Task} task the Task as defined in the configuration or as created from
    * a TaskConfig by Cameleer.
    * @param {CameleerJob} [job] Optional. Defaults to null. This will only be null if
@@ -62,6 +83,331 @@ class CameleerWorkEvent {
 
 
 
+/**
+ * A synthetic ScheduleEvent that is used when a Task is triggered manually (i.e.
+ * not by its schedule). It carries the arguments, the context and the priority
+ * that were given to the trigger; CameleerJobs created for it will adopt them.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class TriggerScheduleEvent extends ScheduleEvent {
+  /**
+   * @param {Schedule} schedule The schedule of the Task that was triggered.
+   * @param {Array.<any>} [args] Optional. Defaults to []. Arguments for the Job.
+   * @param {Object.<string, any>} [context] Optional. Defaults to {}. The initial
+   * context of the Job.
+   * @param {number|null} [priority] Optional. Defaults to null. If given, it
+   * overrides the priority of the Task (see TaskConfig::priority).
+   */
+  constructor(schedule, args = [], context = {}, priority = null) {
+    super(schedule, new Date());
+    this.args = args;
+    this.context = context;
+    this.priority = priority;
+  };
+};
+
+
+
+/**
+ * A synthetic ScheduleEvent that is used when a job of the durable backlog is
+ * re-enqueued after a restart. It carries the arguments and the context that
+ * were persisted; the scheduleItem is the date the job was originally scheduled.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class RestoredScheduleEvent extends TriggerScheduleEvent {
+  /**
+   * @param {Schedule} schedule The schedule of the job's Task.
+   * @param {BacklogJobDescriptor} descriptor The persisted job.
+   */
+  constructor(schedule, descriptor) {
+    super(schedule,
+      Array.isArray(descriptor.args) ? descriptor.args : [],
+      descriptor.context !== null && typeof descriptor.context === 'object' ? descriptor.context : {},
+      typeof descriptor.priority === 'number' ? descriptor.priority : null);
+    this.scheduleItem = new Date(descriptor.scheduledAt);
+    this.descriptor = descriptor;
+  };
+};
+
+
+
+/**
+ * A synthetic ScheduleEvent that is used when a scheduled run of a Task was
+ * missed while Cameleer was not running, and is caught up according to the
+ * Task's misfire-policy. The scheduleItem is the date the run was missed.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class MisfireScheduleEvent extends ScheduleEvent {
+  /**
+   * @param {Schedule} schedule The schedule of the Task.
+   * @param {Date} missedAt The date the Task should have run.
+   * @param {boolean} [isContinuation] Optional. Defaults to false. True, if a job
+   * for an earlier missed run was enqueued by the same catch-up already. Such
+   * events are enqueued regardless of TaskConfig::allowMultiple, as the earlier
+   * job would otherwise prevent them (see misfirePolicy 'runAll').
+   */
+  constructor(schedule, missedAt, isContinuation = false) {
+    super(schedule, missedAt);
+    this.isContinuation = isContinuation;
+  };
+
+  /**
+   * @returns {Date}
+   */
+  get missedAt() {
+    return this.scheduleItem;
+  };
+};
+
+
+
+/**
+ * A synthetic ScheduleEvent that is used when a Task is enqueued because the
+ * Tasks it depends on have finished (see TaskConfig::dependsOn). It carries the
+ * ID of the workflow run and the jobs of the Task's dependencies.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class DependencyScheduleEvent extends ScheduleEvent {
+  /**
+   * @param {Schedule} schedule The schedule of the dependent Task.
+   * @param {string} workflowId The ID of the workflow run.
+   * @param {Array.<CameleerJob>} upstreamJobs The finished jobs of the Task's
+   * dependencies, in the order the dependencies are declared.
+   */
+  constructor(schedule, workflowId, upstreamJobs) {
+    super(schedule, new Date());
+    this.workflowId = workflowId;
+    this.upstreamJobs = upstreamJobs;
+  };
+
+  /**
+   * @returns {Object.<string, any>} A merged copy of the upstream jobs' contexts
+   * (the contexts of later dependencies take precedence).
+   */
+  get context() {
+    return Object.assign({}, ...this.upstreamJobs.map(job => job.context));
+  };
+};
+
+
+
+/**
+ * The backlog of a CameleerQueue. Its jobs are dequeued in the order of their
+ * priority (see TaskConfig::priority), and then in the order they were enqueued.
+ * With aging, the priority of a job rises by one for every agingSecs it waited.
+ * The order is determined whenever the backlog is read, so that it reflects the
+ * current effective priorities. Jobs that may not run yet (e.g. because the tokens
+ * of their resources are not available, see TaskConfig::resources) come last and
+ * are not dequeued.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CameleerQueueBacklog extends Queue {
+  /**
+   * @param {number|null} [agingSecs] Optional. Defaults to null (no aging).
+   */
+  constructor(agingSecs = null) {
+    super();
+    this.agingSecs = agingSecs;
+    /** @type {WeakMap.<CameleerJob, { enqueuedAt: number, seq: number }>} */
+    this._enqueued = new WeakMap();
+    this._seq = 0;
+    /** Whether an item is taken out at an index that refers to the current order. */
+    this._isTakingOut = false;
+
+    /**
+     * Decides whether an enqueued job may run now. By default, all jobs may.
+     * 
+     * @type {(job: CameleerJob) => boolean}
+     */
+    this.isRunnable = job => true;
+    /**
+     * Called with each job that is dequeued to be run, right before it runs.
+     * 
+     * @type {(job: CameleerJob) => void}
+     */
+    this.beforeRun = job => {};
+  };
+
+  /**
+   * @returns {boolean} True, if at least one of the enqueued jobs may run now.
+   */
+  get hasRunnableJobs() {
+    return this._items.some(job => this.isRunnable(job));
+  };
+
+  /**
+   * @param {CameleerJob} job
+   * @param {number} [now] Optional. Defaults to Date.now().
+   * @returns {number} The priority of the job, including its aging.
+   */
+  getEffectivePriority(job, now = Date.now()) {
+    const priority = typeof job.priority === 'number' ? job.priority : 0;
+    if (this.agingSecs === null || !this._enqueued.has(job)) {
+      return priority;
+    }
+    return priority + (now - this._enqueued.get(job).enqueuedAt) / (this.agingSecs * 1e3);
+  };
+
+  /**
+   * Sorts the items that may run before those that may not, then by their effective
+   * priority (descending), then by the order they were enqueued.
+   */
+  _sortItems() {
+    const now = Date.now()
+    , keys = new Map(this._items.map(job => [job, this.getEffectivePriority(job, now)]))
+    , runnable = new Set(this._items.filter(job => this.isRunnable(job)));
+
+    this._items.sort((j1, j2) => (+runnable.has(j2) - +runnable.has(j1)) ||
+      (keys.get(j2) - keys.get(j1)) || (this._enqueued.get(j1).seq - this._enqueued.get(j2).seq));
+  };
+
+  /**
+   * @param {CameleerJob} item
+   * @returns {this}
+   */
+  enqueue(item) {
+    this._enqueued.set(item, { enqueuedAt: Date.now(), seq: this._seq++ });
+    return super.enqueue(item);
+  };
+
+  /**
+   * Dequeues the next job to run. Note that the queue must check for runnable jobs
+   * first (see hasRunnableJobs).
+   * 
+   * @returns {CameleerJob} The runnable job with the highest effective priority.
+   */
+  dequeue() {
+    if (this._isTakingOut) {
+      return super.dequeue();
+    }
+
+    if (!this.isEmpty) {
+      this._sortItems();
+    }
+    const job = super.dequeue();
+    this.beforeRun(job);
+    return job;
+  };
+
+  /**
+   * @param {number} index
+   * @returns {CameleerJob}
+   */
+  peekIndex(index) {
+    this._sortItems();
+    return super.peekIndex(index);
+  };
+
+  /**
+   * @returns {CameleerJob}
+   */
+  peek() {
+    this._sortItems();
+    return super.peek();
+  };
+
+  /**
+   * Takes out the item at the given index, without re-ordering the items before
+   * (the index was determined using the current order).
+   * 
+   * @param {number} index
+   * @returns {CameleerJob}
+   */
+  takeOutIndex(index) {
+    this._isTakingOut = true;
+    try {
+      return super.takeOutIndex(index);
+    } finally {
+      this._isTakingOut = false;
+    }
+  };
+
+  /**
+   * @returns {IterableIterator.<CameleerJob>} The jobs in the order they will run.
+   */
+  *entries() {
+    this._sortItems();
+    yield* super.entries();
+  };
+};
+
+
+
+/**
+ * A JobQueue whose parallelism can be changed while it is working. If it is
+ * decreased below the amount of running jobs, these are not affected, but no
+ * new jobs are run until enough of them finished.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class ResizableJobQueue extends JobQueue {
+  /**
+   * @param {number} [numParallel] Optional. Defaults to 1.
+   */
+  constructor(numParallel = 1) {
+    super(numParallel);
+    // The running jobs must never be truncated, see setParallelism().
+    this.currentJobs.maxSize = Number.MAX_SAFE_INTEGER;
+  };
+
+  /**
+   * @returns {boolean} True iff at least as many jobs are running as the queue's
+   * degree of parallelism allows.
+   */
+  get isBusy() {
+    return this.numJobsRunning >= this.numParallel;
+  };
+
+  /**
+   * @param {number} numParallel A positive integer.
+   * @throws {Error} If the given parallelism is not a positive integer.
+   * @returns {this}
+   */
+  setParallelism(numParallel) {
+    if (!Number.isInteger(numParallel) || numParallel < 1) {
+      throw new Error(`The value "${numParallel}" for the parameter numParallel is invalid. Only positive integers may be supplied.`);
+    }
+
+    this.numParallel = numParallel;
+    setTimeout(this._runNext.bind(this), 0);
+    return this;
+  };
+
+  /**
+   * Only runs the next job if it may run now (see CameleerQueueBacklog).
+   */
+  _runNext() {
+    if (!this.isPaused && !this.queue.hasRunnableJobs) {
+      return;
+    }
+    super._runNext();
+  };
+};
+
+
+
+/**
+ * A JobQueueCapabilities that only runs the jobs of its backlog that may run now
+ * (see CameleerQueueBacklog).
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class GatedJobQueueCapabilities extends JobQueueCapabilities {
+  _runNext() {
+    if (!this.isPaused && !this.queue.hasRunnableJobs) {
+      return;
+    }
+    super._runNext();
+  };
+};
+
+
+
 /**
  * @author Sebastian Hönel <development@hoenel.net>
  */
@@ -79,8 +425,11 @@ class CameleerQueue {
     this.isDefault = !!queueConfig.isDefault;
     /** @typedef {JobQueue} */
     this.queue = this.isParallel ?
-      new JobQueue(queueConfig.parallelism) :
-      new JobQueueCapabilities(queueConfig.capabilities, queueConfig.allowExclusiveJobs);
+      new ResizableJobQueue(queueConfig.parallelism) :
+      new GatedJobQueueCapabilities(queueConfig.capabilities, queueConfig.allowExclusiveJobs);
+    // Replace the queue's FIFO backlog, so that jobs are run by their priority:
+    this.queue.queue = new CameleerQueueBacklog(
+      typeof queueConfig.agingSecs === 'number' ? queueConfig.agingSecs : null);
 
     // Set the limit to 16384 for each event; For every job added, Cameleer will
     // subscribe once to run, done, failed (note the limit is PER event). Cameleer
@@ -105,6 +454,82 @@ class CameleerQueue {
       this.logger.logError(`Job #${next.job.id} (${next.job.task.name}) errored.`);
       this.logger.logDebug(next.error.message, next.error);
     });
+
+    /**
+     * Whether this queue was paused individually (see Cameleer::pauseQueue()).
+     * 
+     * @type {boolean}
+     */
+    this.isPausedIndividually = false;
+    /**
+     * Whether this queue is being drained to be removed (see Cameleer::removeQueue()).
+     * 
+     * @type {boolean}
+     */
+    this.isRemoving = false;
+  };
+
+  /**
+   * @returns {boolean}
+   */
+  get isEnabled() {
+    return !!this.config.enabled;
+  };
+
+  /**
+   * @returns {boolean} True, if this queue may be selected for new jobs, i.e. it
+   * is enabled and not being removed.
+   */
+  get acceptsJobs() {
+    return this.isEnabled && !this.isRemoving;
+  };
+
+  /**
+   * Resumes the underlying JobQueue if Cameleer is running and this queue is
+   * enabled and was not paused individually; pauses it, otherwise.
+   * 
+   * @param {boolean} isCameleerRunning
+   * @returns {this}
+   */
+  applyRunState(isCameleerRunning) {
+    if (isCameleerRunning && this.isEnabled && !this.isPausedIndividually) {
+      this.queue.resume();
+    } else {
+      this.queue.pause();
+    }
+    return this;
+  };
+
+  /**
+   * Applies the given changes to this queue and its configuration. The changes
+   * must have been validated. Call applyRunState() afterwards, as the queue may
+   * have been enabled or disabled.
+   * 
+   * @param {CameleerQueueChanges} changes
+   * @returns {this}
+   */
+  update(changes) {
+    this.config = Object.assign({}, this.config, changes);
+    this.isDefault = !!this.config.isDefault;
+
+    if (this.isParallel) {
+      if (changes.parallelism !== void 0) {
+        this.queue.setParallelism(changes.parallelism);
+      }
+    } else {
+      if (changes.capabilities !== void 0) {
+        this.queue.capabilities = changes.capabilities;
+      }
+      if (changes.allowExclusiveJobs !== void 0) {
+        this.queue.allowExclusiveJobs = changes.allowExclusiveJobs;
+      }
+    }
+    if (changes.agingSecs !== void 0) {
+      this.queue.queue.agingSecs = changes.agingSecs;
+    }
+
+    this.logger.logInfo(`Queue was updated: ${Object.keys(changes).map(k => `${k}=${changes[k]}`).join(', ')}.`);
+    return this;
   };
 };
 
@@ -156,9 +581,30 @@ class Cameleer extends EventEmitter {
 
     /** @type {Map.<CameleerJob, { deferred: Deferred.<boolean>, timeout: NodeJS.Timer}>} */
     this._interruptableJobs = new Map();
+    /**
+     * The workflow runs that have not finished yet, by their ID. Each run knows the
+     * names of the Tasks that take part in it, the jobs of the Tasks that finished
+     * (or null, if a Task was skipped) and the Tasks whose jobs are pending.
+     * 
+     * @type {Map.<string, { tasks: Set.<string>, finished: Map.<string, CameleerJob|null>, pending: Set.<string> }>}
+     */
+    this._workflowRuns = new Map();
+    /**
+     * The jobs that probe a half-open circuit breaker, by their Task (see
+     * TaskConfig::circuitBreaker). Only one job per Task may probe at a time.
+     * 
+     * @type {Map.<Task, CameleerJob>}
+     */
+    this._circuitProbes = new Map();
 
     this._initializeSchedulers();
 
+    this._initializeResources();
+
+    this._initializeJobHistory();
+
+    this._initializeBacklog();
+
     /** @type {Array.<Control>} */
     this._controllers = [];
     this._initializeControllers();
@@ -169,6 +615,27 @@ class Cameleer extends EventEmitter {
 
     /** @type {Object.<string, Task>} */
     this._tasks = {};
+    /**
+     * The TaskConfigs (or Tasks) that the loaded Tasks were created from, together
+     * with the configurations' fingerprints and functions (both are taken before
+     * the configuration is used, as that may amend it). Tasks that were given as
+     * instances do not have a fingerprint.
+     * 
+     * @type {Map.<Task, { source: TaskConfig|Task, fingerprint: string|null, functions: Array.<Function> }>}
+     */
+    this._taskSources = new Map();
+    /** @type {Map.<Task, Subscription>} */
+    this._taskSubscriptions = new Map();
+    /**
+     * The subscriptions to a queue's events that each enqueued or running job has
+     * (see _enqueueTask()). They are removed once the job is done or has failed, or
+     * once it is removed from the queue's backlog.
+     * 
+     * @type {Map.<CameleerJob, Array.<Subscription>>}
+     */
+    this._jobSubscriptions = new Map();
+    /** @type {WeakSet.<Object.<string, any>>} */
+    this._observedStaticContexts = new WeakSet();
     /** @type {Observable.<void>} */
     this.observableIdle = Object.freeze(fromEvent(this, symbolIdle));
     /** @type {Observable.<void>} */
@@ -195,6 +662,20 @@ class Cameleer extends EventEmitter {
     /** @type {StaticTaskContext} */
     this._staticTaskContext = null;
 
+    /**
+     * Whether tasks were loaded (and not cleared since). Only then changes of the
+     * configuration lead to reloading the tasks.
+     * 
+     * @type {boolean}
+     */
+    this._hasLoadedTasks = false;
+    if (!this._configProvider.hasLogger) {
+      this._configProvider.logger = this.getLogger(this._configProvider.constructor);
+    }
+    /** @type {Subscription} */
+    this._configChangedSubscription = this._configProvider.observableConfigChanged
+      .subscribe(async() => await this._handleConfigChanged());
+
     this.logBanner();
   };
 
@@ -230,6 +711,27 @@ class Cameleer extends EventEmitter {
       `Unhandled Promise-Rejection; reason: ${inspect(reason)}`, inspect(promise), promise);
   };
 
+  /**
+   * Called when the ConfigProvider signals that the configuration has changed.
+   * Reloads the tasks, if any were loaded. If the new configuration cannot be
+   * loaded, the previously loaded tasks stay active.
+   * 
+   * @returns {Promise.<void>}
+   */
+  async _handleConfigChanged() {
+    if (!this._hasLoadedTasks) {
+      this.logger.logDebug('The configuration has changed, but no tasks were loaded yet.');
+      return;
+    }
+
+    this.logger.logInfo('The configuration has changed, reloading tasks..');
+    try {
+      await this.reloadTasks();
+    } catch (e) {
+      this.logger.logError(`Reloading the tasks failed, the previously loaded tasks stay active: ${e instanceof Error ? e.message : inspect(e)}`, e);
+    }
+  };
+
   /**
    * @param {Error} error
    */
@@ -281,6 +783,26 @@ class Cameleer extends EventEmitter {
     });
   };
 
+  /**
+   * Starts the timeout after which the static task context is serialized (see
+   * CameleerDefaults::staticTaskContextSerializeInterval), unless it is started
+   * already. The timeout is not restarted, so that frequent changes (e.g. of the
+   * dates of the Tasks' last scheduled runs) cannot postpone the serialization
+   * indefinitely.
+   */
+  _deferSaveStaticTaskContext() {
+    if (this._staticContextSaveTimeout !== null) {
+      return;
+    }
+
+    if (this._config.defaults.staticTaskContextSerializeInterval > 0) {
+      this._staticContextSaveTimeout = setTimeout(async() => {
+        this._staticContextSaveTimeout = null;
+        await this._saveStaticTaskContext();
+      }, this._config.defaults.staticTaskContextSerializeInterval);
+    }
+  };
+
   /**
    * @param {any} obj The object to validate
    * @param {SchemaLike} schema The schema to validate against
@@ -329,41 +851,101 @@ class Cameleer extends EventEmitter {
   _initializeQueues() {
     const queueConf = this._config.queues;
 
-    let hasDefaultCostQueue = false, hasDefaultParallelQueue = false;
-
     for (const conf of queueConf) {
       Cameleer._checkAgainstSchema(conf, CameleerQueueConfigSchema);
 
-      const cq = this._queues[conf.name] = new CameleerQueue(
-        conf, this.getLogger(CameleerQueue.name));
-      
-      if (conf.enabled && cq.isDefault) {
-        if ((cq.isParallel && hasDefaultParallelQueue)
-            || (!cq.isParallel && hasDefaultCostQueue)) {
-          throw new Error(`More than one default queue for type '${cq.isParallel ? 'parallel' : 'cost'}' was defined.`);
-        }
-
-        if (cq.isParallel) {
-          hasDefaultParallelQueue = true;
-        } else {
-          hasDefaultCostQueue = true;
-        }
-      }
+      this._queues[conf.name] = this._gateQueue(new CameleerQueue(
+        conf, this.getLogger(CameleerQueue.name)));
     }
+    Cameleer._checkDefaultQueues(queueConf);
+
+    /**
+     * Whether Cameleer is running (see run() and pause()). Only then, its queues
+     * run their jobs.
+     * 
+     * @type {boolean}
+     */
+    this._isRunning = false;
     this.logger.logInfo(`Initialized ${queueConf.length} queue(s): ${this._queuesArr.map(q => `'${q.name}'`).join(', ')}`);
   };
 
   /**
-   * Initializes all types of schedulers available (currently: Interval and Calendar).
+   * @param {Array.<CameleerQueueConfig>} queueConfigs
+   * @throws {Error} If there is more than one enabled default queue per type.
+   */
+  static _checkDefaultQueues(queueConfigs) {
+    for (const type of ['cost', 'parallel']) {
+      if (queueConfigs.filter(conf => conf.enabled && conf.isDefault
+          && (conf.type === 'parallel') === (type === 'parallel')).length > 1) {
+        throw new Error(`More than one default queue for type '${type}' was defined.`);
+      }
+    }
+  };
+
+  /**
+   * Initializes the registry of schedulers that is shared by all of this instance's
+   * tasks and their jobs. The schedulers are configured using CameleerConfig::schedulers.
    */
   _initializeSchedulers() {
-    this._schedInterval = new IntervalScheduler();
-    // Check every 30 seconds and look one week ahead.
-    this._schedCalendar = new CalendarScheduler(
-      CalendarScheduler.oneMinuteInSecs * 0.5,
-      CalendarScheduler.oneWeekInSecs
-    );
-    this._schedManual = new ManualScheduler();
+    /** @type {SchedulerRegistry} */
+    this._schedulers = new SchedulerRegistry(this._config.schedulers || {});
+  };
+
+  /**
+   * Initializes the limits of the resources that Tasks may declare, as configured
+   * using CameleerConfig::resources.
+   */
+  _initializeResources() {
+    const limits = this._config.resources || {};
+    for (const name of Object.keys(limits)) {
+      Cameleer._checkAgainstSchema(limits[name], ResourceLimitConfigSchema);
+    }
+
+    /** @type {ResourceLimiter} */
+    this._resourceLimiter = new ResourceLimiter(limits);
+    /** @type {NodeJS.Timer} */
+    this._resourceCheckTimeout = null;
+    /** The time (in msecs) of the pending check (see _scheduleResourceCheck()). */
+    this._resourceCheckAt = null;
+  };
+
+  /**
+   * Initializes the store that keeps a record of each job, as configured using
+   * CameleerConfig::jobHistory (an InMemoryJobHistoryStore is used otherwise).
+   */
+  _initializeJobHistory() {
+    /** @type {JobHistoryStore} */
+    this._jobHistory = JobHistoryStore.fromConfiguration(this,
+      this._config.jobHistory || { type: InMemoryJobHistoryStore });
+
+    /**
+     * The records of jobs that are not in a final state yet.
+     * 
+     * @type {Map.<CameleerJob, JobRunRecord>}
+     */
+    this._jobRecords = new Map();
+
+    this.logger.logInfo(`Initialized job history using '${this._jobHistory.clazz.name}'.`);
+  };
+
+  /**
+   * Initializes the durable backlog, if one is configured using CameleerConfig::backlog.
+   */
+  _initializeBacklog() {
+    /** @type {BacklogStore|null} */
+    this._backlog = this._config.backlog ?
+      BacklogStore.fromConfiguration(this, this._config.backlog) : null;
+
+    /**
+     * The jobs that are persisted in the durable backlog, and their descriptors' IDs.
+     * 
+     * @type {Map.<CameleerJob, string>}
+     */
+    this._backlogJobs = new Map();
+
+    if (this._backlog !== null) {
+      this.logger.logInfo(`Initialized durable backlog using '${this._backlog.clazz.name}'.`);
+    }
   };
 
   /**
@@ -433,8 +1015,9 @@ class Cameleer extends EventEmitter {
    * @returns {boolean}
    */
   _isTaskRunning(task) {
+    // Jobs of a Task that was replaced (see reloadTasks()) refer to the former Task:
     return this._queuesArr.filter(q => q.queue.isWorking && q.queue.currentJobs.asArray.filter(j =>
-      j.task === task).length > 0).length > 0;
+      j.task.name === task.name).length > 0).length > 0;
   };
 
   /**
@@ -443,7 +1026,7 @@ class Cameleer extends EventEmitter {
    * @returns {boolean}
    */
   _isTaskEnqueued(task) {
-    return this._queuesArr.filter(q => q.queue.queue.asArray.filter(j => j.task === task).length > 0).length > 0;
+    return this._queuesArr.filter(q => q.queue.queue.asArray.filter(j => j.task.name === task.name).length > 0).length > 0;
   };
 
   /**
@@ -465,6 +1048,9 @@ class Cameleer extends EventEmitter {
   _selectBestMatchingQueue(config) {
     const isCost = Resolve.isTypeOf(config.cost, Number)
     , appropriateQueues = this._queuesArr.filter(cq => {
+      if (!cq.acceptsJobs) {
+        return false;
+      }
       if (isCost) {
         if (!cq.isParallel && (
           config.cost < cq.queue.capabilities || cq.queue.allowExclusiveJobs)) {
@@ -527,6 +1113,275 @@ class Cameleer extends EventEmitter {
       .sort((q1, q2) => q1.queue.load < q2.queue.load ? -1 : 1)[0];
   };
 
+  /**
+   * Updates the record of a job and saves it to the job history. The record is
+   * created when the job is recorded for the first time.
+   * 
+   * @param {CameleerJob} job
+   * @param {'scheduled'|'running'|'done'|'failed'|'interrupted'} state
+   * @param {any} [error] Optional. Defaults to undefined. The error that made the
+   * job fail, if any.
+   * @returns {Promise.<void>} Resolves once the record was saved (never rejects).
+   */
+  _recordJob(job, state, error = void 0) {
+    const now = new Date();
+
+    if (!this._jobRecords.has(job)) {
+      this._jobRecords.set(job, {
+        id: randomUUID(),
+        jobId: job.id,
+        task: job.task.name,
+        workflowId: job.workflowId,
+        state,
+        isManual: job.isManual,
+        scheduledAt: job.scheduledAt,
+        startedAt: null,
+        finishedAt: null,
+        durationMsecs: null,
+        numFunctionalTasks: job.conf.tasks.length,
+        functionalTasks: [],
+        error: null
+      });
+    }
+
+    const record = this._jobRecords.get(job);
+    record.state = state;
+    record.functionalTasks = JobHistoryStore.createFunctionalTaskRecords(job);
+    record.error = error === void 0 ? null : JobHistoryStore.describeError(error);
+
+    if (state === 'running') {
+      record.startedAt = now;
+    } else if (state !== 'scheduled') {
+      record.finishedAt = now;
+      record.durationMsecs = record.startedAt === null ? null : +now - +record.startedAt;
+      this._jobRecords.delete(job);
+    }
+
+    return this._jobHistory.saveRecord(record);
+  };
+
+  /**
+   * Saves the job to the durable backlog (if there is one). The descriptor has
+   * the same ID as the job's record in the job history.
+   * 
+   * @param {CameleerJob} job
+   * @param {'enqueued'|'running'} state
+   * @returns {Promise.<void>} Resolves once the job was saved (never rejects).
+   */
+  _persistJob(job, state) {
+    if (this._backlog === null) {
+      return Promise.resolve();
+    }
+
+    if (!this._backlogJobs.has(job)) {
+      this._backlogJobs.set(job, this._jobRecords.has(job) ? this._jobRecords.get(job).id : randomUUID());
+    }
+
+    const args = BacklogStore.toSerializable(job.args);
+    if (args === null && state === 'enqueued') {
+      this.logger.logWarning(`The arguments of job #${job.id} (${job.task.name}) cannot be serialized; the job will be restored without them.`);
+    }
+
+    return this._backlog.saveDescriptor({
+      id: this._backlogJobs.get(job),
+      jobId: job.id,
+      task: job.task.name,
+      state,
+      isManual: job.isManual,
+      scheduledAt: job.scheduledAt.toISOString(),
+      startedAt: state === 'running' ? (new Date()).toISOString() : null,
+      args,
+      context: BacklogStore.toSerializable(job.schedEvent instanceof TriggerScheduleEvent ||
+        job.schedEvent instanceof DependencyScheduleEvent ? job.schedEvent.context : {}),
+      workflowId: job.workflowId,
+      priority: job.priority
+    });
+  };
+
+  /**
+   * Removes the job from the durable backlog (if it was persisted).
+   * 
+   * @param {CameleerJob} job
+   * @returns {Promise.<void>}
+   */
+  _unpersistJob(job) {
+    if (!this._backlogJobs.has(job)) {
+      return Promise.resolve();
+    }
+
+    const id = this._backlogJobs.get(job);
+    this._backlogJobs.delete(job);
+    return this._backlog.removeDescriptor(id);
+  };
+
+  /**
+   * Re-enqueues the jobs of the durable backlog (if there is one), that were
+   * enqueued when Cameleer was shut down (or crashed). Jobs that were running
+   * are re-enqueued if their Task's policy (TaskConfig::onInterruptedRun) is
+   * 'rerun'; otherwise, they are recorded as failed. Jobs of Tasks that are not
+   * loaded are discarded.
+   * 
+   * @returns {Promise.<Array.<CameleerJob>>} The jobs that were re-enqueued.
+   */
+  async _restoreBacklog() {
+    if (this._backlog === null) {
+      return [];
+    }
+
+    /** @type {Array.<Promise.<CameleerJob|null>>} */
+    const enqueued = [];
+
+    for (const descriptor of await this._backlog.getDescriptors()) {
+      await this._backlog.removeDescriptor(descriptor.id);
+
+      if (!this._tasks.hasOwnProperty(descriptor.task)) {
+        this.logger.logWarning(`Discarding job #${descriptor.jobId} of the backlog, as its task '${descriptor.task}' is not loaded.`);
+        continue;
+      }
+
+      const task = this._tasks[descriptor.task]
+      , hasFailed = descriptor.state === 'running' && task.config.onInterruptedRun !== 'rerun';
+      await this._recordRestoredJob(descriptor, hasFailed);
+
+      if (hasFailed) {
+        this.logger.logWarning(`Job #${descriptor.jobId} (${task.name}) was interrupted while running and is recorded as failed.`);
+        continue;
+      }
+
+      this.logger.logInfo(`Re-enqueueing job #${descriptor.jobId} (${task.name}) of the backlog.`);
+      enqueued.push(this._scheduleTask(task, new RestoredScheduleEvent(task.config.schedule, descriptor)));
+    }
+
+    return (await Promise.all(enqueued)).filter(job => job !== null);
+  };
+
+  /**
+   * Updates the record of a job of the durable backlog in the job history. Jobs
+   * that are re-enqueued get a new record, so their previous record is updated to
+   * the state 'interrupted' (if it still exists). Jobs that were interrupted while
+   * running and must not run again are recorded as failed.
+   * 
+   * @param {BacklogJobDescriptor} descriptor
+   * @param {boolean} hasFailed
+   * @returns {Promise.<void>}
+   */
+  async _recordRestoredJob(descriptor, hasFailed) {
+    const [ existing ] = await this._jobHistory.query({ id: descriptor.id });
+    if (!hasFailed && (existing === void 0 || existing.state === 'interrupted')) {
+      return;
+    }
+
+    const record = existing || {
+      id: descriptor.id,
+      jobId: descriptor.jobId,
+      task: descriptor.task,
+      isManual: descriptor.isManual,
+      scheduledAt: new Date(descriptor.scheduledAt),
+      startedAt: descriptor.startedAt === null ? null : new Date(descriptor.startedAt),
+      finishedAt: null,
+      durationMsecs: null,
+      numFunctionalTasks: 0,
+      functionalTasks: []
+    };
+
+    await this._jobHistory.saveRecord(Object.assign(record, hasFailed ? {
+      state: 'failed',
+      error: {
+        type: 'interrupted',
+        message: 'The job was interrupted while running, as Cameleer was shut down unexpectedly.'
+      }
+    } : {
+      state: 'interrupted'
+    }));
+  };
+
+  /**
+   * Remembers the date of a Task's last scheduled run in the static task context,
+   * so that runs that are missed while Cameleer is not running can be detected.
+   * 
+   * @param {Task} task
+   * @param {Date} date
+   */
+  _setLastFired(task, date) {
+    if (!(staticContextLastFiredKey in this._staticTaskContext)) {
+      this._staticTaskContext[staticContextLastFiredKey] = {};
+    }
+
+    this._staticTaskContext[staticContextLastFiredKey][task.name] = date.toISOString();
+    this._deferSaveStaticTaskContext();
+  };
+
+  /**
+   * Catches up on the scheduled runs of the loaded Tasks that were missed while
+   * Cameleer was not running, according to each Task's policy (see
+   * TaskConfig::misfirePolicy). Afterwards, the current date is remembered as the
+   * last scheduled run of each loaded Task, and the dates of Tasks that are not
+   * loaded are forgotten (so that a Task that was disabled does not catch up on
+   * the runs it had while disabled).
+   * 
+   * @param {Object.<string, string>} lastFired The dates (ISO-strings) of the Tasks'
+   * last scheduled runs, as they were before the Tasks were loaded.
+   * @returns {Promise.<Array.<CameleerJob>>} The jobs that were enqueued.
+   */
+  async _catchUpMisfires(lastFired) {
+    const now = new Date();
+    /** @type {Array.<CameleerJob>} */
+    const jobs = [];
+
+    this._staticTaskContext[staticContextLastFiredKey] = {};
+    for (const task of this._tasksArr) {
+      this._setLastFired(task, now);
+
+      const schedule = task.config.schedule
+      , policy = task.config.misfirePolicy || 'skip'
+      , since = lastFired.hasOwnProperty(task.name) ? new Date(lastFired[task.name]) : null;
+      if (policy === 'skip' || since === null || isNaN(+since) || since >= now || !schedule.isEnabled) {
+        continue;
+      }
+
+      // A schedule with a short interval may have missed a vast amount of runs, so
+      // these are not enumerated beyond the ones that are caught up on.
+      const maxRuns = policy === 'runOnce' ? 1 : (task.config.maxMisfireRuns || 10);
+      /** @type {Array.<Date>} */
+      const missed = [];
+      try {
+        if (schedule instanceof Calendar && schedule.needsRefresh) {
+          await schedule.refresh();
+        }
+
+        for (const preEvt of schedule.preliminaryEvents(since, now)) {
+          if (missed.length === maxRuns) {
+            break;
+          }
+          if (preEvt.dateTime > since && preEvt.dateTime < now) {
+            missed.push(preEvt.dateTime);
+          }
+        }
+      } catch (e) {
+        this.logger.logWarning(`Cannot determine the missed runs of task '${task.name}': ${e instanceof Error ? e.message : inspect(e)}`);
+        continue;
+      }
+
+      if (missed.length === 0) {
+        continue;
+      }
+
+      missed.sort((d1, d2) => +d1 - +d2);
+      this.logger.logInfo(`Task '${task.name}' missed scheduled runs while Cameleer was not running; catching up on ${missed.length} (misfirePolicy '${policy}').`);
+
+      let isContinuation = false;
+      for (const missedAt of missed) {
+        const job = await this._scheduleTask(task, new MisfireScheduleEvent(schedule, missedAt, isContinuation));
+        if (job !== null) {
+          jobs.push(job);
+          isContinuation = true;
+        }
+      }
+    }
+
+    return jobs;
+  };
+
   /**
    * @param {CameleerJob} job
    * @returns {Promise.<boolean>} Resolves to a boolean value that indicates whether
@@ -551,9 +1406,29 @@ class Cameleer extends EventEmitter {
   };
 
   /**
+   * Emits the scheduling request for the Task and then enqueues it.
+   * 
    * @param {Task} task
    * @param {ScheduleEvent} schedEvent
-   * @returns {Promise.<void>}
+   * @returns {Promise.<CameleerJob|null>} The Job that was enqueued or null, if
+   * the Task was not enqueued.
+   */
+  async _scheduleTask(task, schedEvent) {
+    this.logger.logInfo(`Enqueueing task '${task.name}'.`);
+
+    // We don't have a Job yet but should emit the scheduling request.
+    this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerSchedule, task));
+
+    // We await this, so that _isTaskEnqueued does not cause race-conditions
+    // if symbolCameleerSchedule is observed.
+    return await this._enqueueTask(task, schedEvent);
+  };
+
+  /**
+   * @param {Task} task
+   * @param {ScheduleEvent} schedEvent
+   * @returns {Promise.<CameleerJob|null>} The Job that was enqueued or null, if
+   * the Task was skipped, interrupted or could not be enqueued.
    */
   async _enqueueTask(task, schedEvent) {
     this.logger.logDebug(`Resolving config for task '${task.name}'..`);
@@ -563,27 +1438,40 @@ class Cameleer extends EventEmitter {
       config = await task.resolveConfig();
     } catch (e) {
       this.logger.logError(`Cannot resolve config for task '${task.name}'. ${e instanceof Error ? e.message : ''}`, e);
-      return;
+      return null;
     }
     
     this.logger.logDebug(`Config for task '${task.name}' has been resolved.${config.cost === null ? '' : ` The cost is ${config.cost.toFixed(3)}.`}`);
 
     if (config.skip) {
       this.logger.logInfo(`Skipping task '${task.name}'.`);
-      return; // Skip the task now
+      return null; // Skip the task now
     }
-    if (!config.allowMultiple && this._isTaskEnqueuedOrRunning(task)) {
+    const isMisfireContinuation = schedEvent instanceof MisfireScheduleEvent && schedEvent.isContinuation;
+    if (!config.allowMultiple && !isMisfireContinuation && this._isTaskEnqueuedOrRunning(task)) {
       this.logger.logInfo(`Task '${task.name}' is already enqueued or running and not allowed to run multiple times.`);
-      return; // This task may only run once and there is an instance running already
+      return null; // This task may only run once and there is an instance running already
+    }
+
+    const circuit = this._checkCircuitBreaker(task);
+    if (circuit === 'open') {
+      this.logger.logInfo(`Skipping task '${task.name}', as its circuit breaker is open.`);
+      return null;
     }
 
     // Now we are waiting for a potential premature interruption of the task:
-    const job = new CameleerJob(task, config, schedEvent);
+    const job = new CameleerJob(task, config, schedEvent, this._schedulers);
+    if (circuit === 'probe') {
+      this._circuitProbes.set(task, job);
+    }
+    this._recordJob(job, 'scheduled');
     const interruptPromise = this._shouldInterruptJob(job);
     this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerInterruptable, task, job));
     if (await interruptPromise) {
       this.logger.logDebug(`The execution of task '${task.name}' was prematurely interrupted.`);
-      return;
+      this._releaseCircuitProbe(job);
+      this._recordJob(job, 'interrupted');
+      return null;
     } else {
       this.logger.logDebug(`Interruption timeout for task '${task.name}' expired. Proceeding.`);
     }
@@ -596,10 +1484,13 @@ class Cameleer extends EventEmitter {
       queue = this._selectBestMatchingQueue(config);
     } catch (e) {
       this.logger.logError(`Cannot selecte queue for task '${task.name}'. ${e instanceof Error ? e.message : ''}`, e);
-      return;
+      this._releaseCircuitProbe(job);
+      this._recordJob(job, 'failed', e);
+      return null;
     }
     
     this.logger.logDebug(`Selected queue '${queue.name}' for task '${task.name}' (Job-ID #${job.id}).`);
+    job.queueName = queue.name;
 
 
     const formatDuration = seconds => {
@@ -616,16 +1507,21 @@ class Cameleer extends EventEmitter {
 
     const now = new Date();
     const that = this;
-    queue.queue.observableRun.subscribe(function(jqEvt) {
+    const runSubscription = queue.queue.observableRun.subscribe(function(jqEvt) {
       if (jqEvt.job === job) {
         this.unsubscribe();
+        that._persistJob(job, 'running');
+        that._recordJob(job, 'running');
         that.emit(symbolCameleerWork, new CameleerWorkEvent(symbolRun, task, job));
       }
     });
 
-    race(queue.queue.observableDone, queue.queue.observableFailed).subscribe(function(jqEvt) {
+    // Not race(), as that would stick to whichever observable emits first, even if
+    // it is for another job.
+    const finishSubscription = merge(queue.queue.observableDone, queue.queue.observableFailed).subscribe(function(jqEvt) {
       if (jqEvt.job === job) {
         this.unsubscribe();
+        that._jobSubscriptions.delete(job);
         // On fail, CameleerJobs throw a JobFailError
         const hasFailed = jqEvt.error instanceof JobFailError
         , durationSecs = ((+new Date) - +now) / 1e3
@@ -637,13 +1533,114 @@ class Cameleer extends EventEmitter {
           that.logger.logInfo(`Job #${jqEvt.job.id} succeeded after ${durationFormatted}.`);
         }
 
+        that._unpersistJob(job);
+        that._releaseResources(job);
+        that._recordJob(job, hasFailed ? 'failed' : 'done', hasFailed ? jqEvt.error : void 0);
         that.emit(symbolCameleerWork, new CameleerWorkEvent(
           hasFailed ? symbolFailed : symbolDone, task, job));
+        that._updateCircuitBreaker(job);
+        that._continueWorkflowRun(job);
       }
     });
-    
+    this._jobSubscriptions.set(job, [runSubscription, finishSubscription]);
 
+
+    this._persistJob(job, 'enqueued');
     queue.queue.addJob(job);
+    if (job.task.resources.length > 0) {
+      this._scheduleResourceCheck();
+    }
+    return job;
+  };
+
+  /**
+   * Removes the subscriptions of a job that was removed from its queue's backlog,
+   * as its queue will not emit any events for it anymore.
+   * 
+   * @param {CameleerJob} job
+   */
+  _unsubscribeJob(job) {
+    if (this._jobSubscriptions.has(job)) {
+      this._jobSubscriptions.get(job).forEach(subscription => subscription.unsubscribe());
+      this._jobSubscriptions.delete(job);
+    }
+  };
+
+  /**
+   * Lets the queue only run the jobs whose Task's resources have their tokens
+   * available (see TaskConfig::resources). The tokens are acquired when the queue
+   * runs the job, so the others wait in its backlog.
+   * 
+   * @param {CameleerQueue} cq
+   * @returns {CameleerQueue} The given queue.
+   */
+  _gateQueue(cq) {
+    cq.queue.queue.isRunnable = job => this._resourceLimiter.canAcquire(job.task.resources);
+    cq.queue.queue.beforeRun = job => {
+      const resources = job.task.resources;
+      if (resources.length > 0 && this._resourceLimiter.acquire(job, resources)) {
+        this.logger.logDebug(`Job #${job.id} (${job.task.name}) acquired its resources: ${resources.map(r => `'${r}'`).join(', ')}.`);
+        this._scheduleResourceCheck();
+      }
+    };
+    return cq;
+  };
+
+  /**
+   * If some enqueued jobs wait because of the rate limits of their resources, makes
+   * the queues check for jobs that may run once these let the next job through.
+   * A pending check is only ever replaced by an earlier one: its jobs may have
+   * become runnable already (if it is late), and nothing else would run them.
+   */
+  _scheduleResourceCheck() {
+    const now = Date.now();
+    let nextAt = null;
+
+    for (const job of this.getEnqueuedJobs()) {
+      const resources = job.task.resources;
+      if (resources.length > 0 && !this._resourceLimiter.canAcquire(resources, now)) {
+        const availableAt = this._resourceLimiter.nextAvailableAt(resources, now);
+        if (availableAt !== null) {
+          nextAt = nextAt === null ? availableAt : Math.min(nextAt, availableAt);
+        }
+      }
+    }
+
+    if (nextAt !== null && (this._resourceCheckTimeout === null || nextAt < this._resourceCheckAt)) {
+      clearTimeout(this._resourceCheckTimeout);
+      this._resourceCheckAt = nextAt;
+      this._resourceCheckTimeout = setTimeout(() => {
+        this._resourceCheckTimeout = null;
+        this._runWaitingJobs();
+      }, Math.max(0, nextAt - now));
+    }
+  };
+
+  /**
+   * Makes each queue check for the next job to run once per enqueued job that waited
+   * for the tokens of its resources and may run now.
+   */
+  _runWaitingJobs() {
+    for (const cq of this._queuesArr) {
+      const numRunnable = cq.queue.queue.asArray.filter(job =>
+        job.task.resources.length > 0 && this._resourceLimiter.canAcquire(job.task.resources)).length;
+      for (let i = 0; i < numRunnable; i++) {
+        setTimeout(cq.queue._runNext.bind(cq.queue), 0);
+      }
+    }
+    this._scheduleResourceCheck();
+  };
+
+  /**
+   * Releases the tokens of the job's resources (if it holds any), so that waiting
+   * jobs may run.
+   * 
+   * @param {CameleerJob} job
+   */
+  _releaseResources(job) {
+    if (this._resourceLimiter.release(job)) {
+      this._runWaitingJobs();
+    }
   };
 
   /**
@@ -651,15 +1648,7 @@ class Cameleer extends EventEmitter {
    * @returns {Scheduler}
    */
   _getSchedulerForSchedule(schedule) {
-    if (schedule instanceof Calendar) {
-      return this._schedCalendar;
-    } else if (schedule instanceof Interval) {
-      return this._schedInterval;
-    } else if (schedule instanceof ManualSchedule) {
-      return this._schedManual;
-    }
-    
-    throw new Error(`The schedule '${inspect(schedule)}' is not supported.`);
+    return this._schedulers.getSchedulerForSchedule(schedule);
   };
 
   ////////////////////////////////////////////////////////////////////////////////////
@@ -700,6 +1689,91 @@ class Cameleer extends EventEmitter {
     return this._controllers.length > 0;
   };
 
+  /**
+   * @returns {Array.<Task>} A copy of the Array with all currently loaded Tasks.
+   */
+  get tasks() {
+    return this._tasksArr;
+  };
+
+  /**
+   * @returns {Array.<CameleerQueue>} A copy of the Array with all of Cameleer's
+   * queues.
+   */
+  get queues() {
+    return this._queuesArr;
+  };
+
+  /**
+   * @param {number} jobId
+   * @returns {CameleerJob|null} The job with the given ID if it is pending a
+   * premature interruption, enqueued or running; null, otherwise.
+   */
+  getJob(jobId) {
+    const job = Array.from(this._interruptableJobs.keys())
+      .concat(this.getRunningJobs(), this.getEnqueuedJobs()).find(j => j.id === jobId);
+    return job === void 0 ? null : job;
+  };
+
+  /**
+   * @returns {Array.<CameleerJob>} All jobs that are currently running, across
+   * all queues.
+   */
+  getRunningJobs() {
+    return this._queuesArr.map(cq => cq.queue.currentJobs.asArray)
+      .reduce((a, b) => a.concat(b), []);
+  };
+
+  /**
+   * @param {string} [queueName] Optional. Defaults to undefined. If given, only
+   * the jobs enqueued in the CameleerQueue with that name are returned.
+   * @returns {Array.<CameleerJob>} All jobs that are enqueued (i.e. in the backlog
+   * of a queue), in the order they will run per queue. The jobs of a queue that
+   * wait for their resources (see TaskConfig::resources) come last.
+   */
+  getEnqueuedJobs(queueName = void 0) {
+    return this._queuesArr.filter(cq => queueName === void 0 || cq.name === queueName)
+      .map(cq => cq.queue.queue.asArray)
+      .reduce((a, b) => a.concat(b), []);
+  };
+
+  /**
+   * @returns {JobHistoryStore} The store that keeps a record of each job.
+   */
+  get jobHistory() {
+    return this._jobHistory;
+  };
+
+  /**
+   * Queries the records of all jobs, including jobs that are currently enqueued
+   * or running. For example, { task: 'foo', limit: 5 } returns the last five runs
+   * of the Task 'foo', and { state: 'failed', since: date } returns all failures
+   * since the given date.
+   * 
+   * @param {JobHistoryQuery} [query] Optional. Defaults to {}, which returns all records.
+   * @throws {Error} If the query is not valid.
+   * @returns {Promise.<Array.<JobRunRecord>>} The matching records, latest first.
+   */
+  async queryJobHistory(query = {}) {
+    return await this._jobHistory.query(query);
+  };
+
+  /**
+   * @param {Task} task
+   * @returns {boolean} True, if a Job of the Task is currently running.
+   */
+  isTaskRunning(task) {
+    return this._isTaskRunning(task);
+  };
+
+  /**
+   * @param {Task} task
+   * @returns {boolean} True, if a Job of the Task is waiting in a queue's backlog.
+   */
+  isTaskEnqueued(task) {
+    return this._isTaskEnqueued(task);
+  };
+
   /**
    * Returns an Observable for a specific TaskConfig that will yield evnts of type
    * CameleerWorkEvent. Those events are triggered for the symbols symbolSchedule,
@@ -745,29 +1819,502 @@ class Cameleer extends EventEmitter {
       this._inMemoryLogger.log(...evt.params);
     });
 
-    return wrap;
+    return wrap;
+  };
+
+  /**
+   * Obtains all TaskConfigs and Tasks from the ConfigProvider.
+   * 
+   * @throws {Error} If some of the tasks' names are not unique.
+   * @returns {Promise.<Array.<TaskConfig|Task>>}
+   */
+  async _getAllTaskConfigs() {
+    /** @type {Array.<TaskConfig|Task>} */
+    const allConfigs = await this._configProvider.getAllTaskConfigs()
+    , allConfigNames = allConfigs.map(c => c.name);
+
+    if (allConfigNames.length !== (new Set(allConfigNames)).size) {
+      throw new Error(`Some of the tasks' names are not unique.`);
+    }
+
+    return allConfigs;
+  };
+
+  /**
+   * @param {TaskConfig} config
+   * @returns {string} The fingerprint of the TaskConfig, disregarding the
+   * properties that Cameleer itself sets or resolves when loading it.
+   */
+  static _createTaskConfigFingerprint(config) {
+    const fpConfig = Object.assign({ type: Task }, config);
+    delete fpConfig.enabled;
+    return createFingerprint(fpConfig);
+  };
+
+  /**
+   * The fingerprint represents functions by their source, which does not reflect
+   * the values they capture (e.g. a host in a closure). Therefore, two TaskConfigs
+   * are only equal if they also have the very same functions. TaskConfigs that were
+   * created from a declaration (see DeclarativeTaskConfig) are exempt, as their
+   * functions are derived from the declaration (which is part of the fingerprint).
+   * 
+   * @param {TaskConfig} config
+   * @returns {Array.<Function>} The functions of the TaskConfig (found in plain
+   * Objects and Arrays), in a deterministic order, except for 'enabled'.
+   */
+  static _getTaskConfigFunctions(config) {
+    /** @type {Array.<Function>} */
+    const functions = [], seen = new Set();
+    if (config.declaration !== void 0) {
+      return functions;
+    }
+
+    /** @param {any} value */
+    const collect = value => {
+      if (value instanceof Function) {
+        functions.push(value);
+      } else if (value !== null && typeof value === 'object' && !seen.has(value)) {
+        const proto = Object.getPrototypeOf(value);
+        if (proto === null || proto === Object.prototype || Array.isArray(value)) {
+          seen.add(value);
+          Object.keys(value).sort().forEach(key => collect(value[key]));
+        }
+      }
+    };
+
+    Object.keys(config).filter(key => key !== 'enabled').sort().forEach(key => collect(config[key]));
+    return functions;
+  };
+
+  /**
+   * Resolves whether a TaskConfig is enabled and creates a Task from it. If
+   * given a Task, it is returned as is.
+   * 
+   * @param {TaskConfig|Task} confOrTask
+   * @returns {Promise.<{ task: Task, source: TaskConfig|Task, fingerprint: string|null, functions: Array.<Function> }>}
+   */
+  async _createTask(confOrTask) {
+    if (confOrTask instanceof Task) {
+      return { task: confOrTask, source: confOrTask, fingerprint: null, functions: [] };
+    }
+
+    const fingerprint = Cameleer._createTaskConfigFingerprint(confOrTask)
+    , functions = Cameleer._getTaskConfigFunctions(confOrTask);
+    confOrTask.enabled = await Resolve.optionalToValue(true, confOrTask.enabled, Boolean);
+
+    return {
+      task: Task.fromConfiguration(confOrTask, this._config.defaults),
+      source: confOrTask,
+      fingerprint,
+      functions
+    };
+  };
+
+  /**
+   * Equips a Task with its static context and a logger, then puts its schedule
+   * into the internal schedulers (if the Task is enabled).
+   * 
+   * @param {Task} task
+   * @param {TaskConfig|Task} source The TaskConfig or Task the Task was created from.
+   * @param {string|null} fingerprint The fingerprint of the TaskConfig.
+   * @param {Array.<Function>} functions The functions of the TaskConfig.
+   * @returns {Promise.<boolean>} True, if the Task was enabled and is now loaded.
+   */
+  async _loadTask(task, source, fingerprint, functions) {
+    const staticContext = await this._loadStaticTaskContext();
+
+    // For each Task, all running instances (Jobs) share a static context.
+    const taskContextName = `${task.constructor.name}_${task.name}`;
+    if (!this._observedStaticContexts.has(staticContext[taskContextName])) {
+      staticContext[taskContextName] = createObservableValue((target, prop, val, proxy) => {
+        this._deferSaveStaticTaskContext();
+      }, taskContextName in staticContext ? staticContext[taskContextName] : {});
+      this._observedStaticContexts.add(staticContext[taskContextName]);
+    }
+    task._staticContext = staticContext[taskContextName];
+
+
+    // For each run of the task, we'll enter a scope (and exit it as well)
+    if (!task.hasLogger) {
+      task.logger = this.getLogger(task.constructor);
+    }
+
+    this.logger.logDebug(`Loaded task '${task.name}'.`);
+
+    if (!task.config.enabled) {
+      return false; // Do not use this task at all.
+    }
+
+    this._tasks[task.name] = task;
+    this._taskSources.set(task, { source, fingerprint, functions });
+    this._taskSubscriptions.set(task, this._schedulers
+      .addSchedule(task.config.schedule)
+      .getObservableForSchedule(task.config.schedule).subscribe(async schedEvent => {
+        if (schedEvent instanceof CalendarEventSimple && schedEvent.isEndOfEvent) {
+          // As for Cameleer's scheduling matters, neither are we interested in
+          // when an event (that triggers a task) ends or how long it lasts.
+          return;
+        }
+
+        this._setLastFired(task, new Date());
+        await this._scheduleTask(task, schedEvent);
+      }));
+
+    return true;
+  };
+
+  /**
+   * Checks the dependencies of the given Tasks (see TaskConfig::dependsOn). Only
+   * Tasks that are enabled are considered; dependencies on Tasks that are not given
+   * (or not enabled) are logged as warnings and ignored.
+   * 
+   * @param {Array.<Task>} tasks All Tasks that are going to be loaded.
+   * @throws {Error} If the dependencies of the Tasks form a cycle.
+   */
+  _validateTaskDependencies(tasks) {
+    const enabled = new Map(tasks.filter(t => t.config.enabled).map(t => [t.name, t]))
+    , visited = new Set()
+    /** @type {Array.<string>} */
+    , stack = [];
+
+    /** @param {string} name */
+    const visit = name => {
+      const idx = stack.indexOf(name);
+      if (idx >= 0) {
+        throw new Error(`The dependencies of the tasks form a cycle: ${stack.slice(idx).concat(name).join(' -> ')}`);
+      }
+      if (visited.has(name) || !enabled.has(name)) {
+        return;
+      }
+
+      stack.push(name);
+      enabled.get(name).dependencies.forEach(dep => visit(dep.task));
+      stack.pop();
+      visited.add(name);
+    };
+
+    for (const task of enabled.values()) {
+      task.dependencies.filter(dep => !enabled.has(dep.task)).forEach(dep => {
+        this.logger.logWarning(`Task '${task.name}' depends on task '${dep.task}', which is not loaded. The dependency is ignored.`);
+      });
+      visit(task.name);
+    }
+  };
+
+  /**
+   * @param {string} name The name of a Task.
+   * @returns {Set.<string>} The names of all loaded Tasks that depend on the Task
+   * with the given name, directly or transitively.
+   */
+  _getDependentTaskNames(name) {
+    const dependents = new Set(), open = [name];
+
+    while (open.length > 0) {
+      const current = open.shift();
+      this._tasksArr.filter(t => !dependents.has(t.name) &&
+        t.dependencies.some(dep => dep.task === current)).forEach(t => {
+        dependents.add(t.name);
+        open.push(t.name);
+      });
+    }
+
+    return dependents;
+  };
+
+  /**
+   * Called whenever a job finished (or was cancelled before it could run). The
+   * job's workflow run is started, if the job's Task has dependents, and then
+   * advanced (see _advanceWorkflowRun()).
+   * 
+   * @param {CameleerJob} job
+   * @returns {Promise.<void>} Resolves once all dependents that became ready were
+   * enqueued (never rejects).
+   */
+  async _continueWorkflowRun(job) {
+    let run = this._workflowRuns.get(job.workflowId);
+    if (run === void 0) {
+      const dependents = this._getDependentTaskNames(job.task.name);
+      if (dependents.size === 0) {
+        return;
+      }
+
+      run = { tasks: new Set([job.task.name, ...dependents]), finished: new Map(), pending: new Set() };
+      this._workflowRuns.set(job.workflowId, run);
+    }
+
+    run.pending.delete(job.task.name);
+    run.finished.set(job.task.name, job);
+
+    try {
+      await this._advanceWorkflowRun(job.workflowId, run);
+    } catch (e) {
+      this.logger.logError(`Advancing the workflow run ${job.workflowId} failed: ${e instanceof Error ? e.message : inspect(e)}`, e);
+    }
+  };
+
+  /**
+   * Enqueues each Task of the workflow run whose dependencies (those that take part
+   * in the run) have all finished, if their conditions are met. Otherwise, the Task
+   * is skipped, and so are its dependents. A Task is skipped, too, if its job is not
+   * enqueued (e.g. because the Task is skipped or does not allow multiple runs).
+   * The workflow run is removed once all of its Tasks finished or were skipped.
+   * 
+   * @param {string} workflowId
+   * @param {{ tasks: Set.<string>, finished: Map.<string, CameleerJob|null>, pending: Set.<string> }} run
+   * @returns {Promise.<void>}
+   */
+  async _advanceWorkflowRun(workflowId, run) {
+    /** @type {Array.<{ task: Task, upstreamJobs: Array.<CameleerJob> }>} */
+    const ready = [];
+
+    let hasSkipped = true;
+    while (hasSkipped) {
+      hasSkipped = false;
+
+      for (const name of run.tasks) {
+        if (run.finished.has(name) || run.pending.has(name)) {
+          continue;
+        }
+
+        const task = this._tasks.hasOwnProperty(name) ? this._tasks[name] : null
+        , deps = task === null ? [] : task.dependencies.filter(dep => run.tasks.has(dep.task));
+        if (!deps.every(dep => run.finished.has(dep.task))) {
+          continue; // Wait for the remaining dependencies.
+        }
+
+        const upstreamJobs = deps.map(dep => run.finished.get(dep.task));
+        if (task !== null && deps.every((dep, idx) => upstreamJobs[idx] !== null &&
+          (dep.condition === 'always' || upstreamJobs[idx].isDone))) {
+          run.pending.add(name);
+          ready.push({ task, upstreamJobs });
+        } else {
+          this.logger.logInfo(`Task '${name}' is skipped in workflow run ${workflowId}, as its dependencies are not met.`);
+          run.finished.set(name, null);
+          hasSkipped = true;
+        }
+      }
+    }
+
+    if (run.pending.size === 0 && run.finished.size === run.tasks.size) {
+      this._workflowRuns.delete(workflowId);
+    }
+
+    for (const { task, upstreamJobs } of ready) {
+      this.logger.logInfo(`Task '${task.name}' is enqueued as a dependent of job(s) ${upstreamJobs.map(j => `#${j.id}`).join(', ')} in workflow run ${workflowId}.`);
+      const job = await this._scheduleTask(task,
+        new DependencyScheduleEvent(task.config.schedule, workflowId, upstreamJobs));
+
+      if (job === null) {
+        run.pending.delete(task.name);
+        run.finished.set(task.name, null);
+        await this._advanceWorkflowRun(workflowId, run);
+      }
+    }
+  };
+
+  /**
+   * @param {Task} task
+   * @returns {CircuitBreakerState} The state of the Task's circuit breaker (see
+   * TaskConfig::circuitBreaker), as kept in its static context.
+   */
+  _getCircuitBreakerState(task) {
+    const state = task.staticContext === null ? void 0 : task.staticContext[staticContextCircuitBreakerKey];
+    return state === void 0 || state === null ? { state: 'closed', numFailures: 0, openedAt: null } : state;
+  };
+
+  /**
+   * @param {Task} task
+   * @param {CircuitBreakerState} state
+   */
+  _setCircuitBreakerState(task, state) {
+    if (task.staticContext !== null) {
+      // Replaced as a whole, so that the static context is saved:
+      task.staticContext[staticContextCircuitBreakerKey] = state;
+    }
+  };
+
+  /**
+   * Checks whether a job of the Task may be enqueued. An open circuit becomes half-
+   * open once its time is up; it then lets one job through as a probe.
+   * 
+   * @param {Task} task
+   * @returns {'closed'|'open'|'probe'} 'open' if the run has to be skipped, and
+   * 'probe' if the job is the probe of a half-open circuit.
+   */
+  _checkCircuitBreaker(task) {
+    const conf = task.circuitBreaker;
+    if (conf === null) {
+      return 'closed';
+    }
+
+    const cbState = this._getCircuitBreakerState(task);
+    if (cbState.state === 'open' && +new Date(cbState.openedAt) + conf.openSecs * 1e3 <= Date.now()) {
+      this.logger.logInfo(`The circuit breaker of task '${task.name}' is half-open.`);
+      this._setCircuitBreakerState(task, Object.assign({}, cbState, { state: 'halfOpen' }));
+      return this._circuitProbes.has(task) ? 'open' : 'probe';
+    } else if (cbState.state === 'halfOpen') {
+      return this._circuitProbes.has(task) ? 'open' : 'probe';
+    }
+
+    return cbState.state === 'open' ? 'open' : 'closed';
+  };
+
+  /**
+   * Releases the Task's probe (if the given job is the probe), e.g. because it was
+   * interrupted or cancelled before it ran. The circuit then lets another probe through.
+   * 
+   * @param {CameleerJob} job
+   */
+  _releaseCircuitProbe(job) {
+    if (this._circuitProbes.get(job.task) === job) {
+      this._circuitProbes.delete(job.task);
+    }
+  };
+
+  /**
+   * Updates the state of the circuit breaker of the job's Task, after the job
+   * finished. Emits a CameleerWorkEvent if the circuit opens or closes.
+   * 
+   * @param {CameleerJob} job
+   */
+  _updateCircuitBreaker(job) {
+    const task = job.task, conf = task.circuitBreaker;
+    this._releaseCircuitProbe(job);
+    if (conf === null || job.isCancelled) {
+      return;
+    }
+
+    const cbState = this._getCircuitBreakerState(task);
+    if (job.isDone) {
+      this._setCircuitBreakerState(task, { state: 'closed', numFailures: 0, openedAt: null });
+      if (cbState.state !== 'closed') {
+        this.logger.logInfo(`The circuit breaker of task '${task.name}' closed.`);
+        this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerCircuitClosed, task, job));
+      }
+      return;
+    }
+
+    const numFailures = cbState.numFailures + 1;
+    if (cbState.state === 'halfOpen' || (cbState.state === 'closed' && numFailures >= conf.failureThreshold)) {
+      this._setCircuitBreakerState(task, { state: 'open', numFailures, openedAt: (new Date()).toISOString() });
+      this.logger.logWarning(`The circuit breaker of task '${task.name}' opened after ${numFailures} failed job(s). Its runs are skipped for ${conf.openSecs} seconds.`);
+      this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerCircuitOpened, task, job));
+    } else {
+      this._setCircuitBreakerState(task, Object.assign({}, cbState, { numFailures }));
+    }
+  };
+
+  /**
+   * Removes a loaded Task's schedule from the internal schedulers and then removes
+   * the Task from the internal bag. Running Jobs of the Task are not affected.
+   * 
+   * @param {Task} task
+   * @param {boolean} [teardownSchedule] Optional. Defaults to true. Whether to tear
+   * down the Task's schedule. Pass false if the schedule is going to be re-used.
+   * @param {boolean} [removeEnqueuedJobs] Optional. Defaults to false. Whether to
+   * remove the Task's Jobs that wait in any of the queues' backlogs.
+   * @returns {Promise.<void>}
+   */
+  async _unloadTask(task, teardownSchedule = true, removeEnqueuedJobs = false) {
+    if (this._taskSubscriptions.has(task)) {
+      this._taskSubscriptions.get(task).unsubscribe();
+      this._taskSubscriptions.delete(task);
+    }
+
+    this._schedulers.removeSchedule(task.config.schedule);
+    if (teardownSchedule) {
+      await task.config.schedule.teardown();
+    }
+
+    if (removeEnqueuedJobs) {
+      for (const cq of this._queuesArr) {
+        cq.queue.queue.asArray.filter(job => job.task === task).forEach(job => {
+          cq.queue.removeJobFromBacklog(job);
+          this._unsubscribeJob(job);
+          this._unpersistJob(job);
+          this._recordJob(job, 'interrupted');
+        });
+      }
+    }
+
+    this._taskSources.delete(task);
+    delete this._tasks[task.name];
+  };
+
+  /**
+   * @param {Task} task A loaded Task.
+   * @param {TaskConfig|Task} confOrTask
+   * @returns {Promise.<boolean>} True, if the given TaskConfig or Task is still
+   * enabled and is the one the loaded Task was created from, or if it is a
+   * TaskConfig that is structurally equal to it and has the same functions (see
+   * _getTaskConfigFunctions()). The fingerprint disregards the property 'enabled',
+   * so it is resolved and checked separately.
+   */
+  async _isTaskUnchanged(task, confOrTask) {
+    const isEnabled = confOrTask instanceof Task ? confOrTask.config.enabled :
+      await Resolve.optionalToValue(true, confOrTask.enabled, Boolean);
+    if (!isEnabled) {
+      return false;
+    }
+
+    const { source, fingerprint, functions } = this._taskSources.get(task);
+    if (source === confOrTask) {
+      return true;
+    }
+
+    if (fingerprint === null || confOrTask instanceof Task
+      || fingerprint !== Cameleer._createTaskConfigFingerprint(confOrTask)) {
+      return false;
+    }
+
+    const newFunctions = Cameleer._getTaskConfigFunctions(confOrTask);
+    return functions.length === newFunctions.length
+      && functions.every((func, idx) => func === newFunctions[idx]);
   };
 
   /**
    * Removes all tasks' schedules from the internal schedulers and then removes the
    * tasks from the internal bag. Note that this action does not interrupt running
    * tasks by any means.
-   * Also, this method removes all enqueued jobs from the internal queues.
+   * Also, this method removes all enqueued jobs from the internal queues (and from
+   * the durable backlog, if there is one).
    * 
    * @returns {Promise.<this>}
    */
   async clearTasks() {
+    return await this._clearTasks(false);
+  };
+
+  /**
+   * @see {clearTasks()}
+   * @param {boolean} keepDurableBacklog If true, the enqueued jobs are kept in the
+   * durable backlog (if there is one), so that they are restored on the next call
+   * of loadTasks(). This is the case when Cameleer is shut down.
+   * @returns {Promise.<this>}
+   */
+  async _clearTasks(keepDurableBacklog) {
+    clearTimeout(this._resourceCheckTimeout);
+    this._resourceCheckTimeout = null;
+
     for (const cq of this._queuesArr) {
-      cq.queue.clearBacklog();
+      cq.queue.clearBacklog().forEach(job => {
+        this._unsubscribeJob(job);
+        if (keepDurableBacklog) {
+          this._backlogJobs.delete(job);
+        } else {
+          this._unpersistJob(job);
+        }
+        this._recordJob(job, 'interrupted');
+      });
     }
 
     for (const task of this._tasksArr) {
-      this._getSchedulerForSchedule(task.config.schedule)
-        .removeSchedule(task.config.schedule);
-      await task.config.schedule.teardown();
-      delete this._tasks[task.name];
+      await this._unloadTask(task);
     }
 
+    this._workflowRuns.clear();
+    this._circuitProbes.clear();
+    this._hasLoadedTasks = false;
     this.logger.logInfo('Cleared all tasks.');
 
     return this;
@@ -775,12 +2322,15 @@ class Cameleer extends EventEmitter {
   
   /**
    * Loads all tasks from the ConfigProvider and puts their schedule into the internal
-   * schedulers.
+   * schedulers. Then, the jobs of the durable backlog (if there is one) are restored
+   * (see CameleerConfig::backlog), and the runs that were missed while Cameleer was
+   * not running are caught up on (see TaskConfig::misfirePolicy).
    * 
    * @throws {Error} if
    * - there are tasks currently loaded,
    * - some of the tasks' names are not unique,
-   * - a Task cannot be instantiated from a configuration
+   * - a Task cannot be instantiated from a configuration,
+   * - the dependencies of the tasks form a cycle (see TaskConfig::dependsOn)
    * @returns {Promise.<this>}
    */
   async loadTasks() {
@@ -788,74 +2338,131 @@ class Cameleer extends EventEmitter {
       throw new Error(`There are tasks currently loaded. Those need to be cleared first.`);
     }
 
-    /** @type {Array.<TaskConfig|Task>} */
-    const allConfigs = await this._configProvider.getAllTaskConfigs()
-    , allConfigNames = allConfigs.map(c => c.name);
+    // The dates of the Tasks' last scheduled runs, before any of them can run again:
+    const lastFired = Object.assign({},
+      (await this._loadStaticTaskContext())[staticContextLastFiredKey]);
 
-    if (allConfigNames.length !== (new Set(allConfigNames)).size) {
-      throw new Error(`Some of the tasks' names are not unique.`);
+    /** @type {Array.<{ task: Task, source: TaskConfig|Task, fingerprint: string|null, functions: Array.<Function> }>} */
+    const created = [];
+    for (const confOrTask of await this._getAllTaskConfigs()) {
+      created.push(await this._createTask(confOrTask));
     }
 
-    const staticContext = await this._loadStaticTaskContext();
+    this._validateTaskDependencies(created.map(c => c.task));
+    for (const { task, source, fingerprint, functions } of created) {
+      await this._loadTask(task, source, fingerprint, functions);
+    }
+
+    this._hasLoadedTasks = true;
+    await this._restoreBacklog();
+    await this._catchUpMisfires(lastFired);
+    return this;
+  };
 
-    for (let confOrTask of allConfigs) {
-      if (!(confOrTask instanceof Task)) {
-        confOrTask.enabled = await Resolve.optionalToValue(true, confOrTask.enabled, Boolean);
-        confOrTask = Task.fromConfiguration(confOrTask, this._config.defaults);
+  /**
+   * Reloads all tasks from the ConfigProvider without disrupting the tasks that
+   * have not changed. Tasks that were removed from the ConfigProvider (or are not
+   * enabled anymore) are unloaded and their enqueued Jobs are removed. Tasks whose
+   * configuration has changed are replaced, and new tasks are loaded. Running Jobs
+   * are never affected, and neither are the Jobs of unchanged tasks.
+   * 
+   * All new configurations are instantiated before any changes are applied, so
+   * that an invalid configuration leaves the loaded tasks untouched.
+   * 
+   * @throws {Error} if
+   * - some of the tasks' names are not unique,
+   * - a Task cannot be instantiated from a configuration,
+   * - the dependencies of the tasks form a cycle (see TaskConfig::dependsOn)
+   * @returns {Promise.<{ added: Array.<string>, removed: Array.<string>, replaced: Array.<string>, unchanged: Array.<string> }>}
+   * The names of the affected tasks.
+   */
+  async reloadTasks() {
+    const allConfigs = await this._getAllTaskConfigs()
+    , allConfigNames = new Set(allConfigs.map(c => c.name))
+    , summary = { added: [], removed: [], replaced: [], unchanged: [] };
+
+    /** @type {Array.<{ task: Task, source: TaskConfig|Task, fingerprint: string|null, functions: Array.<Function>, loaded: Task|null }>} */
+    const toLoad = [];
+    /** @type {Array.<Task>} */
+    const unchanged = [];
+    for (const confOrTask of allConfigs) {
+      const loaded = this._tasks.hasOwnProperty(confOrTask.name) ?
+        this._tasks[confOrTask.name] : null;
+
+      if (loaded !== null && await this._isTaskUnchanged(loaded, confOrTask)) {
+        summary.unchanged.push(loaded.name);
+        unchanged.push(loaded);
+        continue;
       }
 
-      /** @type {Task} */
-      const task = confOrTask;
+      toLoad.push(Object.assign(await this._createTask(confOrTask), { loaded }));
+    }
 
-      // For each Task, all running instances (Jobs) share a static context.
-      const taskContextName = `${task.constructor.name}_${task.name}`;
-      staticContext[taskContextName] = createObservableValue((target, prop, val, proxy) => {
-        if (this._staticContextSaveTimeout !== null) {
-          clearTimeout(this._staticContextSaveTimeout);
-          this._staticContextSaveTimeout = null;
-        }
-  
-        if (this._config.defaults.staticTaskContextSerializeInterval > 0) {
-          this._staticContextSaveTimeout = setTimeout(async() => {
-            this._staticContextSaveTimeout = null;
-            await this._saveStaticTaskContext();
-          }, this._config.defaults.staticTaskContextSerializeInterval);
-        }
-      }, taskContextName in staticContext ? staticContext[taskContextName] : {});
-      task._staticContext = staticContext[taskContextName];
+    this._validateTaskDependencies(unchanged.concat(toLoad.map(tl => tl.task)));
 
 
-      // For each run of the task, we'll enter a scope (and exit it as well)
-      task.logger = this.getLogger(task.constructor);
+    for (const task of this._tasksArr.filter(t => !allConfigNames.has(t.name))) {
+      await this._unloadTask(task, true, true);
+      summary.removed.push(task.name);
+    }
 
-      this.logger.logDebug(`Loaded task '${task.name}'.`);
+    for (const { task, source, fingerprint, functions, loaded } of toLoad) {
+      if (loaded !== null) {
+        await this._unloadTask(loaded,
+          loaded.config.schedule !== task.config.schedule, !task.config.enabled);
+      }
 
-      if (!task.config.enabled) {
-        continue; // Do not use this task at all.
+      const isLoaded = await this._loadTask(task, source, fingerprint, functions);
+      if (loaded === null) {
+        if (isLoaded) {
+          summary.added.push(task.name);
+        }
+      } else {
+        (isLoaded ? summary.replaced : summary.removed).push(task.name);
       }
+    }
 
-      this._tasks[confOrTask.name] = task;
-      this._getSchedulerForSchedule(task.config.schedule)
-        .addSchedule(task.config.schedule)
-        .getObservableForSchedule(task.config.schedule).subscribe(async schedEvent => {
-          if (schedEvent instanceof CalendarEventSimple && schedEvent.isEndOfEvent) {
-            // As for Cameleer's scheduling matters, neither are we interested in
-            // when an event (that triggers a task) ends or how long it lasts.
-            return;
-          }
+    this._hasLoadedTasks = true;
+    this.logger.logInfo(`Reloaded tasks. Added: ${summary.added.length}, removed: ${summary.removed.length}, replaced: ${summary.replaced.length}, unchanged: ${summary.unchanged.length}.`);
 
-          this.logger.logInfo(`Enqueueing task '${task.name}'.`);
-          
-          // We don't have a Job yet but should emit the scheduling request.
-          this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerSchedule, task));
+    return summary;
+  };
 
-          // We await this, so that _isTaskEnqueued does not cause race-conditions
-          // if symbolCameleerSchedule is observed.
-          await this._enqueueTask(task, schedEvent);
-        });
+  /**
+   * Triggers a loaded Task immediately, regardless of its schedule. The Task is
+   * scheduled like it would be by its schedule (i.e. symbolCameleerSchedule is
+   * emitted and the properties skip and allowMultiple are honored), using a
+   * synthetic TriggerScheduleEvent.
+   * 
+   * @param {string} name The name of a loaded Task.
+   * @param {Object} [options] Optional. Defaults to {}.
+   * @param {Array.<any>} [options.args] Optional. Defaults to []. Arguments that
+   * are made available to the Job's functional tasks as CameleerJob::args.
+   * @param {Object.<string, any>} [options.context] Optional. Defaults to {}. The
+   * initial values of the Job's context.
+   * @param {number} [options.priority] Optional. Defaults to undefined. If given,
+   * it overrides the priority of the Task for this Job (see TaskConfig::priority).
+   * @throws {Error} If no Task with the given name is loaded.
+   * @returns {Promise.<CameleerJob|null>} The Job that was enqueued or null, if the
+   * Task was not enqueued (e.g. skipped). Use CameleerJob::donePromise to await the
+   * Job's outcome.
+   */
+  async triggerTask(name, { args = [], context = {}, priority = void 0 } = {}) {
+    if (!this._tasks.hasOwnProperty(name)) {
+      throw new Error(`The task '${name}' is not loaded.`);
+    }
+    if (!Array.isArray(args)) {
+      throw new Error(`The arguments for task '${name}' must be an Array.`);
+    }
+    if (priority !== void 0 && (typeof priority !== 'number' || isNaN(priority))) {
+      throw new Error(`The priority for task '${name}' must be a number.`);
     }
 
-    return this;
+    const task = this._tasks[name];
+    this.logger.logInfo(`Task '${task.name}' was triggered manually.`);
+
+    return await this._scheduleTask(task,
+      new TriggerScheduleEvent(task.config.schedule, args, context, priority === void 0 ? null : priority));
   };
 
   /**
@@ -893,14 +2500,57 @@ class Cameleer extends EventEmitter {
   };
 
   /**
-   * Calling this method will resume all of Cameleer's queues.
+   * Cancels the job with the given ID. A job that is enqueued is removed from its
+   * queue's backlog (and from the durable backlog) and fails immediately. A job
+   * that is running is aborted (see CameleerJob::signal): its current functional
+   * task is not awaited anymore and the job fails. A job that is pending a
+   * premature interruption is interrupted. In either case, the job fails with an
+   * AttemptError of type 'cancelled' and a CameleerWorkEvent of type
+   * symbolCameleerCancelled is emitted.
+   * 
+   * @param {number} jobId The ID of a job that is pending, enqueued or running.
+   * @returns {CameleerJob|null} The job that was cancelled, or null if no such job
+   * is pending, enqueued or running.
+   */
+  cancelJob(jobId) {
+    const job = this.getJob(jobId);
+
+    if (job === null || job.isDone || job.hasFailed) {
+      return null; // Finished jobs may linger in their queue for a moment
+    } else if (this.isJobInterruptable(job)) {
+      this.interruptJob(job);
+      job.cancel();
+    } else if (job.isRunning) {
+      if (!job.cancel()) {
+        return null;
+      }
+    } else {
+      this._queuesArr.find(cq => cq.name === job.queueName).queue.removeJobFromBacklog(job);
+      this._unsubscribeJob(job);
+      job.cancel();
+      this._unpersistJob(job);
+      this._recordJob(job, 'failed', new AttemptError(
+        'cancelled', AttemptError.ErrorTypes.cancelled, job.abortSignal.reason));
+      this._releaseCircuitProbe(job);
+      this._continueWorkflowRun(job);
+    }
+
+    this.logger.logWarning(`Job #${job.id} (${job.task.name}) was cancelled.`);
+    this.emit(symbolCameleerWork, new CameleerWorkEvent(symbolCameleerCancelled, job.task, job));
+    return job;
+  };
+
+  /**
+   * Calling this method will resume all of Cameleer's queues (except for those
+   * that are disabled or were paused individually, see pauseQueue()).
    * 
    * @returns {this}
    */
   run() {
     this._initKeepAlive();
     this.logger.logInfo('Running all queues.');
-    this._queuesArr.forEach(cq => cq.queue.resume());
+    this._isRunning = true;
+    this._queuesArr.forEach(cq => cq.applyRunState(this._isRunning));
     return this;
   };
 
@@ -933,7 +2583,8 @@ class Cameleer extends EventEmitter {
    */
   pause() {
     this.logger.logInfo('Pausing all queues.');
-    this._queuesArr.forEach(cq => cq.queue.pause());
+    this._isRunning = false;
+    this._queuesArr.forEach(cq => cq.applyRunState(this._isRunning));
     return this;
   };
 
@@ -972,6 +2623,146 @@ class Cameleer extends EventEmitter {
     return deferred.promise;
   };
 
+  /**
+   * @param {string} name
+   * @throws {Error} If there is no queue with the given name.
+   * @returns {CameleerQueue}
+   */
+  _getQueue(name) {
+    if (!this._queues.hasOwnProperty(name)) {
+      throw new Error(`The queue '${name}' does not exist.`);
+    }
+    return this._queues[name];
+  };
+
+  /**
+   * Adds a new queue. It runs its jobs if Cameleer is running and the queue is
+   * enabled.
+   * 
+   * @param {CameleerQueueConfig} queueConfig
+   * @throws {Error} If the configuration is not valid, a queue with the same name
+   * exists or the queue would be a second enabled default queue of its type.
+   * @returns {CameleerQueue} The new queue.
+   */
+  addQueue(queueConfig) {
+    Cameleer._checkAgainstSchema(queueConfig, CameleerQueueConfigSchema);
+    if (this._queues.hasOwnProperty(queueConfig.name)) {
+      throw new Error(`A queue with the name '${queueConfig.name}' exists already.`);
+    }
+    Cameleer._checkDefaultQueues(this._queuesArr.map(cq => cq.config).concat(queueConfig));
+
+    const cq = this._queues[queueConfig.name] = this._gateQueue(new CameleerQueue(
+      queueConfig, this.getLogger(CameleerQueue.name)));
+    cq.applyRunState(this._isRunning);
+
+    this.logger.logInfo(`Added queue '${cq.name}'.`);
+    return cq;
+  };
+
+  /**
+   * Changes the configuration of a queue at runtime, e.g. its parallelism or
+   * capabilities, or whether it is enabled. A disabled queue does not run its
+   * jobs (the running jobs are not affected) and is not selected for new jobs.
+   * 
+   * @param {string} name The name of the queue.
+   * @param {CameleerQueueChanges} changes
+   * @throws {Error} If there is no such queue, the changes are not valid (e.g. the
+   * parallelism of a cost queue), or the queue would be a second enabled default
+   * queue of its type.
+   * @returns {CameleerQueue} The updated queue.
+   */
+  updateQueue(name, changes) {
+    const cq = this._getQueue(name);
+    Cameleer._checkAgainstSchema(changes, CameleerQueueChangesSchema);
+
+    const invalid = Object.keys(changes).filter(key => cq.isParallel ?
+      ['capabilities', 'allowExclusiveJobs'].includes(key) : key === 'parallelism');
+    if (invalid.length > 0) {
+      throw new Error(`The ${cq.isParallel ? 'parallel' : 'cost'} queue '${name}' does not support the properties ${invalid.map(k => `'${k}'`).join(', ')}.`);
+    }
+    Cameleer._checkDefaultQueues(this._queuesArr.map(q =>
+      q === cq ? Object.assign({}, q.config, changes) : q.config));
+
+    cq.update(changes).applyRunState(this._isRunning);
+    return cq;
+  };
+
+  /**
+   * Pauses a single queue, so that it does not run any more jobs (the running jobs
+   * are not affected), until it is resumed using resumeQueue(). Unlike pause(), this
+   * state is kept when Cameleer is paused and run again.
+   * 
+   * @param {string} name The name of the queue.
+   * @throws {Error} If there is no such queue.
+   * @returns {CameleerQueue}
+   */
+  pauseQueue(name) {
+    const cq = this._getQueue(name);
+    this.logger.logInfo(`Pausing queue '${name}'.`);
+    cq.isPausedIndividually = true;
+    return cq.applyRunState(this._isRunning);
+  };
+
+  /**
+   * Resumes a queue that was paused using pauseQueue(). The queue only runs its
+   * jobs if Cameleer is running and the queue is enabled.
+   * 
+   * @param {string} name The name of the queue.
+   * @throws {Error} If there is no such queue.
+   * @returns {CameleerQueue}
+   */
+  resumeQueue(name) {
+    const cq = this._getQueue(name);
+    this.logger.logInfo(`Resuming queue '${name}'.`);
+    cq.isPausedIndividually = false;
+    return cq.applyRunState(this._isRunning);
+  };
+
+  /**
+   * @param {CameleerQueue} cq
+   * @returns {boolean} True, if the queue has no running or enqueued jobs.
+   */
+  _isQueueDrained(cq) {
+    return cq.queue.backlog === 0 && cq.queue.numJobsRunning === 0;
+  };
+
+  /**
+   * Removes a queue, once it was drained: from now on, the queue is not selected
+   * for new jobs, but it runs the jobs that were enqueued already. Therefore, the
+   * returned Promise only resolves while Cameleer is running and the queue is
+   * enabled and not paused individually.
+   * 
+   * @param {string} name The name of the queue.
+   * @throws {Error} If there is no such queue, or it is being removed already.
+   * @returns {Promise.<CameleerQueue>} Resolves with the removed queue.
+   */
+  async removeQueue(name) {
+    const cq = this._getQueue(name);
+    if (cq.isRemoving) {
+      throw new Error(`The queue '${name}' is being removed already.`);
+    }
+
+    cq.isRemoving = true;
+    this.logger.logInfo(`Draining queue '${name}' to remove it.`);
+
+    if (!this._isQueueDrained(cq)) {
+      const deferred = defer(), that = this;
+      // Enqueued jobs may also be cancelled:
+      merge(cq.queue.observableDone, cq.queue.observableFailed, this.observableWork).subscribe(function() {
+        if (that._isQueueDrained(cq)) {
+          this.unsubscribe();
+          deferred.resolve();
+        }
+      });
+      await deferred.promise;
+    }
+
+    delete this._queues[name];
+    cq.queue.pause();
+    this.logger.logInfo(`Removed queue '${name}'.`);
+    return cq;
+  };
+
   /**
    * Shuts down this instance by awaiting pause(), then clears all tasks
    * (loaded and backlog) and finally emits the shutdown-symbol, before
@@ -983,7 +2774,7 @@ class Cameleer extends EventEmitter {
     this.logger.logInfo('Shutting down asynchronously..');
     await this.pauseWait();
 
-    await this.clearTasks();
+    await this._clearTasks(true);
 
     for (const ctrl of this._controllers) {
       await ctrl.teardown();
@@ -997,6 +2788,11 @@ class Cameleer extends EventEmitter {
     this._managers.splice(0, this._managers.length);
     this.logger.logInfo('Teared down all Managers.');
 
+    await this._jobHistory.teardown();
+    if (this._backlog !== null) {
+      await this._backlog.teardown();
+    }
+
     if (this._promiseRejectionHandler instanceof Function) {
       process.removeListener('unhandledRejection', this._promiseRejectionHandler);
     }
@@ -1011,6 +2807,7 @@ class Cameleer extends EventEmitter {
       this._staticContextSaveTimeout = null;
     }
 
+    this._configChangedSubscription.unsubscribe();
     clearTimeout(this._keepAliveInterval);
     this.emit(symbolCameleerShutdown);
     this.logger.logInfo('Shutdown complete.');
@@ -1050,8 +2847,10 @@ class CameleerJob extends Job {
    * @param {Task} task 
    * @param {ResolvedConfig} resolvedConfig
    * @param {ScheduleEvent.<*, *>} schedEvent
+   * @param {SchedulerRegistry} [schedulers] Optional. Defaults to null. The registry
+   * of schedulers for the RunAttempts of this job (a new one is created if null).
    */
-  constructor(task, resolvedConfig, schedEvent) {
+  constructor(task, resolvedConfig, schedEvent, schedulers = null) {
     super(async() => await this._attempt());
 
     if (!(task instanceof Task)) {
@@ -1065,14 +2864,91 @@ class CameleerJob extends Job {
     this.logger = task.hasLogger ? task.logger : new DevNullLogger(CameleerJob);
     this.conf = resolvedConfig;
     this.schedEvent = schedEvent;
+    /**
+     * The date the job was scheduled (or originally scheduled, if the job was
+     * restored from the durable backlog or catches up a missed run).
+     * 
+     * @type {Date}
+     */
+    this.scheduledAt = schedEvent instanceof RestoredScheduleEvent ?
+      new Date(schedEvent.descriptor.scheduledAt) : (schedEvent instanceof MisfireScheduleEvent ?
+        new Date(schedEvent.missedAt) : new Date());
+    this.schedulers = schedulers instanceof SchedulerRegistry ? schedulers : new SchedulerRegistry();
     this._id = ++jobIdCount;
+    /**
+     * The ID of the workflow run this job belongs to (see TaskConfig::dependsOn).
+     * A job that was not enqueued as a dependent starts a new workflow run.
+     * 
+     * @type {string}
+     */
+    this.workflowId = schedEvent instanceof DependencyScheduleEvent ? schedEvent.workflowId :
+      (schedEvent instanceof RestoredScheduleEvent && typeof schedEvent.descriptor.workflowId === 'string' ?
+        schedEvent.descriptor.workflowId : randomUUID());
 
     if (this.conf.cost !== null) {
       this._cost = this.conf.cost;
     }
 
-    /** @type {Array.<{ name: string, attempt: RunAttempt }>} */
+    /**
+     * The priority of this job in the backlog of its queue (see TaskConfig::priority).
+     * A manual trigger may override the Task's priority.
+     * 
+     * @type {number}
+     */
+    this.priority = schedEvent instanceof TriggerScheduleEvent && typeof schedEvent.priority === 'number' ?
+      schedEvent.priority : (typeof this.conf.priority === 'number' ? this.conf.priority : 0);
+
+    /**
+     * The name of the CameleerQueue this job was enqueued in, or null if it was
+     * not enqueued (yet).
+     * 
+     * @type {string|null}
+     */
+    this.queueName = null;
+    /**
+     * The date this job started running, or null.
+     * 
+     * @type {Date|null}
+     */
+    this.startedAt = null;
+
+    /** @type {Array.<{ name: string, attempt: RunAttempt, result: Result }>} */
     this._funcTasksDone = [];
+    /**
+     * The amount of the job's (top-level) functional tasks that are done (or were
+     * skipped), see functionalTasksProgress.
+     * 
+     * @type {number}
+     */
+    this._numFuncTasksDone = 0;
+    /** @type {string|null} */
+    this._funcTaskCurrent = null;
+    /** @type {{ name: string, attempt: RunAttempt }|null} */
+    this._funcTaskFailed = null;
+    /** @type {Array.<{ name: string, attempt: RunAttempt, result: Result|null, error: AttemptError|null }>} */
+    this._compensations = [];
+    /**
+     * The attempt of the functional task that is currently running (it is set
+     * by the RunAttempt itself), or null.
+     * 
+     * @type {RunAttempt|null}
+     */
+    this.currentAttempt = null;
+
+    /**
+     * Aborted if the whole job is aborted, i.e. if it times out (see
+     * TaskConfig::timeoutSecs) or is cancelled (see cancel()).
+     * 
+     * @type {AbortController}
+     */
+    this._abortController = new AbortController();
+
+    /**
+     * @type {Array.<any>}
+     * 
+     * Arguments given to a manual trigger of the task. Empty for scheduled runs.
+     */
+    this._args = schedEvent instanceof TriggerScheduleEvent ? schedEvent.args.slice(0) : [];
 
     /**
      * @type {Object.<string, any>}
@@ -1080,7 +2956,8 @@ class CameleerJob extends Job {
      * This object is a shared memory for all functional tasks to arbitrarily store any kind
      * of information in, so that it can be passed along easily.
      */
-    this._context = {};
+    this._context = schedEvent instanceof TriggerScheduleEvent || schedEvent instanceof DependencyScheduleEvent ?
+      Object.assign({}, schedEvent.context) : {};
 
     /**
      * @type {Array.<Result>}
@@ -1099,22 +2976,180 @@ class CameleerJob extends Job {
   };
 
   /**
-   * @returns {Array.<{ name: string, attempt: RunAttempt }>} An Array with
-   * the names of functional tasks that are already done, in the order they
-   * were executed. The name of a functional task is preceded by its index
-   * (starts with 0) and followed by an optional name (if it defines one).
+   * @returns {boolean} True, if the job was triggered manually (as opposed to by
+   * its Task's schedule).
+   */
+  get isManual() {
+    return this.schedEvent instanceof RestoredScheduleEvent ?
+      !!this.schedEvent.descriptor.isManual : this.schedEvent instanceof TriggerScheduleEvent;
+  };
+
+  /**
+   * @returns {Array.<CameleerJob>} The finished jobs of this job's dependencies, if
+   * it was enqueued as a dependent (see TaskConfig::dependsOn); empty otherwise.
+   */
+  get upstreamJobs() {
+    return this.schedEvent instanceof DependencyScheduleEvent ?
+      this.schedEvent.upstreamJobs.slice(0) : [];
+  };
+
+  /**
+   * @returns {AbortSignal} The signal of the whole job. It is aborted if the job
+   * times out (see TaskConfig::timeoutSecs) or is cancelled.
+   */
+  get abortSignal() {
+    return this._abortController.signal;
+  };
+
+  /**
+   * @returns {boolean} True, if this job was cancelled.
+   */
+  get isCancelled() {
+    return this.abortSignal.aborted && this.abortSignal.reason instanceof CancellationError;
+  };
+
+  /**
+   * Cancels this job, which then fails with an AttemptError of type 'cancelled'.
+   * If the job is running, its signal is aborted and its current functional task
+   * is not awaited anymore. If the job was not run yet, it fails immediately; it
+   * must then not be run anymore (i.e. it has to be removed from its queue's
+   * backlog, see Cameleer::cancelJob()).
+   * 
+   * @param {string} [message] Optional. Defaults to a message that names this job.
+   * @returns {boolean} True, if the job was cancelled, false if it had already
+   * finished (or was aborted).
+   */
+  cancel(message = `Job #${this.id} (${this.task.name}) was cancelled.`) {
+    if (this.isDone || this.hasFailed || this.abortSignal.aborted) {
+      return false;
+    }
+
+    this._abortController.abort(new CancellationError(message));
+    if (!this.isRunning) {
+      // The job will not be run, so nothing else handles the rejection (like
+      // Job::run() does), and awaiting the job is optional:
+      this.donePromise.catch(() => {});
+      this._hasFailed = true;
+      this._deferred.reject(new JobFailError(new AttemptError(
+        'cancelled', AttemptError.ErrorTypes.cancelled, this.abortSignal.reason)));
+    }
+
+    return true;
+  };
+
+  /**
+   * The signal that functional tasks should observe in order to stop cleanly
+   * (e.g. by passing it to APIs that accept an AbortSignal). It is the signal of
+   * the currently running attempt of a functional task, and is aborted if either
+   * the attempt (see FunctionalTaskConfig::timeoutSecs) or the whole job times
+   * out. Once aborted, the functional task's result is not awaited anymore.
+   * 
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.currentAttempt !== null && this.currentAttempt.signal !== null ?
+      this.currentAttempt.signal : this.abortSignal;
+  };
+
+  /**
+   * @returns {Array.<{ name: string, attempt: RunAttempt, result: Result }>} An
+   * Array with the names of functional tasks that are already done, in the order
+   * they were executed. The name of a functional task is preceded by its index
+   * (starts with 1) and followed by an optional name (if it defines one). The
+   * functional tasks of a parallel group are listed individually (e.g. '2.1'),
+   * as is each iteration of a forEach-functional task (e.g. '3[0]').
    */
   get functionalTasksDone() {
     return this._funcTasksDone.slice(0);
   };
 
+  /**
+   * @returns {{ name: string, attempt: RunAttempt }|null} The functional task that
+   * failed and made this Job fail, or null (named like in functionalTasksDone).
+   */
+  get functionalTaskFailed() {
+    return this._funcTaskFailed;
+  };
+
+  /**
+   * @returns {Array.<{ name: string, attempt: RunAttempt, result: Result|null, error: AttemptError|null }>}
+   * The compensations (see FunctionalTaskConfig::undo) that were run after this
+   * job failed, in the order they were run. Each is named like the functional
+   * task it compensates. The error is set if the compensation finally failed and
+   * must not continue (the remaining compensations were not run then).
+   */
+  get compensations() {
+    return this._compensations.slice(0);
+  };
+
+  /**
+   * @returns {string|null} The name of the functional task that is currently
+   * running (named like in functionalTasksDone), or null.
+   */
+  get currentFunctionalTask() {
+    return this._funcTaskCurrent;
+  };
+
+  /**
+   * @returns {'pending'|'enqueued'|'running'|'done'|'failed'} The state of this
+   * job. A job is pending before it is enqueued (i.e. while it can still be
+   * interrupted prematurely).
+   */
+  get state() {
+    if (this.isDone) {
+      return 'done';
+    } else if (this.hasFailed) {
+      return 'failed';
+    } else if (this.isRunning) {
+      return 'running';
+    }
+    return this.queueName === null ? 'pending' : 'enqueued';
+  };
+
+  /**
+   * @returns {CameleerJobSnapshot} A serializable snapshot of this job's state.
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      task: this.task.name,
+      queue: this.queueName,
+      workflowId: this.workflowId,
+      upstreamJobIds: this.upstreamJobs.map(job => job.id),
+      state: this.state,
+      isManual: this.isManual,
+      priority: this.priority,
+      isRunning: this.isRunning,
+      isDone: this.isDone,
+      hasFailed: this.hasFailed,
+      isCancelled: this.isCancelled,
+      progress: this.functionalTasksProgress,
+      functionalTasksDone: this._funcTasksDone.map(ftd => ftd.name),
+      currentFunctionalTask: this._funcTaskCurrent,
+      compensations: this._compensations.map(c => ({
+        name: c.name,
+        isError: c.error !== null || c.result.isError
+      })),
+      scheduledAt: this.scheduledAt,
+      startedAt: this.startedAt
+    };
+  };
+
   /**
    * @returns {number} The percentage of functional tasks that are done.
    * The returned value is in the range [0,1].
    */
   get functionalTasksProgress() {
     return this.conf.tasks.length === 0 ? 0 :
-      this._funcTasksDone.length / this.conf.tasks.length;
+      this._numFuncTasksDone / this.conf.tasks.length;
+  };
+
+  /**
+   * @returns {Array.<any>} The arguments given when the Job's task was triggered
+   * manually (empty otherwise).
+   */
+  get args() {
+    return this._args.slice(0);
   };
 
   /**
@@ -1143,6 +3178,212 @@ class CameleerJob extends Job {
       this.results.reverse()[0];
   };
 
+  /**
+   * @param {string} prefix The index (or indexes) of the functional task.
+   * @param {FunctionalTaskConfig} funcTaskConf
+   * @returns {string} The name of the functional task, as used in the log and in
+   * functionalTasksDone.
+   */
+  static _nameFunctionalTask(prefix, funcTaskConf) {
+    return `${prefix}${funcTaskConf.name === void 0 ? '' : ` (${funcTaskConf.name})`}`;
+  };
+
+  /**
+   * Runs a single attempt of a function (see RunAttempt). If it succeeds, it is
+   * added to functionalTasksDone.
+   * 
+   * @param {FunctionalTaskConfig} funcTaskConf
+   * @param {string} fTaskName
+   * @param {boolean} [isConcurrent] Optional. Defaults to false. Whether other
+   * functional tasks may run at the same time (see RunAttempt::useScope).
+   * @param {AbortSignal|null} [groupSignal] Optional. Defaults to null. The signal
+   * of the parallel group the functional task runs in (see RunAttempt::groupSignal).
+   * @returns {Promise.<{ result: Result|null, failure: { name: string, attempt: RunAttempt, error: AttemptError }|null }>}
+   * Never rejects.
+   */
+  async _runFunctionalTask(funcTaskConf, fTaskName, isConcurrent = false, groupSignal = null) {
+    const attempt = new RunAttempt(funcTaskConf, this, fTaskName);
+    attempt.useScope = !isConcurrent;
+    attempt.groupSignal = groupSignal;
+
+    try {
+      this.logger.logDebug(`Attempting Job #${this.id} (functional task #${fTaskName} of task '${this.task.name}')..`);
+      const result = await attempt.run();
+      this._funcTasksDone.push({
+        name: fTaskName,
+        attempt,
+        result
+      });
+      return { result, failure: null };
+    } catch (/** @type {AttemptError} */ attemptErr) {
+      // The attempter will always throw an error of type AttemptError.
+      return { result: null, failure: { name: fTaskName, attempt, error: attemptErr } };
+    }
+  };
+
+  /**
+   * Runs a functional task, which may be a parallel group (whose functional tasks
+   * are run recursively), a loop over an Array in the context (forEach) or a plain
+   * function. A functional task whose condition (when) is not met is skipped.
+   * 
+   * @param {FunctionalTaskConfig} funcTaskConf
+   * @param {string} prefix The index (or indexes) of the functional task, e.g. '2'
+   * or '2.1' (for the first functional task of a parallel group).
+   * @param {boolean} [isConcurrent] Optional. Defaults to false. Whether other
+   * functional tasks may run at the same time (i.e. within a parallel group).
+   * @param {AbortSignal|null} [groupSignal] Optional. Defaults to null. The signal
+   * of the parallel group the functional task runs in, if any.
+   * @returns {Promise.<{ result: Result|null, failure: { name: string, attempt: RunAttempt, error: AttemptError }|null }>}
+   * The result is null if the functional task was skipped or failed. Never rejects.
+   */
+  async _runStep(funcTaskConf, prefix, isConcurrent = false, groupSignal = null) {
+    const fTaskName = CameleerJob._nameFunctionalTask(prefix, funcTaskConf)
+    , fail = (errType, wrappedErr) => ({ result: null, failure: {
+      name: fTaskName,
+      attempt: new RunAttempt(funcTaskConf, this, fTaskName),
+      error: new AttemptError(errType, AttemptError.ErrorTypes[errType], wrappedErr)
+    }});
+
+    if (funcTaskConf.when instanceof Function) {
+      try {
+        if (!await funcTaskConf.when(this)) {
+          this.logger.logDebug(`Skipping functional task #${fTaskName}, as its condition is not met.`);
+          return { result: null, failure: null };
+        }
+      } catch (e) {
+        return fail('condition', e);
+      }
+    }
+
+
+    if (Array.isArray(funcTaskConf.parallel)) {
+      // The group's own signal is aborted along with the signal it runs under, or
+      // once the outcome of its remaining functional tasks is not needed anymore.
+      const parentSignal = groupSignal === null ? this.abortSignal : groupSignal
+      , controller = new AbortController()
+      , onParentAbort = () => controller.abort(parentSignal.reason);
+      if (parentSignal.aborted) {
+        onParentAbort();
+      } else {
+        parentSignal.addEventListener('abort', onParentAbort);
+      }
+
+      /** @type {Array.<{ result: Result|null, failure: { name: string, attempt: RunAttempt, error: AttemptError }|null }>} */
+      let outcomes = null;
+      try {
+        const steps = funcTaskConf.parallel.map((conf, idx) =>
+          this._runStep(conf, `${prefix}.${idx + 1}`, true, controller.signal));
+
+        // With 'any', the first success decides the group's outcome; with 'all', the
+        // first failure does. The other functional tasks are aborted then, and are
+        // awaited, so that none of them completes after the group (or the job).
+        if (funcTaskConf.join !== 'allSettled') {
+          const isAny = funcTaskConf.join === 'any'
+          , first = await CameleerJob._firstSettledWith(steps, outcome =>
+            isAny ? outcome.result !== null : outcome.failure !== null);
+
+          if (first !== null) {
+            controller.abort(new CancellationError(isAny ?
+              `Another functional task of the parallel group #${fTaskName} succeeded first.` :
+              `Another functional task of the parallel group #${fTaskName} failed.`));
+            await Promise.all(steps);
+            return isAny ? { result: Result.fromValue(first.result.value), failure: null } : first;
+          }
+        }
+        outcomes = await Promise.all(steps);
+      } finally {
+        parentSignal.removeEventListener('abort', onParentAbort);
+      }
+      const failures = outcomes.filter(o => o.failure !== null);
+
+      switch (funcTaskConf.join) {
+        case 'any':
+          // None of the functional tasks succeeded:
+          return failures.length === 0 ? { result: Result.fromValue(void 0), failure: null } : failures[0];
+        case 'allSettled':
+          return { result: Result.fromValue(outcomes.map(o => o.failure === null ?
+            o.result : Result.fromError(o.failure.error))), failure: null };
+        default:
+          // None of the functional tasks failed:
+          return { result: Result.fromValue(outcomes.map(o => o.result === null ? void 0 : o.result.value)), failure: null };
+      }
+    } else if (typeof funcTaskConf.forEach === 'string') {
+      const items = this._context[funcTaskConf.forEach];
+      if (!Array.isArray(items)) {
+        return fail('resolveArgs', new Error(`The context's property '${funcTaskConf.forEach}' is not an Array.`));
+      }
+
+      const values = [];
+      for (let idx = 0; idx < items.length; idx++) {
+        const item = items[idx]
+        , outcome = await this._runFunctionalTask(Object.assign({}, funcTaskConf, {
+          args: async() => [item, idx].concat(await Resolve.optionalToValue([], funcTaskConf.args, []))
+        }), CameleerJob._nameFunctionalTask(`${prefix}[${idx}]`, funcTaskConf), isConcurrent, groupSignal);
+
+        if (outcome.failure !== null) {
+          return outcome;
+        }
+        values.push(outcome.result.value);
+      }
+      return { result: Result.fromValue(values), failure: null };
+    }
+
+    return await this._runFunctionalTask(funcTaskConf, fTaskName, isConcurrent, groupSignal);
+  };
+
+  /**
+   * @param {Array.<Promise.<{ result: Result|null, failure: any }>>} steps Steps
+   * that never reject (see _runStep()).
+   * @param {(outcome: { result: Result|null, failure: any }) => boolean} predicate
+   * @returns {Promise.<{ result: Result|null, failure: any }|null>} The outcome of
+   * the step that settles first (in time) with an outcome that satisfies the
+   * predicate, or null once none of them did.
+   */
+  static _firstSettledWith(steps, predicate) {
+    return new Promise(resolve => {
+      let numSettled = 0;
+      steps.forEach(step => step.then(outcome => {
+        numSettled++;
+        if (predicate(outcome)) {
+          resolve(outcome);
+        } else if (numSettled === steps.length) {
+          resolve(null);
+        }
+      }));
+    });
+  };
+
+  /**
+   * Runs the compensations (see FunctionalTaskConfig::undo) of the functional tasks
+   * that are done, in reverse order. A compensation that finally fails and must
+   * not continue prevents the remaining ones from running.
+   * 
+   * @returns {Promise.<void>} Never rejects.
+   */
+  async _runCompensations() {
+    const done = this._funcTasksDone.filter(ftd =>
+      ftd.attempt.conf.undo !== void 0 && !ftd.result.isError).reverse();
+
+    for (const ftd of done) {
+      const undoConf = ftd.attempt.conf.undo
+      , attempt = new RunAttempt(Object.assign({}, undoConf, {
+        args: async() => [ftd.result.value].concat(ftd.attempt.args,
+          await Resolve.optionalToValue([], undoConf.args, []))
+      }), this, `${ftd.name} (undo)`);
+      attempt.isCompensation = true;
+
+      try {
+        this.logger.logDebug(`Compensating functional task #${ftd.name} of Job #${this.id} (${this.task.name})..`);
+        const result = await attempt.run();
+        this._compensations.push({ name: ftd.name, attempt, result, error: null });
+      } catch (/** @type {AttemptError} */ attemptErr) {
+        this._compensations.push({ name: ftd.name, attempt, result: null, error: attemptErr });
+        this.logger.logError(`Compensating functional task #${ftd.name} failed and must not continue, the remaining compensations are not run.`, attemptErr.wrappedErr);
+        break;
+      }
+    }
+  };
+
   /**
    * @throws {JobFailError} If the functional task fails. This method is guaranteed
    * to always throw errors of type JobFailError.
@@ -1151,42 +3392,58 @@ class CameleerJob extends Job {
   async _attempt() {
     const nameScope = this.logger.beginScope(this.task.name);
     const logScope = this.logger.beginScope(`#${this.id}`);
-
+    const timeoutSecs = this.conf.timeoutSecs
+    , timeout = timeoutSecs === null ? null : setTimeout(() => {
+      this.logger.logWarning(`Job #${this.id} (${this.task.name}) timed out after ${timeoutSecs} seconds and is aborted.`);
+      this._abortController.abort(new TimeoutError(
+        `Job #${this.id} (${this.task.name}) timed out after ${timeoutSecs} seconds.`, timeoutSecs));
+    }, timeoutSecs * 1e3);
+
+    this.startedAt = new Date();
     try {
       let fTaskNumber = 1; // Start counting functional tasks at 1, not zero (this is not an index)
       for (const funcTaskConf of this.conf.tasks) {
-        const attempt = new RunAttempt(funcTaskConf, this);
-
+        this._funcTaskCurrent = CameleerJob._nameFunctionalTask(`${fTaskNumber}`, funcTaskConf);
         try {
-          const fTaskName = `${fTaskNumber}${funcTaskConf.name === void 0 ? '' : ` (${funcTaskConf.name})`}`;
-          this.logger.logDebug(`Attempting Job #${this.id} (functional task #${fTaskName} of task '${this.task.name}')..`);
-          this._results.push(await attempt.run());
-          this._funcTasksDone.push({
-            name: fTaskName,
-            attempt
-          });
-        } catch (/** @type {AttemptError} */ attemptErr) {
-          // If we get here, it means that the current functional task
-          // has failed and must not continue.
-          // The attempter will always throw an error of type AttemptError.
-          this.logger.logError(`Job #${this.id} (${this.task.name}) failed and must not continue.`);
-          const wrappedErrMsg = attemptErr.wrappedErr instanceof Error ?
-            attemptErr.wrappedErr.message : inspect(attemptErr.wrappedErr);
-          this.logger.logError(`The error was: ${wrappedErrMsg}`, attemptErr.wrappedErr);
-
-          throw new JobFailError(attemptErr);
+          const { result, failure } = await this._runStep(funcTaskConf, `${fTaskNumber}`);
+          if (failure !== null) {
+            // If we get here, it means that the current functional task
+            // has failed and must not continue.
+            const attemptErr = failure.error;
+            this._funcTaskFailed = {
+              name: failure.name,
+              attempt: failure.attempt
+            };
+            this.logger.logError(`Job #${this.id} (${this.task.name}) failed and must not continue.`);
+            const wrappedErrMsg = attemptErr.wrappedErr instanceof Error ?
+              attemptErr.wrappedErr.message : inspect(attemptErr.wrappedErr);
+            this.logger.logError(`The error was: ${wrappedErrMsg}`, attemptErr.wrappedErr);
+
+            throw new JobFailError(attemptErr);
+          }
+
+          if (result !== null) {
+            this._results.push(result);
+          }
+          this._numFuncTasksDone++;
         } finally {
+          this._funcTaskCurrent = null;
           fTaskNumber++;
         }
       }
 
       return this.result; // Job::result will reflect this then
     } catch (err) {
+      // The job's timeout does not apply to its compensations:
+      clearTimeout(timeout);
+      await this._runCompensations();
+
       if (!Resolve.isTypeOf(err, JobFailError)) {
         throw new JobFailError(err);
       }
       throw err;
     } finally {
+      clearTimeout(timeout);
       this.logger.endScope(logScope);
       this.logger.endScope(nameScope);
     }
@@ -1209,9 +3466,16 @@ module.exports = Object.freeze({
   CameleerJob,
   CameleerQueue,
   CameleerWorkEvent,
+  TriggerScheduleEvent,
+  RestoredScheduleEvent,
+  MisfireScheduleEvent,
+  DependencyScheduleEvent,
   JobFailError,
   symbolCameleerShutdown,
   symbolCameleerWork,
   symbolCameleerSchedule,
-  symbolCameleerInterruptable
+  symbolCameleerInterruptable,
+  symbolCameleerCancelled,
+  symbolCameleerCircuitOpened,
+  symbolCameleerCircuitClosed
 });
\ No newline at end of file
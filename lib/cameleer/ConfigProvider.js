@@ -4,7 +4,10 @@ require('../../meta/typedefs');
 const { Task } = require('./Task')
 , { mergeObjects } = require('sh.orchestration-tools')
 , { RetryInterval } = require('../../tools/RetryInterval')
-, { LogLevel } = require('sh.log-client');
+, { LogLevel, BaseLogger, DevNullLogger } = require('sh.log-client')
+, { EventEmitter } = require('events')
+, { Observable, fromEvent } = require('rxjs')
+, symbolConfigChanged = Symbol('configChanged');
 
 
 /**
@@ -76,12 +79,60 @@ const DefaultCameleerConfig = createDefaultCameleerConfig();
 
 /**
  * Class that should be overridden so that it can provided Cameleer with all
- * configuration.
+ * configuration. ConfigProviders whose configuration may change at runtime
+ * should emit symbolConfigChanged, so that Cameleer can reload its tasks.
  * 
  * @author Sebastian Hönel <development@hoenel.net>
  */
-class ConfigProvider {
+class ConfigProvider extends EventEmitter {
   constructor() {
+    super();
+
+    /** @type {BaseLogger.<any>} */
+    this._logger = null;
+
+    /** @type {Observable.<ConfigProvider>} */
+    this.observableConfigChanged = Object.freeze(fromEvent(this, symbolConfigChanged));
+  };
+
+  /**
+   * Cameleer sets a logger for its ConfigProvider, if it does not have one.
+   * 
+   * @param {BaseLogger.<any>} value
+   */
+  set logger(value) {
+    if (this._logger !== null || !(value instanceof BaseLogger)) {
+      throw new Error('This ConfigProvider already has a logger or the value given is not a logger.');
+    }
+    this._logger = value;
+  };
+
+  /**
+   * @returns {BaseLogger.<any>} The logger of this ConfigProvider. If none was set,
+   * returns a logger that discards all messages.
+   */
+  get logger() {
+    if (this._logger === null) {
+      return new DevNullLogger(this.constructor);
+    }
+    return this._logger;
+  };
+
+  /**
+   * @returns {boolean}
+   */
+  get hasLogger() {
+    return this._logger instanceof BaseLogger;
+  };
+
+  /**
+   * Notifies all subscribers (i.e. Cameleer) that the configuration has changed.
+   * 
+   * @returns {this}
+   */
+  _emitConfigChanged() {
+    this.emit(symbolConfigChanged, this);
+    return this;
   };
 
   /**
@@ -171,5 +222,6 @@ module.exports = Object.freeze({
   createDefaultCameleerConfig,
   DefaultCameleerConfig,
   ConfigProvider,
-  StandardConfigProvider
+  StandardConfigProvider,
+  symbolConfigChanged
 });
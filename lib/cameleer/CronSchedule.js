@@ -0,0 +1,466 @@
+const { Schedule, ScheduleEvent, PreliminaryScheduleEvent, Scheduler } = require('sh.orchestration-tools');
+
+
+const symbolCronEvent = Symbol('cronEvent');
+
+/**
+ * The maximum delay that setTimeout() supports (~24.8 days). Longer delays are
+ * split into multiple timeouts.
+ */
+const maxTimeoutMsecs = 2147483647;
+
+/**
+ * Occurrences are searched for up to this many milliseconds ahead (five years),
+ * so that expressions that never match (e.g. Feb 30) do not loop forever.
+ */
+const searchHorizonMsecs = 5 * 366 * 864e5;
+
+/**
+ * @type {Object.<string, string>}
+ */
+const cronMacros = Object.freeze({
+  '@yearly': '0 0 0 1 1 *',
+  '@annually': '0 0 0 1 1 *',
+  '@monthly': '0 0 0 1 * *',
+  '@weekly': '0 0 0 * * 0',
+  '@daily': '0 0 0 * * *',
+  '@midnight': '0 0 0 * * *',
+  '@hourly': '0 0 * * * *'
+});
+
+/**
+ * @type {Array.<{ name: string, min: number, max: number, names?: Array.<string> }>}
+ */
+const cronFields = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const weekdays = Object.freeze({ Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 });
+
+
+/**
+ * Represents a parsed cron expression. Supports five fields (minute, hour, day of
+ * month, month, day of week) or six fields (with seconds first), the usual syntax
+ * of lists, ranges and steps ('1,5', '1-5', '*\/15', '10-40/10'), names of months
+ * and days ('JAN', 'MON-FRI'), '?' as an alias for '*' and macros such as '@daily'.
+ * As with most crons, if both the day of month and the day of week are restricted,
+ * either of them has to match.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CronExpression {
+  /**
+   * @param {string} expression
+   * @param {string} [timezone] Optional. Defaults to null. An IANA timezone, such
+   * as 'Europe/Berlin'. If null, the local timezone is used.
+   * @throws {Error} If the expression or the timezone is not valid.
+   */
+  constructor(expression, timezone = null) {
+    if (typeof expression !== 'string') {
+      throw new Error(`The cron expression must be a string.`);
+    }
+
+    this.expression = expression.trim();
+    this.timezone = timezone;
+
+    const fields = (cronMacros[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length === 5) {
+      fields.unshift('0');
+    }
+    if (fields.length !== 6) {
+      throw new Error(`The cron expression '${expression}' must have five or six fields.`);
+    }
+
+    /** @type {Array.<Set.<number>>} */
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] =
+      fields.map((f, idx) => CronExpression._parseField(f, cronFields[idx]));
+    if (dayOfWeek.has(7)) {
+      dayOfWeek.delete(7);
+      dayOfWeek.add(0);
+    }
+
+    this._second = second;
+    this._minute = minute;
+    this._hour = hour;
+    this._dayOfMonth = dayOfMonth;
+    this._month = month;
+    this._dayOfWeek = dayOfWeek;
+    this._isDayOfMonthRestricted = !/^[*?]/.test(fields[3]);
+    this._isDayOfWeekRestricted = !/^[*?]/.test(fields[5]);
+
+    /** @type {Intl.DateTimeFormat} */
+    this._formatter = timezone === null ? null : new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+  };
+
+  /**
+   * @param {string} field
+   * @param {{ name: string, min: number, max: number, names?: Array.<string> }} def
+   * @returns {Set.<number>}
+   */
+  static _parseField(field, def) {
+    const values = new Set()
+    , toNumber = str => {
+      const idx = Array.isArray(def.names) ? def.names.indexOf(str.toLowerCase()) : -1
+      , num = idx >= 0 ? idx + (def.name === 'month' ? 1 : 0) : (/^\d+$/.test(str) ? parseInt(str, 10) : NaN);
+
+      if (isNaN(num) || num < def.min || num > def.max) {
+        throw new Error(`The value '${str}' is not valid for the cron field '${def.name}'.`);
+      }
+      return num;
+    };
+
+    for (const part of field.split(',')) {
+      const match = /^(\*|\?|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i.exec(part);
+      if (match === null) {
+        throw new Error(`The part '${part}' of the cron field '${def.name}' is not valid.`);
+      }
+
+      const step = match[2] === void 0 ? 1 : parseInt(match[2], 10);
+      if (step === 0) {
+        throw new Error(`The step of the cron field '${def.name}' must be greater than zero.`);
+      }
+
+      let from = def.min, to = def.max;
+      if (match[1] !== '*' && match[1] !== '?') {
+        const range = match[1].split('-');
+        from = toNumber(range[0]);
+        to = range.length === 2 ? toNumber(range[1]) : (match[2] === void 0 ? from : def.max);
+        if (from > to) {
+          throw new Error(`The range '${match[1]}' of the cron field '${def.name}' is not valid.`);
+        }
+      }
+
+      for (let v = from; v <= to; v += step) {
+        values.add(v);
+      }
+    }
+
+    return values;
+  };
+
+  /**
+   * @param {Date} date
+   * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+   */
+  _getDateParts(date) {
+    if (this._formatter === null) {
+      return {
+        year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+        hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+        weekday: date.getDay()
+      };
+    }
+
+    const parts = {};
+    for (const { type, value } of this._formatter.formatToParts(date)) {
+      parts[type] = value;
+    }
+    return {
+      year: +parts.year, month: +parts.month, day: +parts.day,
+      hour: +parts.hour % 24, minute: +parts.minute, second: +parts.second,
+      weekday: weekdays[parts.weekday]
+    };
+  };
+
+  /**
+   * @param {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} parts
+   * @returns {number} The wall-clock time of the given parts, as if it were UTC.
+   */
+  static _wallClockTime(parts) {
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  };
+
+  /**
+   * @param {number} t A time, at the precision of seconds.
+   * @param {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} parts
+   * The wall-clock parts of the given time.
+   * @returns {number} The time of the next wall-clock midnight. Days may be shorter
+   * or longer than 24 hours (DST), so the UTC-offset at the midnight is taken into
+   * account. If the midnight does not exist (it is skipped by a change of the
+   * UTC-offset), the first time after it is returned.
+   */
+  _nextMidnight(t, parts) {
+    const midnight = Date.UTC(parts.year, parts.month - 1, parts.day + 1)
+    , uncorrected = t + midnight - CronExpression._wallClockTime(parts)
+    , corrected = uncorrected + midnight -
+      CronExpression._wallClockTime(this._getDateParts(new Date(uncorrected)));
+
+    return CronExpression._wallClockTime(this._getDateParts(new Date(corrected))) >= midnight ?
+      corrected : uncorrected;
+  };
+
+  /**
+   * @param {{ day: number, weekday: number }} parts
+   * @returns {boolean}
+   */
+  _isDayMatching(parts) {
+    const dom = this._dayOfMonth.has(parts.day)
+    , dow = this._dayOfWeek.has(parts.weekday);
+
+    if (this._isDayOfMonthRestricted && this._isDayOfWeekRestricted) {
+      return dom || dow;
+    }
+    return dom && dow;
+  };
+
+  /**
+   * @param {Date} date
+   * @returns {boolean} True, if the given date (at the precision of seconds)
+   * matches this expression.
+   */
+  matches(date) {
+    const p = this._getDateParts(date);
+    return this._month.has(p.month) && this._isDayMatching(p) &&
+      this._hour.has(p.hour) && this._minute.has(p.minute) && this._second.has(p.second);
+  };
+
+  /**
+   * @param {Date} [after] Optional. Defaults to now. The returned date is strictly
+   * after this date.
+   * @returns {Date|null} The next date that matches this expression, or null if
+   * there is none within the next five years.
+   */
+  next(after = new Date()) {
+    let t = Math.floor(after.getTime() / 1e3) * 1e3 + 1e3;
+    const limit = t + searchHorizonMsecs;
+
+    // Skip ahead by the largest unit that does not match. The wall-clock time is
+    // evaluated again after each step, so that changes of the UTC-offset (DST) are
+    // taken into account.
+    while (t <= limit) {
+      const p = this._getDateParts(new Date(t));
+
+      if (!this._month.has(p.month) || !this._isDayMatching(p)) {
+        t = this._nextMidnight(t, p);
+      } else if (!this._hour.has(p.hour)) {
+        t += ((59 - p.minute) * 60 + (60 - p.second)) * 1e3;
+      } else if (!this._minute.has(p.minute)) {
+        t += (60 - p.second) * 1e3;
+      } else if (!this._second.has(p.second)) {
+        t += 1e3;
+      } else {
+        return new Date(t);
+      }
+    }
+
+    return null;
+  };
+};
+
+
+/**
+ * A Schedule that occurs according to a cron expression. The expression may be
+ * prefixed with a timezone, e.g. 'TZ=Europe/Berlin 0 3 * * 1-5' (or 'CRON_TZ=').
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CronSchedule extends Schedule {
+  /**
+   * @param {string} expression A cron expression with five or six fields or a macro.
+   * @param {Object} [options] Optional.
+   * @param {string} [options.timezone] Optional. Defaults to the timezone of the
+   * expression's prefix, or the local timezone. An IANA timezone.
+   * @param {number} [options.maxNumTriggers] Optional. Defaults to -1 (unlimited).
+   * @param {boolean} [options.enabled] Optional. Defaults to true.
+   * @throws {Error} If the expression or the timezone is not valid.
+   */
+  constructor(expression, { timezone = null, maxNumTriggers = -1, enabled = true } = {}) {
+    super(enabled);
+
+    const tzMatch = /^(?:CRON_)?TZ=(\S+)\s+(.+)$/.exec(`${expression}`.trim());
+
+    this.expression = tzMatch === null ? `${expression}`.trim() : tzMatch[2];
+    this.timezone = timezone === null && tzMatch !== null ? tzMatch[1] : timezone;
+    this.maxNumTriggers = maxNumTriggers < 0 ? Number.MAX_SAFE_INTEGER : maxNumTriggers;
+    this.numOccurred = 0;
+
+    this._cron = new CronExpression(this.expression, this.timezone);
+  };
+
+  /**
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.numOccurred >= this.maxNumTriggers;
+  };
+
+  /**
+   * @param {Date} [after] Optional. Defaults to now.
+   * @returns {Date|null} The next occurrence strictly after the given date, or
+   * null if there is none.
+   */
+  nextOccurrence(after = new Date()) {
+    return this._cron.next(after);
+  };
+
+  /**
+   * @inheritdoc
+   * @param {Date} after Required.
+   * @param {Date} before Required.
+   * @returns {IterableIterator.<PreliminaryScheduleEvent.<CronSchedule, undefined>>}
+   */
+  *preliminaryEvents(after, before) {
+    if (!(after instanceof Date && before instanceof Date)) {
+      throw new Error('after and/or before must be Date objects. CronSchedule does not support unbounded intervals.');
+    }
+    if (after > before) {
+      throw new Error('The Date for after happens after the Date for before.');
+    }
+
+    let triggers = this.numOccurred, next = new Date(+after - 1e3);
+    while (triggers < this.maxNumTriggers && (next = this.nextOccurrence(next)) !== null && next < before) {
+      yield new PreliminaryScheduleEvent(next, this);
+      triggers++;
+    }
+  };
+};
+
+
+/**
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CronEventSimple extends ScheduleEvent {
+  /**
+   * @param {CronSchedule} cronSchedule
+   * @param {Date} dateTime The date and time this event was scheduled for.
+   */
+  constructor(cronSchedule, dateTime) {
+    super(cronSchedule, dateTime);
+  };
+};
+
+
+/**
+ * A Scheduler for CronSchedules. It keeps one timeout per schedule, for its next
+ * occurrence. Disabled schedules keep being scheduled, but do not emit events.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CronScheduler extends Scheduler {
+  constructor() {
+    super(symbolCronEvent);
+
+    /** @type {Map.<CronSchedule, NodeJS.Timer>} */
+    this._timeouts = new Map();
+  };
+
+  /**
+   * @param {CronSchedule} schedule
+   * @throws {Error} If the given schedule is not a CronSchedule.
+   * @returns {boolean}
+   */
+  _isCronSchedule(schedule) {
+    if (!(schedule instanceof CronSchedule)) {
+      throw new Error('The given schedule is not an instance of CronSchedule.');
+    }
+    return true;
+  };
+
+  /**
+   * @param {CronSchedule} schedule
+   * @param {Date} after
+   */
+  _scheduleNext(schedule, after) {
+    const next = schedule.isFinished ? null : schedule.nextOccurrence(after);
+    if (next === null) {
+      this._timeouts.set(schedule, null);
+      return;
+    }
+
+    const setNextTimeout = () => {
+      const delay = +next - Date.now();
+      this._timeouts.set(schedule, setTimeout(() => {
+        if (delay > maxTimeoutMsecs) {
+          setNextTimeout();
+          return;
+        }
+
+        if (schedule.isEnabled && !schedule.isFinished) {
+          schedule.numOccurred++;
+          this.emit(symbolCronEvent, new CronEventSimple(schedule, next));
+        }
+        // It may have been removed by one of the subscribers:
+        if (this.hasSchedule(schedule)) {
+          this._scheduleNext(schedule, next);
+        }
+      }, Math.max(0, Math.min(delay, maxTimeoutMsecs))));
+    };
+
+    setNextTimeout();
+  };
+
+  /**
+   * @param {CronSchedule} schedule
+   * @returns {boolean}
+   */
+  hasSchedule(schedule) {
+    return this._isCronSchedule(schedule) && this._timeouts.has(schedule);
+  };
+
+  /**
+   * @param {CronSchedule} schedule
+   * @returns {this}
+   */
+  addSchedule(schedule) {
+    if (this.hasSchedule(schedule)) {
+      throw new Error('This schedule has been added already.');
+    }
+
+    this._scheduleNext(schedule, new Date());
+    return this;
+  };
+
+  /**
+   * @param {CronSchedule} schedule
+   * @returns {this}
+   */
+  removeSchedule(schedule) {
+    if (!this.hasSchedule(schedule)) {
+      throw new Error('This schedule was not previously added.');
+    }
+
+    clearTimeout(this._timeouts.get(schedule));
+    this._timeouts.delete(schedule);
+    return this;
+  };
+
+  /**
+   * @returns {Array.<CronSchedule>}
+   */
+  removeAllSchedules() {
+    const schedules = [...this._timeouts.keys()];
+    schedules.forEach(s => this.removeSchedule(s));
+    return schedules;
+  };
+
+  /**
+   * @param {Date} after
+   * @param {Date} before
+   * @returns {IterableIterator.<PreliminaryScheduleEvent.<CronSchedule, undefined>>}
+   */
+  *preliminaryEvents(after, before) {
+    for (const schedule of this._timeouts.keys()) {
+      yield* schedule.preliminaryEvents(after, before);
+    }
+  };
+};
+
+
+module.exports = Object.freeze({
+  symbolCronEvent,
+  CronExpression,
+  CronSchedule,
+  CronEventSimple,
+  CronScheduler
+});
@@ -0,0 +1,223 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, fs = require('fs')
+, path = require('path')
+, yaml = require('js-yaml')
+, { inspect } = require('util')
+, { TaskType } = require('./TaskType')
+, { CronSchedule } = require('./CronSchedule')
+, { DeclarativeTaskConfigSchema } = require('../../meta/schemas')
+, { Calendar, Interval, ManualSchedule, Schedule, deepCloneObject } = require('sh.orchestration-tools');
+
+
+/** @type {Map.<string, ScheduleFactory>} */
+const scheduleFactories = new Map();
+
+
+/**
+ * @param {any} value
+ * @param {ObjectSchema|AlternativesSchema} schema
+ * @param {string} key
+ * @returns {any} The validated value (with defaults applied).
+ */
+const validateScheduleValue = (value, schema, key) => {
+  const valResult = Joi.validate(value, schema);
+  if (valResult.error !== null) {
+    throw new Error(`The declaration of the schedule '${key}' is not valid: ${valResult.error.message}`);
+  }
+  return valResult.value;
+};
+
+
+/**
+ * Registers a factory that creates Schedules from declarations. A declared schedule
+ * is an object with exactly one property, whose key selects the factory and whose
+ * value is passed to it (e.g. { interval: 10000 }).
+ * 
+ * @param {string} key The key of the declared schedule, e.g. 'interval'.
+ * @param {ScheduleFactory} factory
+ * @param {boolean} [forceOverride] Optional. Defaults to false. If false, throws if
+ * a factory with the same key is already registered.
+ */
+const registerScheduleFactory = (key, factory, forceOverride = false) => {
+  if (typeof key !== 'string' || key.length === 0 || !(factory instanceof Function)) {
+    throw new Error('The key must be a non-empty string and the factory must be a function.');
+  }
+  if (scheduleFactories.has(key) && !forceOverride) {
+    throw new Error(`A schedule-factory with the key '${key}' is already registered.`);
+  }
+  scheduleFactories.set(key, factory);
+};
+
+
+/**
+ * @param {string} key
+ * @returns {ScheduleFactory} The un-registered factory.
+ */
+const unregisterScheduleFactory = key => {
+  if (!scheduleFactories.has(key)) {
+    throw new Error(`A schedule-factory with the key '${key}' is not registered.`);
+  }
+  const factory = scheduleFactories.get(key);
+  scheduleFactories.delete(key);
+  return factory;
+};
+
+
+/**
+ * @param {Object.<string, any>} declaration An object with exactly one property.
+ * @param {ScheduleFactoryContext} [context] Optional. Defaults to a context with
+ * the name 'schedule' and the current working directory.
+ * @returns {Schedule}
+ */
+const createScheduleFromDeclaration = (declaration, context = {}) => {
+  const keys = declaration instanceof Object ? Object.keys(declaration) : [];
+  if (keys.length !== 1) {
+    throw new Error(`A declared schedule must have exactly one property, e.g. { interval: 10000 }.`);
+  }
+
+  const key = keys[0];
+  if (!scheduleFactories.has(key)) {
+    throw new Error(`There is no schedule-factory registered for '${key}'. Known are: ${[...scheduleFactories.keys()].join(', ')}.`);
+  }
+
+  const schedule = scheduleFactories.get(key)(declaration[key], Object.assign({
+    name: 'schedule',
+    baseDirectory: process.cwd()
+  }, context));
+
+  if (!(schedule instanceof Schedule)) {
+    throw new Error(`The schedule-factory for '${key}' did not return an instance of ${Schedule.name}.`);
+  }
+  return schedule;
+};
+
+
+/**
+ * Converts a DeclarativeTaskConfig into a TaskConfig. The schedule is created using
+ * the registered schedule-factories and each functional task is created from the
+ * TaskType it references. The original declaration is preserved as the TaskConfig's
+ * property 'declaration', so that changes to it are detected when reloading tasks.
+ * 
+ * @param {DeclarativeTaskConfig} declaration
+ * @param {Object} [options] Optional.
+ * @param {string} [options.baseDirectory] Optional. Defaults to the current working
+ * directory. Relative paths (e.g. of calendars) are resolved against it.
+ * @throws {Error} If the declaration is not valid.
+ * @returns {TaskConfig}
+ */
+const createTaskConfigFromDeclaration = (declaration, { baseDirectory = process.cwd() } = {}) => {
+  const valResult = Joi.validate(declaration, DeclarativeTaskConfigSchema);
+  if (valResult.error !== null) {
+    throw new Error(`The DeclarativeTaskConfig is not valid: ${valResult.error.message}`);
+  }
+
+  /** @type {DeclarativeTaskConfig} */
+  const decl = valResult.value;
+
+  return Object.assign({}, decl, {
+    declaration: deepCloneObject(declaration),
+    schedule: createScheduleFromDeclaration(decl.schedule, {
+      name: decl.name,
+      baseDirectory: path.resolve(baseDirectory)
+    }),
+    tasks: decl.tasks.map(ft => TaskType.toFunctionalTaskConfig(ft))
+  });
+};
+
+
+/**
+ * Parses one or more DeclarativeTaskConfigs from text.
+ * 
+ * @param {string} text
+ * @param {'json'|'yaml'} [format] Optional. Defaults to 'json'.
+ * @throws {Error} If the text cannot be parsed.
+ * @returns {DeclarativeTaskConfig|Array.<DeclarativeTaskConfig>}
+ */
+const parseDeclaration = (text, format = 'json') => {
+  switch (format) {
+    case 'json':
+      return JSON.parse(text);
+    case 'yaml':
+      return yaml.safeLoad(text);
+    default:
+      throw new Error(`The format '${inspect(format)}' is not supported.`);
+  }
+};
+
+
+registerScheduleFactory('interval', value => {
+  value = validateScheduleValue(value, Joi.alternatives(
+    Joi.number().integer().greater(0),
+    Joi.object().keys({
+      msecs: Joi.number().integer().greater(0).required(),
+      maxNumTriggers: Joi.number().integer().min(-1).default(-1).optional(),
+      triggerInitially: Joi.boolean().default(false).optional()
+    })
+  ).required(), 'interval');
+
+  return typeof value === 'number' ? new Interval(value) :
+    new Interval(value.msecs, null, value.maxNumTriggers, true, value.triggerInitially);
+});
+
+registerScheduleFactory('cron', value => {
+  value = validateScheduleValue(value, Joi.alternatives(
+    Joi.string().min(1),
+    Joi.object().keys({
+      expression: Joi.string().min(1).required(),
+      timezone: Joi.string().min(1).optional(),
+      maxNumTriggers: Joi.number().integer().min(-1).default(-1).optional()
+    })
+  ).required(), 'cron');
+
+  return typeof value === 'string' ? new CronSchedule(value) :
+    new CronSchedule(value.expression, {
+      timezone: value.timezone === void 0 ? null : value.timezone,
+      maxNumTriggers: value.maxNumTriggers
+    });
+});
+
+registerScheduleFactory('calendar', (value, context) => {
+  value = validateScheduleValue(value, Joi.alternatives(
+    Joi.string().min(1),
+    Joi.object().keys({
+      file: Joi.string().min(1).required(),
+      intervalMsecs: Joi.number().integer().min(5000).default(10000).optional()
+    })
+  ).required(), 'calendar');
+
+  const { file, intervalMsecs } = typeof value === 'string' ?
+    { file: value, intervalMsecs: 10000 } : value
+  , icsFile = path.resolve(context.baseDirectory, file);
+
+  return new Calendar(context.name, async() =>
+    await fs.promises.readFile(icsFile, 'utf8'), intervalMsecs);
+});
+
+registerScheduleFactory('manual', value => {
+  validateScheduleValue(value, Joi.boolean().valid(true).required(), 'manual');
+  return new ManualSchedule();
+});
+
+
+module.exports = Object.freeze({
+  registerScheduleFactory,
+  unregisterScheduleFactory,
+  createScheduleFromDeclaration,
+  createTaskConfigFromDeclaration,
+  parseDeclaration
+});
+
+
+/**
+ * @typedef ScheduleFactoryContext
+ * @type {Object}
+ * @property {string} name The name of the task the schedule is created for.
+ * @property {string} baseDirectory The directory to resolve relative paths against.
+ */
+
+/**
+ * @typedef ScheduleFactory
+ * @type {(value: any, context: ScheduleFactoryContext) => Schedule}
+ */
@@ -0,0 +1,167 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, fs = require('fs')
+, path = require('path')
+, { inspect } = require('util')
+, { Task } = require('./Task')
+, { StandardConfigProvider } = require('./ConfigProvider')
+, { TaskConfigSchema } = require('../../meta/schemas')
+, { createTaskConfigFromDeclaration, parseDeclaration } = require('./DeclarativeConfig')
+, { Schedule, Resolve } = require('sh.orchestration-tools');
+
+
+/**
+ * @typedef DirectoryConfigProviderLoadError
+ * @type {Object}
+ * @property {string} file The absolute path of the file that could not be loaded.
+ * @property {Error} error The reason.
+ */
+
+
+/**
+ * A ConfigProvider that discovers tasks in a directory. Each file ending with
+ * '.task.js' must export a TaskConfig or a Task (or a function or Promise that
+ * resolves to either), and each file ending with '.task.json', '.task.yaml' or
+ * '.task.yml' must contain a DeclarativeTaskConfig. Relative paths within those
+ * declarations are resolved against the directory.
+ * 
+ * The directory is scanned (and all files are re-required) every time the tasks
+ * are obtained, so that Cameleer::reloadTasks() picks up all changes. Files that
+ * cannot be loaded, that contain an invalid TaskConfig, or that declare a task
+ * whose name is already taken by a previous file (in alphabetical order) are
+ * skipped; their errors are logged and available as DirectoryConfigProvider::loadErrors.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class DirectoryConfigProvider extends StandardConfigProvider {
+  /**
+   * @param {string} directory The directory with the task-files.
+   * @param {CameleerConfig} [cameleerConfig] Optional. Defaults to {} and will
+   * be merged with the default configuration.
+   */
+  constructor(directory, cameleerConfig = {}) {
+    super(cameleerConfig, []);
+
+    this.directory = path.resolve(directory);
+
+    /** @type {Array.<DirectoryConfigProviderLoadError>} */
+    this.loadErrors = [];
+  };
+
+  /**
+   * @param {string} fileName
+   * @returns {boolean} True, if the given file is considered to contain a task.
+   */
+  static isTaskFile(fileName) {
+    return typeof fileName === 'string' &&
+      /\.task\.(js|json|ya?ml)$/i.test(fileName);
+  };
+
+  /**
+   * Requires a module, bypassing the cache of require().
+   * 
+   * @param {string} file
+   * @returns {any} The module's exports.
+   */
+  static requireUncached(file) {
+    const resolved = require.resolve(file);
+    delete require.cache[resolved];
+    return require(resolved);
+  };
+
+  /**
+   * @returns {Promise.<Array.<string>>} The absolute paths of all task-files in
+   * the directory, in alphabetical order.
+   */
+  async getTaskFiles() {
+    return (await fs.promises.readdir(this.directory))
+      .filter(DirectoryConfigProvider.isTaskFile).sort()
+      .map(f => path.join(this.directory, f));
+  };
+
+  /**
+   * @param {string} file
+   * @throws {Error} If the file cannot be loaded or does not contain a valid
+   * TaskConfig or Task.
+   * @returns {Promise.<TaskConfig|Task>}
+   */
+  async _loadTaskFile(file) {
+    if (!/\.js$/i.test(file)) {
+      const text = await fs.promises.readFile(file, 'utf8');
+      return createTaskConfigFromDeclaration(
+        parseDeclaration(text, /\.json$/i.test(file) ? 'json' : 'yaml'),
+        { baseDirectory: this.directory });
+    }
+
+    /** @type {TaskConfig|Task} */
+    const confOrTask = await Resolve.toValue(DirectoryConfigProvider.requireUncached(file));
+
+    if (confOrTask instanceof Task) {
+      return confOrTask;
+    }
+
+    const valResult = Joi.validate(confOrTask, TaskConfigSchema);
+    if (valResult.error !== null) {
+      throw new Error(`The TaskConfig is not valid: ${valResult.error.message}`);
+    }
+    if (!(confOrTask.schedule instanceof Schedule) && typeof confOrTask.schedule !== 'string') {
+      throw new Error(`The TaskConfig's property 'schedule' must be an instance of ${Schedule.name} or a cron expression.`);
+    }
+
+    return confOrTask;
+  };
+
+  /**
+   * Scans the directory and loads all task-files.
+   * 
+   * @returns {Promise.<this>}
+   */
+  async load() {
+    /** @type {Array.<TaskConfig|Task>} */
+    const tasks = [];
+    /** @type {Array.<DirectoryConfigProviderLoadError>} */
+    const loadErrors = [];
+
+    for (const file of await this.getTaskFiles()) {
+      try {
+        const confOrTask = await this._loadTaskFile(file);
+        if (tasks.findIndex(t => t.name === confOrTask.name) >= 0) {
+          throw new Error(`The name of the task ('${confOrTask.name}') is not unique.`);
+        }
+        tasks.push(confOrTask);
+      } catch (e) {
+        const error = e instanceof Error ? e : new Error(inspect(e));
+        loadErrors.push({ file, error });
+        this.logger.logError(`Cannot load the task-file '${file}': ${error.message}`, error);
+      }
+    }
+
+    this.tasks = tasks;
+    this.loadErrors = loadErrors;
+
+    return this;
+  };
+
+  /**
+   * @param {string} name The name of the task to get the configuration for.
+   * @returns {Promise.<TaskConfig|Task>}
+   */
+  async getTaskConfig(name) {
+    await this.load();
+    return await super.getTaskConfig(name);
+  };
+
+  /**
+   * @returns {Promise.<Array.<TaskConfig|Task>>}
+   */
+  async getAllTaskConfigs() {
+    await this.load();
+    return this.tasks.slice(0);
+  };
+};
+
+
+module.exports = Object.freeze({
+  DirectoryConfigProvider
+});
@@ -0,0 +1,274 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, fs = require('fs')
+, path = require('path')
+, { inspect } = require('util')
+, { Task } = require('./Task')
+, { ConfigProvider } = require('./ConfigProvider')
+, { DirectoryConfigProvider } = require('./DirectoryConfigProvider')
+, { CameleerConfigSchema, TaskConfigSchema } = require('../../meta/schemas')
+, { createFingerprint } = require('../../tools/CreateFingerprint')
+, { Resolve } = require('sh.orchestration-tools');
+
+
+/**
+ * @typedef FileConfigProviderOptions
+ * @type {Object}
+ * @property {string} [taskDirectory] Optional. Defaults to undefined. A directory
+ * with additional tasks, that are discovered using a DirectoryConfigProvider
+ * (i.e. files ending with '.task.js', '.task.json', '.task.yaml' or '.task.yml').
+ * @property {number} [debounceMsecs] Optional. Defaults to 250. The amount of
+ * milliseconds to wait after the last change of a watched file before reloading.
+ */
+
+
+/**
+ * A ConfigProvider that loads the configuration from a module (e.g. the one the
+ * CLI's '-c' flag points at). That module must export an instance of ConfigProvider
+ * (or a function or Promise that resolves to one). Optionally, additional tasks are
+ * loaded from a directory.
+ * 
+ * When watching, all changes to the module or the directory lead to reloading
+ * (and re-requiring) the configuration. If the new configuration is valid, Cameleer
+ * is notified (symbolConfigChanged) and reloads its tasks in place. Invalid
+ * configurations are rejected and logged, and the previous configuration stays
+ * active. Note that only the tasks can be reloaded; changes to the Cameleer-
+ * configuration (e.g. its queues) require a restart.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class FileConfigProvider extends ConfigProvider {
+  /**
+   * @param {string} configFile The path to the module that exports the ConfigProvider.
+   * @param {FileConfigProviderOptions} [options] Optional. Defaults to {}.
+   */
+  constructor(configFile, options = {}) {
+    super();
+
+    this.configFile = path.resolve(configFile);
+    /** @type {DirectoryConfigProvider} */
+    this._directoryProvider = typeof options.taskDirectory === 'string' ?
+      new DirectoryConfigProvider(options.taskDirectory) : null;
+    this.taskDirectory = this._directoryProvider === null ?
+      null : this._directoryProvider.directory;
+    this.debounceMsecs = Resolve.isTypeOf(options.debounceMsecs, Number) ?
+      options.debounceMsecs : 250;
+
+    /** @type {ConfigProvider} */
+    this._provider = null;
+    /** @type {Array.<TaskConfig|Task>} */
+    this._tasks = [];
+    /** @type {string} */
+    this._cameleerConfigFingerprint = null;
+
+    /** @type {Array.<fs.FSWatcher>} */
+    this._watchers = [];
+    /** @type {NodeJS.Timer} */
+    this._reloadTimeout = null;
+  };
+
+  /**
+   * @returns {boolean} True, if this provider watches its files for changes.
+   */
+  get isWatching() {
+    return this._watchers.length > 0;
+  };
+
+  /**
+   * Loads (requires) and validates the entire configuration, without applying it.
+   * 
+   * @throws {Error} If the configuration cannot be loaded or is not valid.
+   * @returns {Promise.<{ provider: ConfigProvider, tasks: Array.<TaskConfig|Task> }>}
+   */
+  async _readConfig() {
+    /** @type {ConfigProvider} */
+    const provider = await Resolve.toValue(
+      DirectoryConfigProvider.requireUncached(this.configFile), ConfigProvider);
+
+    const valResult = Joi.validate(provider.getCameleerConfig(), CameleerConfigSchema);
+    if (valResult.error !== null) {
+      throw new Error(`The Cameleer-configuration in '${this.configFile}' is not valid: ${valResult.error.message}`);
+    }
+
+    /** @type {Array.<TaskConfig|Task>} */
+    const tasks = (await provider.getAllTaskConfigs()).slice(0);
+    if (this._directoryProvider !== null) {
+      // Other than the DirectoryConfigProvider, we reject the whole configuration
+      // if any of the task-files is faulty, so that the previous one stays active.
+      const dirTasks = await this._directoryProvider.getAllTaskConfigs()
+      , loadError = this._directoryProvider.loadErrors[0];
+      if (loadError !== void 0) {
+        throw new Error(`The task-file '${loadError.file}' cannot be loaded: ${loadError.error.message}`);
+      }
+      tasks.push(...dirTasks);
+    }
+
+    for (const confOrTask of tasks) {
+      if (confOrTask instanceof Task) {
+        continue;
+      }
+
+      const taskValResult = Joi.validate(confOrTask, TaskConfigSchema);
+      if (taskValResult.error !== null) {
+        throw new Error(`The configuration of task '${confOrTask && confOrTask.name}' is not valid: ${taskValResult.error.message}`);
+      }
+    }
+
+    const names = tasks.map(t => t.name);
+    if (names.length !== (new Set(names)).size) {
+      throw new Error(`Some of the tasks' names are not unique.`);
+    }
+
+    return { provider, tasks };
+  };
+
+  /**
+   * Loads the configuration. This method must be called (and awaited) before this
+   * provider can be passed to Cameleer.
+   * 
+   * @throws {Error} If the configuration cannot be loaded or is not valid.
+   * @returns {Promise.<this>}
+   */
+  async load() {
+    const { provider, tasks } = await this._readConfig()
+    , fingerprint = createFingerprint(provider.getCameleerConfig());
+
+    if (this._provider !== null && fingerprint !== this._cameleerConfigFingerprint) {
+      this.logger.logWarning(`The Cameleer-configuration in '${this.configFile}' has changed. Only the tasks are reloaded, other changes require a restart.`);
+    }
+
+    this._provider = provider;
+    this._tasks = tasks;
+    this._cameleerConfigFingerprint = fingerprint;
+
+    return this;
+  };
+
+  /**
+   * Reloads the configuration and notifies Cameleer. If the configuration is not
+   * valid, the error is logged and the previous configuration stays active.
+   * 
+   * @returns {Promise.<boolean>} True, if the configuration was reloaded.
+   */
+  async reload() {
+    try {
+      await this.load();
+    } catch (e) {
+      this.logger.logError(`Rejecting the changed configuration, the previous configuration stays active: ${e instanceof Error ? e.message : inspect(e)}`, e);
+      return false;
+    }
+
+    this.logger.logInfo(`Reloaded the configuration from '${this.configFile}'.`);
+    this._emitConfigChanged();
+    return true;
+  };
+
+  /**
+   * Starts watching the configuration-module and the task-directory. The parent
+   * directory of the module is watched (instead of the file itself), so that
+   * editors that replace files when saving are supported as well.
+   * 
+   * @returns {this}
+   */
+  watch() {
+    if (this.isWatching) {
+      return this;
+    }
+
+    const configDir = path.dirname(this.configFile)
+    , configBase = path.basename(this.configFile)
+    , isRelevant = (dir, fileName) => typeof fileName === 'string' && (
+      (dir === configDir && fileName === configBase) ||
+      (dir === this.taskDirectory && DirectoryConfigProvider.isTaskFile(fileName)));
+
+    for (const dir of new Set([configDir, this.taskDirectory].filter(d => d !== null))) {
+      this._watchers.push(fs.watch(dir, (_, fileName) => {
+        if (isRelevant(dir, fileName)) {
+          this._scheduleReload();
+        }
+      }));
+    }
+
+    this.logger.logInfo(`Watching '${this.configFile}'${this.taskDirectory === null ? '' : ` and '${this.taskDirectory}'`} for changes.`);
+    return this;
+  };
+
+  /**
+   * Stops watching for changes.
+   * 
+   * @returns {this}
+   */
+  unwatch() {
+    this._watchers.forEach(w => w.close());
+    this._watchers.splice(0, this._watchers.length);
+
+    if (this._reloadTimeout !== null) {
+      clearTimeout(this._reloadTimeout);
+      this._reloadTimeout = null;
+    }
+
+    return this;
+  };
+
+  /**
+   * Debounces reloading, as saving a file usually results in multiple events.
+   */
+  _scheduleReload() {
+    if (this._reloadTimeout !== null) {
+      clearTimeout(this._reloadTimeout);
+    }
+
+    this._reloadTimeout = setTimeout(async() => {
+      this._reloadTimeout = null;
+      await this.reload();
+    }, this.debounceMsecs);
+  };
+
+  /**
+   * @throws {Error} If the configuration was not loaded yet.
+   * @returns {ConfigProvider}
+   */
+  get _loadedProvider() {
+    if (this._provider === null) {
+      throw new Error(`The configuration was not loaded yet. Call and await load() first.`);
+    }
+    return this._provider;
+  };
+
+  /**
+   * @returns {CameleerConfig}
+   */
+  getCameleerConfig() {
+    return this._loadedProvider.getCameleerConfig();
+  };
+
+  /**
+   * @param {string} name
+   * @returns {Promise.<Task|TaskConfig>}
+   */
+  async getTaskConfig(name) {
+    const task = this._tasks.find(t => t.name === name) || null;
+
+    if (task === null) {
+      throw new Error(`The task with the name '${name}' cannot be found.`);
+    }
+
+    return task;
+  };
+
+  /**
+   * @returns {Promise.<Array.<Task|TaskConfig>>}
+   */
+  async getAllTaskConfigs() {
+    if (this._provider === null) {
+      throw new Error(`The configuration was not loaded yet. Call and await load() first.`);
+    }
+    return this._tasks.slice(0);
+  };
+};
+
+
+module.exports = Object.freeze({
+  FileConfigProvider
+});
@@ -0,0 +1,646 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, fs = require('fs')
+, path = require('path')
+, { inspect } = require('util')
+, { JobHistoryQuerySchema } = require('../../meta/schemas')
+, { ConfigurableClass } = require('../../tools/ConfigurableClass')
+, { SubClassRegister } = require('../../tools/SubClassRegister');
+
+
+/**
+ * The states a job goes through, as recorded in a JobRunRecord.
+ */
+const JobRunStates = Object.freeze({
+  scheduled: 'The job was created and is about to be enqueued.',
+  running: 'The job is running.',
+  done: 'The job ran to completion.',
+  failed: 'The job failed, was cancelled or could not be enqueued.',
+  interrupted: 'The job was interrupted before it ran (or removed from a backlog).'
+});
+const JobRunStatesKeys = new Set(Object.keys(JobRunStates));
+
+
+
+/**
+ * The base-class for stores that keep a record of each of Cameleer's jobs. A
+ * job's record is saved whenever its state changes, so that each store needs
+ * to insert or replace records by their ID. Cameleer creates its store from the
+ * configuration (CameleerConfig::jobHistory, a ConfigurableClassConfig). If no
+ * store is configured, an InMemoryJobHistoryStore is used.
+ * 
+ * All writes are serialized, and queries await all pending writes. Sub-classes
+ * only need to override _saveRecord() and _query().
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class JobHistoryStore extends ConfigurableClass {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {ConfigurableClassConfig} [config] Optional. Defaults to undefined.
+   */
+  constructor(cameleerInstance, config = void 0) {
+    super(cameleerInstance, config);
+
+    /** @type {Promise.<void>} */
+    this._pending = Promise.resolve();
+  };
+
+  /**
+   * @param {any} value
+   * @returns {any} The value as it can be represented as JSON.
+   */
+  static _toJSONValue(value) {
+    if (value === void 0) {
+      return null;
+    }
+    if (value instanceof Error) {
+      return value.message;
+    }
+
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (e) {
+      return inspect(value);
+    }
+  };
+
+  /**
+   * Follows the chain of wrapped errors (e.g. a JobFailError wrapping an
+   * AttemptError) to the error that caused the failure.
+   * 
+   * @param {any} error
+   * @returns {{ type: string|null, message: string }} The type of the outermost
+   * error that has one (e.g. the type of the AttemptError) and the message of the
+   * innermost error.
+   */
+  static describeError(error) {
+    let type = null, cause = error;
+
+    while (cause instanceof Error) {
+      if (type === null && typeof cause.errType === 'string') {
+        type = cause.errType;
+      }
+
+      const next = cause.previousError !== void 0 ? cause.previousError : cause.wrappedErr;
+      if (next === void 0) {
+        break;
+      }
+      cause = next;
+    }
+
+    return {
+      type,
+      message: cause instanceof Error ? cause.message : (typeof cause === 'string' ? cause : inspect(cause))
+    };
+  };
+
+  /**
+   * @param {CameleerJob} job
+   * @returns {Array.<JobRunFunctionalTaskRecord>} The records of all functional tasks
+   * the job has run so far, including the one that made it fail.
+   */
+  static createFunctionalTaskRecords(job) {
+    const records = job.functionalTasksDone.map(ftd => ({
+      name: ftd.name,
+      isError: ftd.result.isError,
+      result: JobHistoryStore._toJSONValue(ftd.result.value),
+      regularAttemptFailed: ftd.attempt.regularAttemptFailed,
+      numRetries: ftd.attempt.numRecoveryAttempts
+    }));
+
+    const failed = job.functionalTaskFailed;
+    if (failed !== null) {
+      records.push({
+        name: failed.name,
+        isError: true,
+        result: null,
+        regularAttemptFailed: failed.attempt.regularAttemptFailed,
+        numRetries: failed.attempt.numRecoveryAttempts
+      });
+    }
+
+    return records;
+  };
+
+  /**
+   * @param {JobRunRecord} record
+   * @returns {Object.<string, any>} A representation of the record that can be
+   * serialized using JSON (dates are converted to ISO-strings).
+   */
+  static toJSON(record) {
+    const toISO = d => d instanceof Date ? d.toISOString() : null;
+
+    return Object.assign({}, record, {
+      scheduledAt: toISO(record.scheduledAt),
+      startedAt: toISO(record.startedAt),
+      finishedAt: toISO(record.finishedAt),
+      functionalTasks: record.functionalTasks.map(ft => Object.assign({}, ft)),
+      error: record.error === null ? null : Object.assign({}, record.error)
+    });
+  };
+
+  /**
+   * @param {Object.<string, any>} json A record as created by toJSON().
+   * @returns {JobRunRecord}
+   */
+  static fromJSON(json) {
+    const fromISO = s => typeof s === 'string' ? new Date(s) : null;
+
+    return Object.assign({}, json, {
+      scheduledAt: fromISO(json.scheduledAt),
+      startedAt: fromISO(json.startedAt),
+      finishedAt: fromISO(json.finishedAt),
+      functionalTasks: json.functionalTasks.map(ft => Object.assign({}, ft)),
+      error: json.error === null ? null : Object.assign({}, json.error)
+    });
+  };
+
+  /**
+   * @param {JobHistoryQuery} [query] Optional. Defaults to {}.
+   * @throws {Error} If the query is not valid.
+   * @returns {JobHistoryQuery} The validated query. The property 'state' is
+   * always an Array (or undefined).
+   */
+  static validateQuery(query = {}) {
+    const valResult = Joi.validate(query, JobHistoryQuerySchema);
+    if (valResult.error !== null) {
+      throw new Error(`The given query is not valid: ${valResult.error.message}`);
+    }
+
+    const q = valResult.value;
+    if (typeof q.state === 'string') {
+      q.state = [q.state];
+    }
+    return q;
+  };
+
+  /**
+   * Filters, orders (latest first) and limits records, as demanded by the query.
+   * Stores that query their records in-memory can use this method.
+   * 
+   * @param {Array.<JobRunRecord>} records
+   * @param {JobHistoryQuery} query A validated query.
+   * @returns {Array.<JobRunRecord>}
+   */
+  static _applyQuery(records, query) {
+    const result = records.filter(r =>
+      (query.id === void 0 || r.id === query.id)
+      && (query.task === void 0 || r.task === query.task)
+      && (query.workflowId === void 0 || r.workflowId === query.workflowId)
+      && (query.state === void 0 || query.state.indexOf(r.state) >= 0)
+      && (query.since === void 0 || +r.scheduledAt >= +query.since)
+      && (query.until === void 0 || +r.scheduledAt <= +query.until)
+    ).sort((r1, r2) => +r2.scheduledAt - +r1.scheduledAt);
+
+    return query.limit === void 0 ? result : result.slice(0, query.limit);
+  };
+
+  /**
+   * Inserts the record or replaces the record with the same ID.
+   * 
+   * @param {JobRunRecord} record
+   * @returns {Promise.<void>}
+   */
+  saveRecord(record) {
+    const json = JobHistoryStore.toJSON(record);
+    this._pending = this._pending.then(() => this._saveRecord(json)).catch(err => {
+      this.logger.logError(`Saving the record of job #${json.jobId} (${json.task}) failed: ${err instanceof Error ? err.message : inspect(err)}`, err);
+    });
+    return this._pending;
+  };
+
+  /**
+   * @param {JobHistoryQuery} [query] Optional. Defaults to {}, which returns all
+   * records.
+   * @throws {Error} If the query is not valid.
+   * @returns {Promise.<Array.<JobRunRecord>>} The matching records, latest first.
+   */
+  async query(query = {}) {
+    const q = JobHistoryStore.validateQuery(query);
+    await this._pending;
+    return (await this._query(q)).map(JobHistoryStore.fromJSON);
+  };
+
+  /**
+   * @param {string} taskName
+   * @param {number} [limit] Optional. Defaults to 10.
+   * @returns {Promise.<Array.<JobRunRecord>>} The last runs of the task, latest first.
+   */
+  async getLastRuns(taskName, limit = 10) {
+    return await this.query({ task: taskName, limit });
+  };
+
+  /**
+   * @param {Date} since
+   * @returns {Promise.<Array.<JobRunRecord>>} All failed jobs that were scheduled
+   * since the given date, latest first.
+   */
+  async getFailuresSince(since) {
+    return await this.query({ state: 'failed', since });
+  };
+
+  /**
+   * Abstract method that inserts or replaces a record.
+   * 
+   * @param {Object.<string, any>} json The record, as created by toJSON().
+   * @returns {Promise.<void>}
+   */
+  async _saveRecord(json) {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * Abstract method that returns the records that match the query.
+   * 
+   * @param {JobHistoryQuery} query A validated query.
+   * @returns {Promise.<Array.<Object.<string, any>>>} The records as created by
+   * toJSON(), latest first.
+   */
+  async _query(query) {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * Awaits all pending writes.
+   */
+  async teardown() {
+    await this._pending;
+    await super.teardown();
+  };
+};
+
+
+
+/**
+ * Keeps the records of the latest jobs in memory. Once the capacity is reached,
+ * the oldest records are dropped.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class InMemoryJobHistoryStore extends JobHistoryStore {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {InMemoryJobHistoryStoreConfig} [config] Optional. Defaults to undefined.
+   */
+  constructor(cameleerInstance, config = void 0) {
+    super(cameleerInstance, config);
+
+    this.capacity = this.config.capacity || 1000;
+
+    /** @type {Map.<string, Object.<string, any>>} */
+    this._records = new Map();
+  };
+
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return super.schemaConf.keys({
+      capacity: Joi.number().integer().min(1).optional()
+    });
+  };
+
+  /**
+   * @param {Object.<string, any>} json
+   */
+  async _saveRecord(json) {
+    this._records.set(json.id, json);
+
+    // Maps are ordered by insertion, so that the first record is the oldest one.
+    while (this._records.size > this.capacity) {
+      this._records.delete(this._records.keys().next().value);
+    }
+  };
+
+  /**
+   * @param {JobHistoryQuery} query
+   * @returns {Promise.<Array.<Object.<string, any>>>}
+   */
+  async _query(query) {
+    const records = Array.from(this._records.values()).map(JobHistoryStore.fromJSON);
+    return JobHistoryStore._applyQuery(records, query).map(JobHistoryStore.toJSON);
+  };
+};
+
+
+
+/**
+ * Appends each saved record as a line of JSON to a file. When queried, the
+ * file is read and the last line for each record's ID wins. Once the file has
+ * twice as many lines as the capacity, it is compacted: only the latest record
+ * of each ID is kept and, like the InMemoryJobHistoryStore, only the records of
+ * the latest jobs, up to the capacity.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class JsonLinesJobHistoryStore extends JobHistoryStore {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {JsonLinesJobHistoryStoreConfig} config Requires the property 'file'.
+   */
+  constructor(cameleerInstance, config) {
+    super(cameleerInstance, config);
+
+    this.file = path.resolve(config.file);
+    this.capacity = this.config.capacity || 1000;
+
+    /**
+     * The amount of lines in the file, which is counted before the first record
+     * is saved.
+     * 
+     * @type {number|null}
+     */
+    this._numLines = null;
+  };
+
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return super.schemaConf.keys({
+      file: Joi.string().min(1).required(),
+      capacity: Joi.number().integer().min(1).optional()
+    });
+  };
+
+  /**
+   * @param {Object.<string, any>} json
+   * @returns {Promise.<void>}
+   */
+  async _saveRecord(json) {
+    if (this._numLines === null) {
+      this._numLines = (await this._readLines()).length;
+    }
+
+    await new Promise((resolve, reject) => {
+      fs.appendFile(this.file, `${JSON.stringify(json)}\n`, 'utf8', err => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    if (++this._numLines > 2 * this.capacity) {
+      await this._compact();
+    }
+  };
+
+  /**
+   * Replaces the file with one that has a single line for each of the latest
+   * records (up to the capacity).
+   * 
+   * @returns {Promise.<void>}
+   */
+  async _compact() {
+    const records = (await this._readRecords()).slice(-this.capacity)
+    , tempFile = `${this.file}.tmp`
+    , data = records.map(r => `${JSON.stringify(JobHistoryStore.toJSON(r))}\n`).join('');
+
+    await new Promise((resolve, reject) => {
+      fs.writeFile(tempFile, data, 'utf8', err => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        fs.rename(tempFile, this.file, err => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+
+    this._numLines = records.length;
+  };
+
+  /**
+   * @returns {Promise.<Array.<string>>} The non-empty lines of the file (none, if
+   * it does not exist).
+   */
+  _readLines() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.file, 'utf8', (err, data) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            resolve([]);
+          } else {
+            reject(err);
+          }
+        } else {
+          resolve(data.split('\n').filter(l => l.trim() !== ''));
+        }
+      });
+    });
+  };
+
+  /**
+   * @returns {Promise.<Array.<JobRunRecord>>} The records, in the order their IDs
+   * were first saved (i.e., the oldest first).
+   */
+  async _readRecords() {
+    /** @type {Map.<string, Object.<string, any>>} */
+    const records = new Map();
+    (await this._readLines()).forEach((line, idx) => {
+      try {
+        const json = JSON.parse(line);
+        records.set(json.id, json);
+      } catch (e) {
+        this.logger.logWarning(`Skipping line ${idx + 1} of '${this.file}', it is not valid JSON.`);
+      }
+    });
+
+    return Array.from(records.values()).map(JobHistoryStore.fromJSON);
+  };
+
+  /**
+   * @param {JobHistoryQuery} query
+   * @returns {Promise.<Array.<Object.<string, any>>>}
+   */
+  async _query(query) {
+    return JobHistoryStore._applyQuery(
+      await this._readRecords(), query).map(JobHistoryStore.toJSON);
+  };
+};
+
+
+
+/**
+ * Keeps the records in a table of an SQLite-database. This store requires the
+ * optional package 'sqlite3', which is only loaded once the store is used.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class SqliteJobHistoryStore extends JobHistoryStore {
+  /**
+   * @param {Cameleer} cameleerInstance
+   * @param {SqliteJobHistoryStoreConfig} config Requires the property 'file'.
+   */
+  constructor(cameleerInstance, config) {
+    super(cameleerInstance, config);
+
+    this.file = config.file === ':memory:' ? config.file : path.resolve(config.file);
+    this.table = this.config.table || 'jobHistory';
+
+    /** @type {Promise.<Object>} */
+    this._dbPromise = null;
+  };
+
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return super.schemaConf.keys({
+      file: Joi.string().min(1).required(),
+      table: Joi.string().regex(/^[a-zA-Z_][a-zA-Z0-9_]*$/).optional()
+    });
+  };
+
+  /**
+   * @param {Object} db An instance of sqlite3.Database.
+   * @param {'run'|'all'} method
+   * @param {string} sql
+   * @param {Array.<any>} [params] Optional. Defaults to [].
+   * @returns {Promise.<any>}
+   */
+  static _exec(db, method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db[method](sql, params, (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  };
+
+  /**
+   * @throws {Error} If the package 'sqlite3' is not installed.
+   * @returns {Object} The module of the package 'sqlite3'.
+   */
+  _requireDriver() {
+    try {
+      return require('sqlite3');
+    } catch (e) {
+      throw new Error(`The ${SqliteJobHistoryStore.name} requires the package 'sqlite3', please install it.`);
+    }
+  };
+
+  /**
+   * Opens the database and creates the table, if necessary.
+   * 
+   * @returns {Promise.<Object>} The instance of sqlite3.Database.
+   */
+  _getDatabase() {
+    if (this._dbPromise === null) {
+      this._dbPromise = (async() => {
+        const sqlite3 = this._requireDriver();
+
+        const db = await new Promise((resolve, reject) => {
+          const database = new sqlite3.Database(this.file, err => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(database);
+            }
+          });
+        });
+
+        await SqliteJobHistoryStore._exec(db, 'run', `CREATE TABLE IF NOT EXISTS ${this.table} (id TEXT PRIMARY KEY, task TEXT NOT NULL, state TEXT NOT NULL, scheduledAt INTEGER NOT NULL, record TEXT NOT NULL)`);
+        await SqliteJobHistoryStore._exec(db, 'run', `CREATE INDEX IF NOT EXISTS ${this.table}_task_scheduledAt ON ${this.table} (task, scheduledAt)`);
+
+        return db;
+      })();
+    }
+
+    return this._dbPromise;
+  };
+
+  /**
+   * @param {Object.<string, any>} json
+   */
+  async _saveRecord(json) {
+    await SqliteJobHistoryStore._exec(await this._getDatabase(), 'run',
+      `INSERT OR REPLACE INTO ${this.table} (id, task, state, scheduledAt, record) VALUES (?, ?, ?, ?, ?)`,
+      [json.id, json.task, json.state, +new Date(json.scheduledAt), JSON.stringify(json)]);
+  };
+
+  /**
+   * @param {JobHistoryQuery} query
+   * @returns {Promise.<Array.<Object.<string, any>>>}
+   */
+  async _query(query) {
+    const where = [], params = [];
+
+    if (query.id !== void 0) {
+      where.push('id = ?');
+      params.push(query.id);
+    }
+    if (query.task !== void 0) {
+      where.push('task = ?');
+      params.push(query.task);
+    }
+    if (query.workflowId !== void 0) {
+      where.push(`json_extract(record, '$.workflowId') = ?`);
+      params.push(query.workflowId);
+    }
+    if (query.state !== void 0) {
+      where.push(`state IN (${query.state.map(() => '?').join(', ')})`);
+      params.push(...query.state);
+    }
+    if (query.since !== void 0) {
+      where.push('scheduledAt >= ?');
+      params.push(+query.since);
+    }
+    if (query.until !== void 0) {
+      where.push('scheduledAt <= ?');
+      params.push(+query.until);
+    }
+
+    let sql = `SELECT record FROM ${this.table}${where.length === 0 ? '' : ` WHERE ${where.join(' AND ')}`} ORDER BY scheduledAt DESC`;
+    if (query.limit !== void 0) {
+      sql += ' LIMIT ?';
+      params.push(query.limit);
+    }
+
+    const rows = await SqliteJobHistoryStore._exec(await this._getDatabase(), 'all', sql, params);
+    return rows.map(row => JSON.parse(row.record));
+  };
+
+  /**
+   * Awaits all pending writes and closes the database.
+   */
+  async teardown() {
+    await super.teardown();
+
+    if (this._dbPromise !== null) {
+      const db = await this._dbPromise.catch(() => null);
+      this._dbPromise = null;
+      if (db !== null) {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    }
+  };
+};
+
+
+SubClassRegister.registerSubclass(JobHistoryStore);
+SubClassRegister.registerSubclass(InMemoryJobHistoryStore);
+SubClassRegister.registerSubclass(JsonLinesJobHistoryStore);
+SubClassRegister.registerSubclass(SqliteJobHistoryStore);
+
+module.exports = Object.freeze({
+  JobRunStates,
+  JobRunStatesKeys,
+  JobHistoryStore,
+  InMemoryJobHistoryStore,
+  JsonLinesJobHistoryStore,
+  SqliteJobHistoryStore
+});
@@ -25,6 +25,8 @@ class ResolvedConfig {
     this.skip = null;
     /** @type {Number} */
     this.cost = null;
+    /** @type {Number} */
+    this.priority = null;
     /** @type {Boolean} */
     this.allowMultiple = null;
     /** @type {Array.<String>} */
@@ -35,6 +37,8 @@ class ResolvedConfig {
     this.schedule = config.schedule;
     /** @type {Number} */
     this.interruptTimeoutSecs = null;
+    /** @type {Number} */
+    this.timeoutSecs = null;
     /** @type {Array.<FunctionalTaskConfig>} */
     this.tasks = [];
     /** @type {Object.<string, any>} */
@@ -60,13 +64,15 @@ class ResolvedConfig {
   async resolveAll() {
     await this._resolveResolveObj();
 
-    [ this.skip, this.cost, this.allowMultiple,
-      this.queues, this.progress, this.interruptTimeoutSecs, this.tasks
+    [ this.skip, this.cost, this.priority, this.allowMultiple,
+      this.queues, this.progress, this.interruptTimeoutSecs, this.timeoutSecs, this.tasks
     ] = await Promise.all([
       Resolve.optionalToValue(
         false, this._resolveWrap(this._configOrg.skip), Boolean),
       Resolve.optionalToValue(
         null, this._resolveWrap(this._configOrg.cost), Number),
+      Resolve.optionalToValue(
+        0, this._resolveWrap(this._configOrg.priority), Number),
       Resolve.optionalToValue(
         false, this._resolveWrap(this._configOrg.allowMultiple), Boolean),
       Resolve.optionalToValue(
@@ -75,6 +81,8 @@ class ResolvedConfig {
         null, this._resolveWrap(this._configOrg.progress), Progress),
       Resolve.optionalToValue(
         null, this._resolveWrap(this._configOrg.interruptTimeoutSecs), Number),
+      Resolve.optionalToValue(
+        null, this._resolveWrap(this._configOrg.timeoutSecs), Number),
 
       this._resolveTasks()
     ]);
@@ -98,7 +106,9 @@ class ResolvedConfig {
         this._configErrOrg.continueOnFinalFail, functionalTask.canFail.continueOnFinalFail, Boolean)
     ]);
 
-    return { schedule, maxNumFails, skip, continueOnFinalFail };
+    // The error-matchers are not resolved, as they may be predicates:
+    const { retryOn, abortOn } = functionalTask.canFail;
+    return { schedule, maxNumFails, skip, continueOnFinalFail, retryOn, abortOn };
   };
 
   /**
@@ -148,7 +158,13 @@ class ResolvedConfig {
       name: void 0,
       args: [],
       func,
+      parallel: void 0,
+      join: 'all',
+      forEach: void 0,
+      when: void 0,
+      undo: void 0,
       thisArg: null,
+      timeoutSecs: null,
       canFail: this._createFunctionalTaskErrorFromDef()
     };
   };
@@ -163,7 +179,13 @@ class ResolvedConfig {
       name: def.hasOwnProperty('name') && typeof def.name === 'string' ? def.name : void 0,
       args: def.hasOwnProperty('args') ? def.args : [],
       func: def.func,
+      parallel: Array.isArray(def.parallel) ? def.parallel.map(this._resolveTask.bind(this)) : void 0,
+      join: typeof def.join === 'string' ? def.join : 'all',
+      forEach: typeof def.forEach === 'string' ? def.forEach : void 0,
+      when: def.when instanceof Function ? def.when : void 0,
+      undo: def.undo === void 0 || def.undo === null ? void 0 : this._resolveTask(def.undo),
       thisArg: def.thisArg || null,
+      timeoutSecs: typeof def.timeoutSecs === 'number' ? def.timeoutSecs : null,
       canFail: this._createFunctionalTaskErrorFromDef(def)
     };
   };
@@ -182,7 +204,9 @@ class ResolvedConfig {
       continueOnFinalFail: this._configErrOrg.continueOnFinalFail,
       maxNumFails: this._configErrOrg.maxNumFails,
       schedule: this._configErrOrg.schedule,
-      skip: this._configErrOrg.skip
+      skip: this._configErrOrg.skip,
+      retryOn: this._configErrOrg.retryOn,
+      abortOn: this._configErrOrg.abortOn
     };
 
     if (def.hasOwnProperty('canFail')) {
@@ -0,0 +1,149 @@
+require('../../meta/typedefs');
+
+
+/**
+ * Keeps track of the tokens of named resources (see TaskConfig::resources and
+ * CameleerConfig::resources). A resource may limit how many holders use it at the
+ * same time (maxConcurrent) and how often it may be acquired within a sliding
+ * window (maxRuns per perSecs). Resources without a limit can always be acquired.
+ * A holder acquires the tokens of all of its resources at once, or none of them.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class ResourceLimiter {
+  /**
+   * @param {Object.<string, ResourceLimitConfig>} [limits] Optional. Defaults to {}.
+   * The limits of the resources, by their name.
+   */
+  constructor(limits = {}) {
+    /** @type {Map.<string, ResourceLimitConfig>} */
+    this._limits = new Map(Object.keys(limits).map(name => [name, {
+      maxConcurrent: typeof limits[name].maxConcurrent === 'number' ? limits[name].maxConcurrent : null,
+      maxRuns: typeof limits[name].maxRuns === 'number' ? limits[name].maxRuns : null,
+      perSecs: typeof limits[name].perSecs === 'number' ? limits[name].perSecs : 60
+    }]));
+
+    /**
+     * The amount of current holders and the times (in msecs) of the recent
+     * acquisitions, per limited resource.
+     * 
+     * @type {Map.<string, { numActive: number, acquiredAt: Array.<number> }>}
+     */
+    this._usage = new Map(Array.from(this._limits.keys()).map(name =>
+      [name, { numActive: 0, acquiredAt: [] }]));
+
+    /** @type {Map.<any, Array.<string>>} */
+    this._holders = new Map();
+  };
+
+  /**
+   * @param {string} resource
+   * @returns {boolean} True, if the resource has a limit.
+   */
+  hasLimit(resource) {
+    return this._limits.has(resource);
+  };
+
+  /**
+   * @param {string} resource
+   * @param {number} now
+   * @returns {{ numActive: number, acquiredAt: Array.<number> }} The usage of the
+   * limited resource, without the acquisitions that left its window.
+   */
+  _getUsage(resource, now) {
+    const usage = this._usage.get(resource)
+    , windowStart = now - this._limits.get(resource).perSecs * 1e3;
+
+    while (usage.acquiredAt.length > 0 && usage.acquiredAt[0] <= windowStart) {
+      usage.acquiredAt.shift();
+    }
+    return usage;
+  };
+
+  /**
+   * @param {Array.<string>} resources
+   * @param {number} [now] Optional. Defaults to Date.now().
+   * @returns {boolean} True, if the tokens of all of the given resources are
+   * available right now.
+   */
+  canAcquire(resources, now = Date.now()) {
+    return resources.filter(r => this.hasLimit(r)).every(r => {
+      const limit = this._limits.get(r), usage = this._getUsage(r, now);
+      return (limit.maxConcurrent === null || usage.numActive < limit.maxConcurrent)
+        && (limit.maxRuns === null || usage.acquiredAt.length < limit.maxRuns);
+    });
+  };
+
+  /**
+   * @param {Array.<string>} resources
+   * @param {number} [now] Optional. Defaults to Date.now().
+   * @returns {number|null} The time (in msecs) at which the rate limits of the given
+   * resources will next let an acquisition through, or null if none of them is
+   * exhausted (then, the tokens become available once a holder releases them).
+   */
+  nextAvailableAt(resources, now = Date.now()) {
+    const times = resources.filter(r => this.hasLimit(r)).map(r => {
+      const limit = this._limits.get(r), usage = this._getUsage(r, now);
+      return limit.maxRuns !== null && usage.acquiredAt.length >= limit.maxRuns ?
+        usage.acquiredAt[usage.acquiredAt.length - limit.maxRuns] + limit.perSecs * 1e3 : null;
+    }).filter(t => t !== null);
+
+    return times.length === 0 ? null : Math.max(...times);
+  };
+
+  /**
+   * @param {any} holder The holder of the tokens (e.g. a job).
+   * @param {Array.<string>} resources
+   * @param {number} [now] Optional. Defaults to Date.now().
+   * @returns {boolean} True, if the tokens of all resources were acquired; false,
+   * if not all of them were available (then, none are acquired).
+   * @throws {Error} If the holder holds tokens already.
+   */
+  acquire(holder, resources, now = Date.now()) {
+    if (this._holders.has(holder)) {
+      throw new Error('The holder holds tokens already.');
+    }
+    if (!this.canAcquire(resources, now)) {
+      return false;
+    }
+
+    const limited = Array.from(new Set(resources)).filter(r => this.hasLimit(r));
+    for (const r of limited) {
+      const usage = this._usage.get(r);
+      usage.numActive++;
+      usage.acquiredAt.push(now);
+    }
+    this._holders.set(holder, limited);
+    return true;
+  };
+
+  /**
+   * Releases the tokens of the given holder. Note that releasing does not undo
+   * the acquisition with regard to the rate limits.
+   * 
+   * @param {any} holder
+   * @returns {boolean} True, if the holder held tokens.
+   */
+  release(holder) {
+    if (!this._holders.has(holder)) {
+      return false;
+    }
+
+    this._holders.get(holder).forEach(r => this._usage.get(r).numActive--);
+    this._holders.delete(holder);
+    return true;
+  };
+
+  /**
+   * @param {any} holder
+   * @returns {boolean}
+   */
+  isHolding(holder) {
+    return this._holders.has(holder);
+  };
+};
+
+
+module.exports = Object.freeze({
+  ResourceLimiter
+});
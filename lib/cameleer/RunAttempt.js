@@ -1,10 +1,9 @@
 require('../../meta/typedefs');
 
-const util = require('util')
-, { Schedule, Scheduler, Calendar, Interval, CalendarScheduler,
-  IntervalScheduler, ManualSchedule, ManualScheduler, Resolve } = require('sh.orchestration-tools')
+const { Schedule, Scheduler, Resolve } = require('sh.orchestration-tools')
 , { BaseLogger } = require('sh.log-client')
 , { Task } = require('./Task')
+, { SchedulerRegistry } = require('./SchedulerRegistry')
 , { RetryInterval } = require('../../tools/RetryInterval')
 , { Result, ErrorResult } = require('./Result')
 , { Subscription } = require('rxjs');
@@ -13,10 +12,18 @@ const util = require('util')
 const ErrorTypes = Object.freeze({
   finalFail: 'The functional task finally failed and must not continue.',
   resolveArgs: 'Resolving the arguments for the functional task failed.',
-  resolveErrConf: 'Resolving the error-configuration failed.'
+  resolveErrConf: 'Resolving the error-configuration failed.',
+  timeout: 'The functional task or its job timed out.',
+  cancelled: 'The job was cancelled.',
+  condition: 'Evaluating the condition of the functional task failed.'
 });
 const ErrorTypesKeys = new Set(Object.keys(ErrorTypes));
 
+/**
+ * Observed by compensations instead of their job's signal.
+ */
+const neverAbortedSignal = (new AbortController()).signal;
+
 
 /**
  * @author Sebastian Hönel <development@hoenel.net>
@@ -28,7 +35,7 @@ class AttemptError extends Error {
 
   /**
    * @see {ErrorTypes} for a list of types to use
-   * @param {'finalFail'|'resolveArgs'|'resolveErrConf'} errType the type of the error
+   * @param {'finalFail'|'resolveArgs'|'resolveErrConf'|'timeout'|'cancelled'|'condition'} errType the type of the error
    * @param {string} [msg] Optional. Defaults to undefined. A message describing the error
    * @param {any|string|Error} [wrappedErr] Optional. Defaults to undefined. The actual Error that occurred
    */
@@ -40,6 +47,50 @@ class AttemptError extends Error {
     }
     this.errType = errType;
     this.wrappedErr = wrappedErr;
+    /**
+     * Whether the error that made the functional task fail was transient or
+     * permanent, or null if it was not classified (see FunctionalTaskErrorConfig::
+     * retryOn and ::abortOn).
+     * 
+     * @type {'transient'|'permanent'|null}
+     */
+    this.classification = null;
+  };
+};
+
+
+
+/**
+ * The reason an attempt (or an entire CameleerJob) is aborted with, if it took
+ * longer than its configured timeout.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} msg A message describing the timeout.
+   * @param {number} timeoutSecs The timeout that elapsed, in seconds.
+   */
+  constructor(msg, timeoutSecs) {
+    super(msg);
+    this.timeoutSecs = timeoutSecs;
+  };
+};
+
+
+
+/**
+ * The reason a CameleerJob is aborted with, if it is cancelled (see
+ * Cameleer::cancelJob()).
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class CancellationError extends Error {
+  /**
+   * @param {string} msg A message describing the cancellation.
+   */
+  constructor(msg) {
+    super(msg);
   };
 };
 
@@ -56,25 +107,87 @@ class RunAttempt {
   /**
    * @param {FunctionalTaskConfig} conf
    * @param {CameleerJob} job
+   * @param {string} [fTaskName] Optional. Defaults to undefined. The name of the
+   * functional task, if it is not one of the job's top-level functional tasks
+   * (e.g. part of a parallel group). Otherwise, the name is derived from its index.
    */
-  constructor(conf, job) {
+  constructor(conf, job, fTaskName = void 0) {
     this.conf = conf;
     this.job = job;
     this.fTaskIdx = job.conf.tasks.findIndex(t => t === conf);
-    this.fTaskName = `${this.fTaskIdx + 1}${conf.name === void 0 ? '' : ` (${conf.name})`}`;
+    this.fTaskName = typeof fTaskName === 'string' ? fTaskName :
+      `${this.fTaskIdx + 1}${conf.name === void 0 ? '' : ` (${conf.name})`}`;
 
     /** @type {BaseLogger.<*>} */
     this.logger = job.logger;
+    /**
+     * Whether to log within a scope that is named after the functional task. As
+     * scopes are stacked, attempts that run concurrently (see FunctionalTaskConfig::
+     * parallel) must not use them; their messages are prefixed with the name instead.
+     * 
+     * @type {boolean}
+     */
+    this.useScope = true;
+    /**
+     * Whether this attempt runs a compensation (see FunctionalTaskConfig::undo).
+     * Compensations run after their job failed, which may be because it was
+     * aborted, so they do not observe the job's signal.
+     * 
+     * @type {boolean}
+     */
+    this.isCompensation = false;
+    /**
+     * The signal of the parallel group this attempt runs in, or null. It is aborted
+     * along with the job's signal, and also once the group does not need the
+     * outcome of its functional tasks anymore (see FunctionalTaskConfig::join).
+     * 
+     * @type {AbortSignal|null}
+     */
+    this.groupSignal = null;
+    /**
+     * The resolved arguments of the functional task (without the job), or null
+     * if they were not resolved yet.
+     * 
+     * @type {Array.<any>|null}
+     */
+    this.args = null;
 
     this.regularAttemptFailed = false;
     this.numSubSequentFails = 0;
-
-    // Check every 30 seconds and look one week ahead.
-    this._schedCalendar = new CalendarScheduler(
-      CalendarScheduler.oneMinuteInSecs * 0.5,
-      CalendarScheduler.oneWeekInSecs);
-    this._schedInterval = new IntervalScheduler();
-    this._schedManual = new ManualScheduler();
+    /** The amount of recovery-attempts (retries) that were run so far. */
+    this.numRecoveryAttempts = 0;
+    /** The error of the most recent failed attempt (used to detect timeouts). */
+    this._lastError = null;
+    /**
+     * The classification of the error of the most recent failed attempt, or null
+     * (see FunctionalTaskErrorConfig::retryOn and ::abortOn).
+     * 
+     * @type {'transient'|'permanent'|null}
+     */
+    this.errorClassification = null;
+
+    /**
+     * The timeout for each attempt (the regular one and each recovery-attempt),
+     * or null.
+     * 
+     * @type {number|null}
+     */
+    this.timeoutSecs = typeof conf.timeoutSecs === 'number' ? conf.timeoutSecs : null;
+    /**
+     * The AbortSignal of the currently running attempt, or null. It is aborted if
+     * the attempt times out or if the job is aborted (see CameleerJob::signal).
+     * 
+     * @type {AbortSignal|null}
+     */
+    this.signal = null;
+
+    /**
+     * The schedulers are shared with the job (and therefore usually with Cameleer).
+     * 
+     * @type {SchedulerRegistry}
+     */
+    this._schedulers = job.schedulers instanceof SchedulerRegistry ?
+      job.schedulers : new SchedulerRegistry();
   };
 
   /**
@@ -82,10 +195,22 @@ class RunAttempt {
    * @returns {string}
    */
   _logDebug(message) {
-    this.logger.logDebug(message);
+    this.logger.logDebug(this.useScope ? message : `[${this.fTaskName}]: ${message}`);
     return this;
   };
 
+  /**
+   * @returns {AbortSignal} The job's signal (or that of the parallel group this
+   * attempt runs in), or a signal that is never aborted, if this attempt runs a
+   * compensation.
+   */
+  get jobSignal() {
+    if (this.isCompensation) {
+      return neverAbortedSignal;
+    }
+    return this.groupSignal === null ? this.job.abortSignal : this.groupSignal;
+  };
+
   /**
    * Shortcut getter to obtain the result from the last functional task. If
    * this is attempt is about the first functional task, this getter will
@@ -104,13 +229,15 @@ class RunAttempt {
    * @returns {Promise.<Result>}
    */
   async run() {
-    const scope = this.logger.beginScope(this.fTaskName);
+    const scope = this.useScope ? this.logger.beginScope(this.fTaskName) : null;
+    this.job.currentAttempt = this;
 
     try {
       const args = [];
       try {
         // Note that args for functional tasks are optional.
         args.push(...await Resolve.optionalToValue([], this.conf.args, []));
+        this.args = args.slice(0);
         // Now add the CameleerJob so that the functional task can access it.
         args.push(this.job);
       } catch (e) {
@@ -120,13 +247,44 @@ class RunAttempt {
       
 
       const wrapFunc = async() => {
+        const jobSignal = this.jobSignal;
+        if (jobSignal.aborted) {
+          throw jobSignal.reason;
+        }
+
         this._logDebug('Attempting..');
-        let result = this.conf.func.apply(this.conf.thisArg, args);
-        if (Resolve.isPromise(result)) {
-          result = await result;
+        const controller = new AbortController()
+        , onJobAbort = () => controller.abort(jobSignal.reason)
+        , timeout = this.timeoutSecs === null ? null : setTimeout(() => {
+          controller.abort(new TimeoutError(
+            `The functional task timed out after ${this.timeoutSecs} seconds.`, this.timeoutSecs));
+        }, this.timeoutSecs * 1e3);
+
+        /** @type {() => void} */
+        let onAbort = null;
+        const aborted = new Promise((_, reject) => {
+          onAbort = () => reject(controller.signal.reason);
+          controller.signal.addEventListener('abort', onAbort);
+        });
+
+        jobSignal.addEventListener('abort', onJobAbort);
+        this.signal = controller.signal;
+        // Another attempt of a parallel group may have become current meanwhile:
+        this.job.currentAttempt = this;
+        try {
+          let result = this.conf.func.apply(this.conf.thisArg, args);
+          if (Resolve.isPromise(result)) {
+            // An attempt that does not react to its signal is abandoned once aborted.
+            result = await Promise.race([result, aborted]);
+          }
+          this._logDebug('Ran to completion.');
+          return result;
+        } finally {
+          clearTimeout(timeout);
+          jobSignal.removeEventListener('abort', onJobAbort);
+          controller.signal.removeEventListener('abort', onAbort);
+          this.signal = null;
         }
-        this._logDebug('Ran to completion.');
-        return result;
       };
 
 
@@ -134,6 +292,10 @@ class RunAttempt {
       try {
         return Result.fromValue(await wrapFunc());
       } catch (err) {
+        if (this.jobSignal.aborted) {
+          throw this._createAbortedError();
+        }
+
         this._logDebug(`The regular attempt failed. Switching to error-configuration.`);
 
         // The task failed its regular run attempt.
@@ -145,8 +307,79 @@ class RunAttempt {
         return await this._runErrored(err, wrapFunc);
       }
     } finally {
-      this.logger.endScope(scope);      
+      // Attempts of parallel functional tasks may overlap:
+      if (this.job.currentAttempt === this) {
+        this.job.currentAttempt = null;
+      }
+      if (scope !== null) {
+        this.logger.endScope(scope);
+      }
+    }
+  };
+
+  /**
+   * @returns {AttemptError} The error to throw if the job was aborted (i.e. it
+   * timed out or was cancelled), regardless of the functional task's error-
+   * configuration.
+   */
+  _createAbortedError() {
+    const reason = this.jobSignal.reason
+    , errType = reason instanceof TimeoutError ? 'timeout' : 'cancelled';
+
+    this._logDebug(AttemptError.ErrorTypes[errType]);
+    return new AttemptError(errType, AttemptError.ErrorTypes[errType], reason);
+  };
+
+  /**
+   * @param {any} err The error that made the functional task fail finally.
+   * @returns {AttemptError} An error of type 'timeout' if the last attempt
+   * timed out, and of type 'finalFail', otherwise. It carries the classification
+   * of the last error.
+   */
+  _createFinalFailError(err) {
+    const timedOut = err instanceof TimeoutError || this._lastError instanceof TimeoutError;
+    this._logDebug(timedOut ? AttemptError.ErrorTypes.timeout : AttemptError.ErrorTypes.finalFail);
+    const attemptErr = new AttemptError(timedOut ? 'timeout' : 'finalFail',
+      timedOut ? AttemptError.ErrorTypes.timeout : AttemptError.ErrorTypes.finalFail, err);
+    attemptErr.classification = this.errorClassification;
+    return attemptErr;
+  };
+
+  /**
+   * @param {any} err
+   * @param {ErrorMatcher} matcher
+   * @returns {boolean}
+   */
+  static _matchesError(err, matcher) {
+    const isObj = err !== null && typeof err === 'object';
+    return matcher.some(m => m instanceof Function ? !!m(err) :
+      isObj && (err.code === m || err.name === m || (err.constructor instanceof Function && err.constructor.name === m)));
+  };
+
+  /**
+   * Classifies the error and stores the classification in errorClassification.
+   * 
+   * @param {any} err The error of a failed attempt.
+   * @param {FunctionalTaskErrorConfig} errConf
+   * @returns {'transient'|'permanent'|null} Null, if the error-configuration does
+   * not classify errors (i.e. neither retryOn nor abortOn are given).
+   */
+  _classifyError(err, errConf) {
+    const { retryOn, abortOn } = errConf;
+    let classification = null;
+
+    if (retryOn !== void 0 || abortOn !== void 0) {
+      try {
+        classification = (abortOn !== void 0 && RunAttempt._matchesError(err, abortOn)) ||
+          (retryOn !== void 0 && !RunAttempt._matchesError(err, retryOn)) ? 'permanent' : 'transient';
+      } catch (e) {
+        this._logDebug(`Classifying the error failed, it is considered permanent.`);
+        classification = 'permanent';
+      }
     }
+
+    this.errorClassification = classification;
+    return classification;
   };
 
   /**
@@ -175,23 +408,28 @@ class RunAttempt {
       this._logDebug(`The functional task will be skipped.`);
       // Then the previously occurred Error will become the result of the functional task.
       return Result.fromError(err);
+    } else if (this._classifyError(err, errConf) === 'permanent') {
+      this._logDebug(`The error is permanent, the functional task is not retried.`);
+      if (errConf.continueOnFinalFail) {
+        return Result.fromError(err);
+      }
+      throw this._createFinalFailError(err);
     } else if (errConf.maxNumFails === 0) { // A f-Task that must not fail at all/initially
-      this._logDebug(AttemptError.ErrorTypes.finalFail);
-      throw new AttemptError(
-        'finalFail', AttemptError.ErrorTypes.finalFail, err);
+      throw this._createFinalFailError(err);
     }
 
 
     // Okay, let's run the task by using its error-configuration:
+    this._lastError = err;
     try {
-      return await this._runErroredBySchedule(errConf.schedule, wrapFunc);
+      return await this._runErroredBySchedule(errConf.schedule, wrapFunc, errConf);
     } catch (e) {
-      if (errConf.continueOnFinalFail) {
+      if (this.jobSignal.aborted) {
+        throw this._createAbortedError();
+      } else if (errConf.continueOnFinalFail) {
         return Result.fromError(e);
       } else {
-        this._logDebug(AttemptError.ErrorTypes.finalFail);
-        throw new AttemptError(
-          'finalFail', AttemptError.ErrorTypes.finalFail, e);
+        throw this._createFinalFailError(e);
       }
     }
   };
@@ -201,15 +439,7 @@ class RunAttempt {
    * @returns {Scheduler}
    */
   _getSchedulerForSchedule(schedule) {
-    if (schedule instanceof Calendar) {
-      return this._schedCalendar;
-    } else if (schedule instanceof Interval) {
-      return this._schedInterval;
-    } else if (schedule instanceof ManualSchedule) {
-      return this._schedManual;
-    }
-    
-    throw new Error(`The schedule '${util.inspect(schedule)}' is not supported.`);
+    return this._schedulers.getSchedulerForSchedule(schedule);
   };
 
   /**
@@ -217,16 +447,20 @@ class RunAttempt {
    * @param {Function} wrapFunc a wrapper function that contains the arguments
    * and the functional task itself. Does not have any arguments and will return
    * the result of the functional task or re-throw its error.
+   * @param {FunctionalTaskErrorConfig} [errConf] Optional. Defaults to null. If
+   * given, the errors of recovery-attempts are classified, and a permanent error
+   * stops the recovery.
    * @returns {Promise.<Result>}
    */
-  _runErroredBySchedule(sched, wrapFunc) {
+  _runErroredBySchedule(sched, wrapFunc, errConf = null) {
     return new Promise((resolve, reject) => {
-      const scheduler = this._getSchedulerForSchedule(sched)
-        .addSchedule(sched);
+      const scheduler = this._schedulers.addSchedule(sched)
+      , jobSignal = this.jobSignal;
       
 
       const finalFunc = () => {
-        scheduler.removeSchedule(sched);
+        jobSignal.removeEventListener('abort', onJobAbort);
+        this._schedulers.removeSchedule(sched);
       };
       
       
@@ -234,12 +468,13 @@ class RunAttempt {
       let isAttempting = false;
       let scheduleFailed = false;
       let scheduleDrained = false;
-      scheduler.getObservableForSchedule(sched).subscribe(async function() {
+      const subscription = scheduler.getObservableForSchedule(sched).subscribe(async function() {
         if (isAttempting) {
           return; // Only run one recovery attempt at a time.
         }
         
         isAttempting = true;
+        ra.numRecoveryAttempts++;
 
         ra._logDebug(`Running recovery-attempt #${1 + ra.numSubSequentFails}..`);
 
@@ -252,6 +487,22 @@ class RunAttempt {
         } catch (e) {
           ra._logDebug(`Recovery-attempt #${1 + ra.numSubSequentFails} failed.`);
 
+          ra._lastError = e;
+          if (jobSignal.aborted) {
+            this.unsubscribe();
+            finalFunc();
+            reject(e);
+            return;
+          }
+          if (errConf !== null && ra._classifyError(e, errConf) === 'permanent') {
+            ra._logDebug(`The error is permanent, no more recovery-attempts are made.`);
+
+            this.unsubscribe();
+            finalFunc();
+            reject(e);
+            return;
+          }
+
           ra.numSubSequentFails++;
           if (ra.numSubSequentFails === ra.conf.canFail.maxNumFails) {
             ra._logDebug(`Maximum amount of retries (${ra.conf.canFail.maxNumFails}) reached.`);
@@ -303,6 +554,19 @@ class RunAttempt {
         finalFunc();
         reject(new Error('No more retries scheduled, aborting task finally.'));
       });
+
+
+      // The job may be aborted while waiting for the next recovery-attempt:
+      function onJobAbort() {
+        if (isAttempting) {
+          return; // The running attempt is aborted, too, and rejects.
+        }
+
+        subscription.unsubscribe();
+        finalFunc();
+        reject(jobSignal.reason);
+      };
+      jobSignal.addEventListener('abort', onJobAbort);
     });
   };
 };
@@ -311,6 +575,8 @@ class RunAttempt {
 module.exports = Object.freeze({
   RunAttempt,
   AttemptError,
+  TimeoutError,
+  CancellationError,
   ErrorTypes,
   ErrorTypesKeys
 });
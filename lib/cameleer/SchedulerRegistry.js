@@ -0,0 +1,187 @@
+require('../../meta/typedefs');
+
+const { inspect } = require('util')
+, { Schedule, Scheduler, Calendar, CalendarScheduler, Interval, IntervalScheduler,
+  ManualSchedule, ManualScheduler } = require('sh.orchestration-tools')
+, { CronSchedule, CronScheduler } = require('./CronSchedule')
+, { BackoffRetrySchedule, BackoffRetryScheduler } = require('../../tools/BackoffRetrySchedule');
+
+
+/** @type {Map.<Function, SchedulerFactory>} */
+const schedulerFactories = new Map();
+
+
+/**
+ * Maps types of Schedules to their Schedulers. The types are registered globally
+ * (once), using SchedulerRegistry.registerScheduler(). Each instance of the registry
+ * creates its Schedulers lazily, using the options that were given for the type of
+ * Schedule. Cameleer creates one registry and shares it with all of its Jobs and
+ * their RunAttempts.
+ * 
+ * Schedules are added and removed through the registry, which counts how often a
+ * Schedule is in use. That way, the same Schedule (e.g. the default Schedule for
+ * failed functional tasks) can be used by many RunAttempts at the same time.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class SchedulerRegistry {
+  /**
+   * @param {Object.<string, Object>} [options] Optional. Defaults to {}. An object
+   * where the keys are names of Schedule-classes (e.g. 'Calendar') and the values
+   * are passed to the factory that creates the Scheduler for it.
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, options);
+
+    /** @type {Map.<Function, Scheduler>} */
+    this._schedulers = new Map();
+    /** @type {Map.<Schedule, number>} */
+    this._useCounts = new Map();
+  };
+
+  /**
+   * Registers the Scheduler for a type of Schedule with all registries. Sub-classes
+   * of the type of Schedule are supported as well, unless they are registered.
+   * 
+   * @param {Function} ScheduleClass A class that derives from Schedule.
+   * @param {SchedulerFactory} factory
+   * @param {boolean} [forceOverride] Optional. Defaults to false. Whether to replace
+   * an already registered factory for the same type of Schedule.
+   * @throws {Error} If the arguments are not valid or the type of Schedule is
+   * registered already and overriding is not allowed.
+   */
+  static registerScheduler(ScheduleClass, factory, forceOverride = false) {
+    if (!(ScheduleClass instanceof Function) || !(ScheduleClass.prototype instanceof Schedule)) {
+      throw new Error(`The given class does not derive from ${Schedule.name}.`);
+    }
+    if (!(factory instanceof Function)) {
+      throw new Error('The factory must be a function.');
+    }
+    if (schedulerFactories.has(ScheduleClass) && !forceOverride) {
+      throw new Error(`A Scheduler for '${ScheduleClass.name}' is already registered.`);
+    }
+
+    schedulerFactories.set(ScheduleClass, factory);
+  };
+
+  /**
+   * Note that registries that already created a Scheduler for the type of Schedule
+   * keep using it.
+   * 
+   * @param {Function} ScheduleClass
+   * @returns {boolean} True, if the type of Schedule was registered and is now removed.
+   */
+  static unregisterScheduler(ScheduleClass) {
+    return schedulerFactories.delete(ScheduleClass);
+  };
+
+  /**
+   * @param {Schedule} schedule
+   * @returns {Function|null} The most specific registered class of the Schedule.
+   */
+  static _getRegisteredClassOf(schedule) {
+    let proto = schedule instanceof Schedule ? Object.getPrototypeOf(schedule) : null;
+
+    while (proto !== null && proto !== Object.prototype) {
+      if (schedulerFactories.has(proto.constructor)) {
+        return proto.constructor;
+      }
+      proto = Object.getPrototypeOf(proto);
+    }
+
+    return null;
+  };
+
+  /**
+   * @returns {Array.<Scheduler>} All Schedulers that were created so far.
+   */
+  get schedulers() {
+    return [...this._schedulers.values()];
+  };
+
+  /**
+   * @param {Schedule} schedule
+   * @throws {Error} If there is no Scheduler registered for the type of Schedule.
+   * @returns {Scheduler}
+   */
+  getSchedulerForSchedule(schedule) {
+    const ScheduleClass = SchedulerRegistry._getRegisteredClassOf(schedule);
+    if (ScheduleClass === null) {
+      throw new Error(`The schedule '${inspect(schedule)}' is not supported.`);
+    }
+
+    if (!this._schedulers.has(ScheduleClass)) {
+      const scheduler = schedulerFactories.get(ScheduleClass)(
+        Object.assign({}, this.options[ScheduleClass.name]));
+      if (!(scheduler instanceof Scheduler)) {
+        throw new Error(`The factory for '${ScheduleClass.name}' did not return an instance of ${Scheduler.name}.`);
+      }
+      this._schedulers.set(ScheduleClass, scheduler);
+    }
+
+    return this._schedulers.get(ScheduleClass);
+  };
+
+  /**
+   * Adds the Schedule to its Scheduler, unless it was added already.
+   * 
+   * @param {Schedule} schedule
+   * @returns {Scheduler} The Scheduler of the Schedule.
+   */
+  addSchedule(schedule) {
+    const scheduler = this.getSchedulerForSchedule(schedule)
+    , useCount = this._useCounts.get(schedule) || 0;
+
+    if (useCount === 0) {
+      scheduler.addSchedule(schedule);
+    }
+    this._useCounts.set(schedule, useCount + 1);
+
+    return scheduler;
+  };
+
+  /**
+   * Removes the Schedule from its Scheduler, once it is not in use anymore.
+   * 
+   * @param {Schedule} schedule
+   * @returns {Scheduler} The Scheduler of the Schedule.
+   */
+  removeSchedule(schedule) {
+    const scheduler = this.getSchedulerForSchedule(schedule)
+    , useCount = this._useCounts.get(schedule) || 0;
+
+    if (useCount <= 1) {
+      this._useCounts.delete(schedule);
+      if (scheduler.hasSchedule(schedule)) {
+        scheduler.removeSchedule(schedule);
+      }
+    } else {
+      this._useCounts.set(schedule, useCount - 1);
+    }
+
+    return scheduler;
+  };
+};
+
+
+SchedulerRegistry.registerScheduler(Calendar, ({
+  // Check every 30 seconds and look one week ahead.
+  scheduleIntervalSecs = CalendarScheduler.oneMinuteInSecs * 0.5,
+  lookAheadSecs = CalendarScheduler.oneWeekInSecs
+}) => new CalendarScheduler(scheduleIntervalSecs, lookAheadSecs));
+SchedulerRegistry.registerScheduler(Interval, () => new IntervalScheduler());
+SchedulerRegistry.registerScheduler(ManualSchedule, () => new ManualScheduler());
+SchedulerRegistry.registerScheduler(CronSchedule, () => new CronScheduler());
+SchedulerRegistry.registerScheduler(BackoffRetrySchedule, () => new BackoffRetryScheduler());
+
+
+module.exports = Object.freeze({
+  SchedulerRegistry
+});
+
+
+/**
+ * @typedef SchedulerFactory
+ * @type {(options: Object) => Scheduler} Receives the options for the type of
+ * Schedule (an empty object, if there are none) and returns a new Scheduler.
+ */
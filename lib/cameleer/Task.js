@@ -5,6 +5,7 @@ const Joi = require('joi')
 , { TaskConfigSchema } = require('../../meta/schemas')
 , { mergeObjects, Schedule, Resolve } = require('sh.orchestration-tools')
 , { ResolvedConfig } = require('./ResolvedConfig')
+, { CronSchedule } = require('./CronSchedule')
 , { Result } = require('./Result')
 , { BaseLogger } = require('sh.log-client')
 , { SubClassRegister } = require('../../tools/SubClassRegister')
@@ -23,6 +24,9 @@ class Task {
     if (!Resolve.isTypeOf(config.enabled, Boolean)) {
       throw new Error(`The configuration's property 'enabled' must be a resolved boolean value.`);
     }
+    if (typeof config.schedule === 'string') {
+      config = Object.assign({}, config, { schedule: new CronSchedule(config.schedule) });
+    }
     if (!(config.schedule instanceof Schedule)) {
       throw new Error(`The configuration's property 'schedule' must be an instance of ${Schedule.name}.`);
     }
@@ -90,6 +94,49 @@ class Task {
     return this._logger instanceof BaseLogger;
   };
 
+  /**
+   * @returns {Array.<TaskDependency>} The dependencies of this Task (see
+   * TaskConfig::dependsOn), each with an explicit condition.
+   */
+  get dependencies() {
+    return (Array.isArray(this.config.dependsOn) ? this.config.dependsOn : []).map(dep =>
+      typeof dep === 'string' ? { task: dep, condition: 'success' } :
+        { task: dep.task, condition: dep.condition === 'always' ? 'always' : 'success' });
+  };
+
+  /**
+   * @returns {CircuitBreakerConfig|null} The configuration of this Task's circuit
+   * breaker (see TaskConfig::circuitBreaker), with all defaults, or null.
+   */
+  get circuitBreaker() {
+    const cb = this.config.circuitBreaker;
+    return cb === void 0 || cb === null ? null : {
+      failureThreshold: typeof cb.failureThreshold === 'number' ? cb.failureThreshold : 5,
+      openSecs: typeof cb.openSecs === 'number' ? cb.openSecs : 60
+    };
+  };
+
+  /**
+   * @returns {Array.<string>} The names of the resources each job of this Task
+   * needs (see TaskConfig::resources), without duplicates.
+   */
+  get resources() {
+    return Array.isArray(this.config.resources) ?
+      Array.from(new Set(this.config.resources)) : [];
+  };
+
+  /**
+   * Commands that this Task contributes to Controls. Subclasses may override this
+   * property to return their own commands; those are available as long as the
+   * Task is loaded by Cameleer.
+   * 
+   * @see {ControlCommandDefinition}
+   * @returns {Array.<ControlCommandDefinition>}
+   */
+  get commands() {
+    return [];
+  };
+
   /**
    * Property that should return a schema to validate configurations against
    * that this class or its subclasses require.
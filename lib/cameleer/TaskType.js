@@ -0,0 +1,209 @@
+require('../../meta/typedefs');
+
+const Joi = require('joi')
+, { inspect } = require('util')
+, { setTimeout: delay } = require('timers/promises')
+, { ProcessWrapper, ProcessErrorResult } = require('sh.orchestration-tools')
+, { SubClassRegister } = require('../../tools/SubClassRegister');
+
+
+/**
+ * A TaskType is a reusable functional task that can be referenced by its name
+ * from a DeclarativeTaskConfig (e.g. in a JSON- or YAML-file). Sub-classes must
+ * override run() and should override schemaConf to validate their options. A
+ * sub-class must be registered using SubClassRegister.registerSubclass(), so that
+ * it can be found by its name.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class TaskType {
+  /**
+   * @param {Object.<string, any>} [options] Optional. Defaults to {}. The options
+   * are validated against this TaskType's schemaConf.
+   */
+  constructor(options = {}) {
+    const valResult = Joi.validate(options, this.schemaConf);
+    if (valResult.error !== null) {
+      throw new Error(`The options for ${this.constructor.name} are not valid: ${inspect(valResult.error)}`);
+    }
+
+    /** @type {Object.<string, any>} */
+    this.options = valResult.value;
+  };
+
+  /**
+   * Should be overridden by sub-classes that support options.
+   * 
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return Joi.object().keys({});
+  };
+
+  /**
+   * The function of the functional task. Must be overridden. Implementations
+   * should stop once the job's signal is aborted (see CameleerJob::signal).
+   * 
+   * @param {CameleerJob} job The job this functional task is run for.
+   * @param {...any} args The literal arguments of the DeclarativeFunctionalTaskConfig.
+   * @returns {Promise.<any>} The result of the functional task.
+   */
+  async run(job, ...args) {
+    throw new Error('Abstract method.');
+  };
+
+  /**
+   * @param {DeclarativeFunctionalTaskConfig} config
+   * @returns {FunctionalTaskConfig} A FunctionalTaskConfig that runs an instance of
+   * the TaskType that the given configuration references.
+   */
+  static toFunctionalTaskConfig(config) {
+    const Clazz = SubClassRegister.getSubClassForName(TaskType, config.type)
+    , taskType = new Clazz(config.options);
+
+    /** @type {FunctionalTaskConfig} */
+    const ftConf = {
+      name: config.name || config.type,
+      canFail: config.canFail === true,
+      func: async(...args) => await taskType.run(args.pop(), ...args)
+    };
+
+    if (typeof config.timeoutSecs === 'number') {
+      ftConf.timeoutSecs = config.timeoutSecs;
+    }
+
+    if (Array.isArray(config.args) && config.args.length > 0) {
+      ftConf.args = config.args.slice(0);
+    }
+
+    return ftConf;
+  };
+};
+
+
+/**
+ * Writes a message to the job's logger and returns it.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class LogTaskType extends TaskType {
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return Joi.object().keys({
+      message: Joi.string().required(),
+      level: Joi.string().valid('debug', 'info', 'warning', 'error').default('info').optional()
+    });
+  };
+
+  /**
+   * @param {CameleerJob} job
+   * @returns {Promise.<string>}
+   */
+  async run(job) {
+    const { message, level } = this.options;
+
+    switch (level) {
+      case 'debug': job.logger.logDebug(message); break;
+      case 'warning': job.logger.logWarning(message); break;
+      case 'error': job.logger.logError(message); break;
+      default: job.logger.logInfo(message);
+    }
+
+    return message;
+  };
+};
+
+
+/**
+ * Waits for a given amount of milliseconds.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class DelayTaskType extends TaskType {
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return Joi.object().keys({
+      msecs: Joi.number().integer().min(0).required()
+    });
+  };
+
+  /**
+   * @param {CameleerJob} job
+   * @returns {Promise.<void>} Rejects if the job's signal is aborted before the
+   * delay elapsed.
+   */
+  async run(job) {
+    await delay(this.options.msecs, void 0, { signal: job.signal });
+  };
+};
+
+
+/**
+ * Spawns a process and waits for it to exit. The process' arguments are the
+ * configured ones, followed by the literal arguments of the functional task.
+ * The process is killed if the job's signal is aborted.
+ * Rejects if the process cannot be spawned or exits with a non-zero code.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class ProcessTaskType extends TaskType {
+  /**
+   * @returns {ObjectSchema}
+   */
+  get schemaConf() {
+    return Joi.object().keys({
+      command: Joi.string().min(1).required(),
+      args: Joi.array().items(Joi.string()).default([]).optional(),
+      cwd: Joi.string().min(1).optional(),
+      env: Joi.object().pattern(/./, Joi.string()).optional(),
+      shell: Joi.boolean().default(false).optional()
+    });
+  };
+
+  /**
+   * @param {CameleerJob} job
+   * @param {...any} args Additional arguments for the process.
+   * @returns {Promise.<ProcessExit>}
+   */
+  async run(job, ...args) {
+    const { command, cwd, env, shell } = this.options
+    // The process is killed if the job's signal is aborted (e.g. it timed out).
+    , spawnOptions = { shell, signal: job.signal };
+
+    if (cwd !== void 0) {
+      spawnOptions.cwd = cwd;
+    }
+    if (env !== void 0) {
+      spawnOptions.env = Object.assign({}, process.env, env);
+    }
+
+    const pw = new ProcessWrapper(command,
+      this.options.args.concat(args.map(a => `${a}`)), spawnOptions);
+
+    try {
+      return await pw.run(false);
+    } catch (e) {
+      if (e instanceof ProcessErrorResult) {
+        throw new Error(`The process '${command}' could not be spawned: ${inspect(e.error)}`);
+      }
+      throw new Error(`The process '${command}' exited with code ${e.code}: ${e.stdErr}`);
+    }
+  };
+};
+
+
+SubClassRegister.registerSubclass(TaskType);
+SubClassRegister.registerSubclass(LogTaskType);
+SubClassRegister.registerSubclass(DelayTaskType);
+SubClassRegister.registerSubclass(ProcessTaskType);
+
+module.exports = Object.freeze({
+  TaskType,
+  LogTaskType,
+  DelayTaskType,
+  ProcessTaskType
+});
@@ -1,13 +1,402 @@
 require('../../meta/typedefs');
 
-const { Cameleer } = require('../cameleer/Cameleer')
-, { ControlConfigSchema } = require('../../meta/schemas')
+const Joi = require('joi')
+, { inspect } = require('util')
+, { Cameleer } = require('../cameleer/Cameleer')
+, { ControlConfigSchema, ControlCommandSchema, JobHistoryQuerySchema,
+    CameleerQueueConfigSchema, CameleerQueueChangesSchema } = require('../../meta/schemas')
 , { ConfigurableClass } = require('../../tools/ConfigurableClass')
 , { SubClassRegister } = require('../../tools/SubClassRegister');
 
 
+const ControlErrorTypes = Object.freeze({
+  unknownCommand: 'The command is not known.',
+  invalidArgs: 'The arguments given to the command are not valid.',
+  notFound: 'The requested entity could not be found.',
+  notAllowed: 'The command is not allowed by this Control.',
+  conflict: 'The command conflicts with the current state of Cameleer.'
+});
+const ControlErrorTypesKeys = new Set(Object.keys(ControlErrorTypes));
+
 
 /**
+ * Errors of this type are thrown by Controls if a command cannot be processed
+ * for a known reason. Controls may use the error's type to report the failure
+ * appropriately (e.g. the HttpControl maps it to a status code).
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class ControlError extends Error {
+  static get ErrorTypes() {
+    return ControlErrorTypes;
+  };
+
+  /**
+   * @see {ControlErrorTypes} for a list of types to use
+   * @param {'unknownCommand'|'invalidArgs'|'notFound'|'notAllowed'|'conflict'} errType the type of the error
+   * @param {string} [msg] Optional. Defaults to the description of the error's type.
+   */
+  constructor(errType, msg = void 0) {
+    super(typeof msg === 'string' ? msg : ControlErrorTypes[errType]);
+
+    if (!ControlErrorTypesKeys.has(errType)) {
+      throw new Error(`The error-type given ('${errType}') is not valid. It must be one of ${Array.of(...ControlErrorTypesKeys.values()).map(k => `'${k}'`).join(', ')}.`);
+    }
+    this.errType = errType;
+  };
+};
+
+
+
+/**
+ * @typedef ControlCommandDefinition
+ * @type {Object}
+ * @property {string} name The name of the command. It must not contain whitespace and
+ * must not start with an underscore.
+ * @property {string} [description] Optional. Defaults to ''. A description that is
+ * shown by the command 'help'.
+ * @property {ArraySchema} [args] Optional. Defaults to a schema that does not allow
+ * any arguments. A Joi-schema that is used to validate the Array of arguments. As
+ * the schema converts values, arguments given as strings (e.g. on the command line)
+ * are coerced to the types the schema demands.
+ * @property {(control: Control, ...args: Array.<any>) => (any|Promise.<any>)} handler
+ * The function that executes the command. It is given the Control that processes the
+ * command and the validated arguments.
+ */
+
+
+/**
+ * Represents a command that Controls can process. Commands are registered either
+ * globally (Control.registerCommand()), with a specific Control or provided by a
+ * Task (Task::commands).
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class ControlCommand {
+  /**
+   * @param {ControlCommandDefinition} definition
+   * @throws {Error} If the definition is not valid.
+   */
+  constructor(definition) {
+    const valResult = Joi.validate(definition, ControlCommandSchema);
+    if (valResult.error !== null) {
+      throw new Error(`The given command-definition is not valid: ${inspect(valResult.error)}`);
+    }
+
+    this.name = definition.name;
+    this.description = valResult.value.description;
+    /** @type {ArraySchema} */
+    this.args = definition.args || Joi.array().length(0);
+    this.handler = definition.handler;
+  };
+
+  /**
+   * @param {Array.<any>} args
+   * @throws {ControlError} If the arguments do not validate against the schema.
+   * @returns {Array.<any>} The validated and coerced arguments.
+   */
+  validateArgs(args) {
+    const valResult = Joi.validate(args, this.args);
+    if (valResult.error !== null) {
+      throw new ControlError('invalidArgs',
+        `The arguments for the command '${this.name}' are not valid: ${valResult.error.message}`);
+    }
+    return valResult.value;
+  };
+
+  /**
+   * @param {Control} control
+   * @param {...any} args
+   * @returns {Promise.<any>} The result of the command.
+   */
+  async execute(control, ...args) {
+    return await this.handler(control, ...this.validateArgs(args));
+  };
+
+  /**
+   * @returns {{ name: string, description: string, args: Object }}
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+      args: this.args.describe()
+    };
+  };
+};
+
+
+/** @type {Map.<string, ControlCommand>} */
+const globalCommands = new Map();
+
+
+/**
+ * @param {Cameleer} cameleer
+ * @param {Task} task
+ * @returns {Object}
+ */
+const taskToJSON = (cameleer, task) => {
+  return {
+    name: task.name,
+    type: task.constructor.name,
+    enabled: task.config.enabled,
+    schedule: task.config.schedule.constructor.name,
+    isRunning: cameleer.isTaskRunning(task),
+    isEnqueued: cameleer.isTaskEnqueued(task)
+  };
+};
+
+/**
+ * @param {CameleerQueue} cq
+ * @returns {Object}
+ */
+const queueToJSON = cq => {
+  return {
+    name: cq.name,
+    type: cq.isParallel ? 'parallel' : 'cost',
+    isDefault: cq.isDefault,
+    enabled: cq.config.enabled,
+    isPaused: cq.queue.isPaused,
+    isPausedIndividually: cq.isPausedIndividually,
+    isRemoving: cq.isRemoving,
+    parallelism: cq.isParallel ? cq.queue.numParallel : null,
+    capabilities: cq.isParallel ? null : cq.queue.capabilities,
+    isIdle: cq.queue.isIdle,
+    load: cq.queue.load,
+    utilization: cq.queue.utilization,
+    backlog: cq.queue.backlog,
+    numJobsRunning: cq.queue.numJobsRunning,
+    numJobsDone: cq.queue.numJobsDone,
+    numJobsFailed: cq.queue.numJobsFailed
+  };
+};
+
+/**
+ * @param {CameleerJob} job
+ * @returns {CameleerJobSnapshot}
+ */
+const jobToJSON = job => job.toSnapshot();
+
+/**
+ * @param {Cameleer} cameleer
+ * @returns {Array.<CameleerJob>} All running and enqueued jobs.
+ */
+const getAllJobs = cameleer => cameleer.getRunningJobs().concat(cameleer.getEnqueuedJobs());
+
+/**
+ * @param {Cameleer} cameleer
+ * @param {string} name
+ * @throws {ControlError} If no such Task is loaded.
+ * @returns {Task}
+ */
+const getTask = (cameleer, name) => {
+  const task = cameleer.tasks.find(t => t.name === name);
+  if (task === void 0) {
+    throw new ControlError('notFound', `The task '${name}' is not loaded.`);
+  }
+  return task;
+};
+
+/**
+ * @param {Cameleer} cameleer
+ * @param {string} name
+ * @throws {ControlError} If no such queue exists.
+ * @returns {CameleerQueue}
+ */
+const getQueue = (cameleer, name) => {
+  const cq = cameleer.queues.find(q => q.name === name);
+  if (cq === void 0) {
+    throw new ControlError('notFound', `The queue '${name}' does not exist.`);
+  }
+  return cq;
+};
+
+/**
+ * Runs the given function and turns the errors it throws into conflicts (the
+ * arguments have been validated before).
+ * 
+ * @template T
+ * @param {() => T} fn
+ * @throws {ControlError} Of type 'conflict'.
+ * @returns {T}
+ */
+const asConflict = fn => {
+  try {
+    return fn();
+  } catch (e) {
+    throw new ControlError('conflict', e instanceof Error ? e.message : `${e}`);
+  }
+};
+
+
+/**
+ * The commands every Control supports.
+ * 
+ * @type {Array.<ControlCommandDefinition>}
+ */
+const builtInCommands = [{
+  name: 'help',
+  description: 'Lists all available commands or describes the given command.',
+  args: Joi.array().ordered(Joi.string().optional()),
+  handler: (control, name = void 0) => {
+    const commands = control.getCommands();
+    if (name === void 0) {
+      return Array.from(commands.values()).map(cmd => ({
+        name: cmd.name, description: cmd.description }));
+    }
+    if (!commands.has(name)) {
+      throw new ControlError('unknownCommand', `The command '${name}' is not known.`);
+    }
+    return commands.get(name).describe();
+  }
+}, {
+  name: 'run',
+  description: `Resumes all of Cameleer's queues.`,
+  handler: control => control.cameleer.run()
+}, {
+  name: 'load',
+  description: 'Loads all tasks from the ConfigProvider.',
+  handler: async control => await control.cameleer.loadTasks()
+}, {
+  name: 'reload',
+  description: 'Reloads all tasks from the ConfigProvider, replacing only the tasks that have changed.',
+  handler: async control => await control.cameleer.reloadTasks()
+}, {
+  name: 'clear',
+  description: 'Removes all tasks and clears the backlog of all queues.',
+  handler: async control => await control.cameleer.clearTasks()
+}, {
+  name: 'pause',
+  description: `Pauses all of Cameleer's queues and returns immediately.`,
+  handler: control => control.cameleer.pause()
+}, {
+  name: 'pausewait',
+  description: `Pauses all of Cameleer's queues and waits for them to become idle.`,
+  handler: async control => await control.cameleer.pauseWait()
+}, {
+  name: 'shutdown',
+  description: 'Shuts down Cameleer and tears down this Control.',
+  handler: async control => {
+    const result = await control.cameleer.shutdown();
+    await control.teardown();
+    return result; // Makes sense if teardown() is overridden w/o process.exit(..)
+  }
+}, {
+  name: 'tasks',
+  description: 'Lists all loaded tasks or shows the task with the given name.',
+  args: Joi.array().ordered(Joi.string().optional()),
+  handler: (control, name = void 0) => name === void 0 ?
+    control.cameleer.tasks.map(t => taskToJSON(control.cameleer, t)) :
+    taskToJSON(control.cameleer, getTask(control.cameleer, name))
+}, {
+  name: 'trigger',
+  description: `Triggers the task with the given name immediately. The optional second argument may be an Object (or its JSON) with the properties 'args' (Array), 'context' (Object) and 'priority' (Number).`,
+  args: Joi.array().ordered(
+    Joi.string().required(),
+    Joi.object().keys({
+      args: Joi.array().optional(),
+      context: Joi.object().unknown(true).optional(),
+      priority: Joi.number().optional()
+    }).optional()),
+  handler: async(control, name, options = {}) => {
+    const task = getTask(control.cameleer, name)
+    , job = await control.cameleer.triggerTask(task.name, options);
+
+    if (job === null) {
+      throw new ControlError('conflict', `The task '${task.name}' was not enqueued (it was skipped, interrupted or does not allow multiple runs).`);
+    }
+    return jobToJSON(job);
+  }
+}, {
+  name: 'queues',
+  description: 'Lists all queues or shows the queue with the given name.',
+  args: Joi.array().ordered(Joi.string().optional()),
+  handler: (control, name = void 0) => {
+    if (name === void 0) {
+      return control.cameleer.queues.map(queueToJSON);
+    }
+    return queueToJSON(getQueue(control.cameleer, name));
+  }
+}, {
+  name: 'addqueue',
+  description: 'Adds a new queue. The argument is its configuration (an Object or its JSON), e.g. { "name": "q2", "enabled": true, "type": "parallel", "parallelism": 2 }.',
+  args: Joi.array().ordered(CameleerQueueConfigSchema.required()),
+  handler: (control, config) => queueToJSON(asConflict(() => control.cameleer.addQueue(config)))
+}, {
+  name: 'updatequeue',
+  description: `Changes the queue with the given name. The second argument is an Object (or its JSON) with one or more of the properties 'enabled', 'isDefault', 'parallelism', 'capabilities', 'allowExclusiveJobs' and 'agingSecs'.`,
+  args: Joi.array().ordered(Joi.string().required(), CameleerQueueChangesSchema.required()),
+  handler: (control, name, changes) => {
+    const cq = getQueue(control.cameleer, name);
+    return queueToJSON(asConflict(() => control.cameleer.updateQueue(cq.name, changes)));
+  }
+}, {
+  name: 'pausequeue',
+  description: 'Pauses the queue with the given name (its running jobs are not affected).',
+  args: Joi.array().ordered(Joi.string().required()),
+  handler: (control, name) => queueToJSON(control.cameleer.pauseQueue(getQueue(control.cameleer, name).name))
+}, {
+  name: 'resumequeue',
+  description: 'Resumes the queue with the given name, if it was paused using pausequeue.',
+  args: Joi.array().ordered(Joi.string().required()),
+  handler: (control, name) => queueToJSON(control.cameleer.resumeQueue(getQueue(control.cameleer, name).name))
+}, {
+  name: 'removequeue',
+  description: 'Starts removing the queue with the given name, which happens once all of its enqueued and running jobs are done (i.e., not while it is paused). No new jobs are enqueued in the queue in the meantime. Returns the queue right away.',
+  args: Joi.array().ordered(Joi.string().required()),
+  handler: (control, name) => {
+    const cq = getQueue(control.cameleer, name);
+    if (cq.isRemoving) {
+      throw new ControlError('conflict', `The queue '${name}' is being removed already.`);
+    }
+
+    // Draining the queue may take indefinitely, so it is not awaited:
+    control.cameleer.removeQueue(cq.name).catch(err => {
+      control.logger.logError(`Removing the queue '${cq.name}' failed: ${err instanceof Error ? err.message : inspect(err)}`, err);
+    });
+    return queueToJSON(cq);
+  }
+}, {
+  name: 'jobs',
+  description: 'Lists all running and enqueued jobs or shows the job with the given ID.',
+  args: Joi.array().ordered(Joi.number().integer().optional()),
+  handler: (control, id = void 0) => {
+    if (id === void 0) {
+      return getAllJobs(control.cameleer).map(jobToJSON);
+    }
+
+    const job = control.cameleer.getJob(id);
+    if (job === null) {
+      throw new ControlError('notFound', `The job #${id} is neither running nor enqueued.`);
+    }
+    return jobToJSON(job);
+  }
+}, {
+  name: 'cancel',
+  description: 'Cancels the running or enqueued job with the given ID.',
+  args: Joi.array().ordered(Joi.number().integer().required()),
+  handler: (control, id) => {
+    const job = control.cameleer.cancelJob(id);
+    if (job === null) {
+      throw new ControlError('notFound', `The job #${id} is neither running nor enqueued.`);
+    }
+    return jobToJSON(job);
+  }
+}, {
+  name: 'history',
+  description: `Queries the records of past and current jobs, latest first. The optional argument may be an Object (or its JSON) with the properties 'task', 'workflowId', 'state' (one or more of 'scheduled', 'running', 'done', 'failed' and 'interrupted'), 'since', 'until' (dates) and 'limit'.`,
+  args: Joi.array().ordered(JobHistoryQuerySchema.optional()),
+  handler: async(control, query = {}) => await control.cameleer.queryJobHistory(query)
+}];
+
+
+
+/**
+ * A Control processes commands for Cameleer. The commands available are the
+ * built-in commands, commands that were registered globally, commands provided
+ * by the loaded Tasks and commands registered with the Control itself (in that
+ * order, i.e. the latter may override the former).
+ * 
  * @author Sebastian Hönel <development@hoenel.net>
  */
 class Control extends ConfigurableClass {
@@ -18,6 +407,9 @@ class Control extends ConfigurableClass {
    */
   constructor(cameleerInstance, config = void 0) {
     super(cameleerInstance, config);
+
+    /** @type {Map.<string, ControlCommand>} */
+    this._commands = new Map();
   };
 
   /**
@@ -27,38 +419,136 @@ class Control extends ConfigurableClass {
     return ControlConfigSchema;
   };
 
+  /**
+   * Registers a command with all Controls.
+   * 
+   * @param {ControlCommandDefinition|ControlCommand} definition
+   * @param {boolean} [forceOverride] Optional. Defaults to false. Whether to
+   * replace an already registered command with the same name.
+   * @throws {Error} If the definition is not valid or a command with the same
+   * name exists and overriding is not allowed.
+   * @returns {ControlCommand} The registered command.
+   */
+  static registerCommand(definition, forceOverride = false) {
+    const cmd = definition instanceof ControlCommand ?
+      definition : new ControlCommand(definition);
+
+    if (globalCommands.has(cmd.name) && !forceOverride) {
+      throw new Error(`A command with the name '${cmd.name}' is already registered.`);
+    }
+
+    globalCommands.set(cmd.name, cmd);
+    return cmd;
+  };
+
+  /**
+   * @param {string} name The name of a globally registered command.
+   * @returns {boolean} True, if the command was registered and is now removed.
+   */
+  static unregisterCommand(name) {
+    return globalCommands.delete(name);
+  };
+
+  /**
+   * Registers a command only with this instance of Control. Commands registered
+   * this way take precedence over all other commands.
+   * 
+   * @param {ControlCommandDefinition|ControlCommand} definition
+   * @returns {ControlCommand} The registered command.
+   */
+  registerCommand(definition) {
+    const cmd = definition instanceof ControlCommand ?
+      definition : new ControlCommand(definition);
+    this._commands.set(cmd.name, cmd);
+    return cmd;
+  };
+
+  /**
+   * @returns {Map.<string, ControlCommand>} All commands that this Control can
+   * currently process (the allow- and deny-list are not considered).
+   */
+  getCommands() {
+    const commands = new Map(globalCommands.entries());
+
+    for (const task of this.cameleer.tasks) {
+      for (const def of task.commands) {
+        const cmd = def instanceof ControlCommand ? def : new ControlCommand(def);
+        commands.set(cmd.name, cmd);
+      }
+    }
+
+    for (const cmd of this._commands.values()) {
+      commands.set(cmd.name, cmd);
+    }
+
+    return commands;
+  };
+
+  /**
+   * Checks the given command against this Control's allow- and deny-list.
+   * Commands that start with an underscore are never allowed.
+   * 
+   * @param {string} cmd
+   * @returns {boolean} True, if this Control may process the command.
+   */
+  isCommandAllowed(cmd) {
+    if (typeof cmd !== 'string' || cmd.startsWith('_') || cmd === 'constructor') {
+      return false;
+    }
+    if (Array.isArray(this.config.deny) && this.config.deny.indexOf(cmd) >= 0) {
+      return false;
+    }
+    return !Array.isArray(this.config.allow) || this.config.allow.indexOf(cmd) >= 0;
+  };
 
   /**
-   * @param {string} cmd 
-   * @param {Array} args
-   * @throws {Error} If the command is not known or if the command and its arguments
-   * are not (a) callable (function) (or if any of the executed commands simply fail).
+   * @param {string} cmd
+   * @throws {ControlError} If the command is not allowed.
+   * @returns {this}
+   */
+  _requireCommandAllowed(cmd) {
+    if (!this.isCommandAllowed(cmd)) {
+      throw new ControlError('notAllowed', `The command '${cmd}' is not allowed.`);
+    }
+    return this;
+  };
+
+  /**
+   * @param {string} cmd The name of a registered command.
+   * @param {Array} args The command's arguments. They are validated (and coerced)
+   * using the command's schema.
+   * @throws {ControlError} If the command is not known or not allowed or if its
+   * arguments are not valid.
+   * @throws {Error} If the command itself fails.
    * @returns {any} The result of the command
    */
   async processCommand(cmd, ...args) {
-    if (cmd === 'run') {
-      return this.cameleer.run();
-    } else if (cmd === 'load') {
-      return await this.cameleer.loadTasks();
-    } else if (cmd === 'pause') {
-      return this.cameleer.pause();
-    } else if (cmd === 'pausewait') {
-      return await this.cameleer.pauseWait();
-    } else if (cmd === 'shutdown') {
-      const result = await this.cameleer.shutdown();
-      await this.teardown();
-      return result; // Makes sense if teardown() is overridden w/o process.exit(..)
-    } else {
-      if (cmd in this.cameleer && typeof this.cameleer[cmd] === 'function') {
-        const maybePromise = this.cameleer[cmd].apply(this.cameleer, args);
-        if (maybePromise instanceof Promise) {
-          return await maybePromise;
-        }
-        return maybePromise;
-      }
+    this._requireCommandAllowed(cmd);
+
+    const commands = this.getCommands();
+    if (!commands.has(cmd)) {
+      throw new ControlError('unknownCommand', `The command '${cmd}' is not known.`);
     }
 
-    throw new Error(`The command '${cmd}' is not known.`);
+    return await commands.get(cmd).execute(this, ...args);
+  };
+
+  /**
+   * Converts the result of a command to a value that can be represented as JSON.
+   * 
+   * @param {any} value
+   * @returns {any}
+   */
+  _toJSONValue(value) {
+    if (value === void 0 || value === this.cameleer) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (e) {
+      return inspect(value);
+    }
   };
 
   /**
@@ -71,8 +561,14 @@ class Control extends ConfigurableClass {
 };
 
 
+builtInCommands.forEach(def => Control.registerCommand(def));
+
 SubClassRegister.registerSubclass(Control);
 
 module.exports = Object.freeze({
-  Control
+  Control,
+  ControlCommand,
+  ControlError,
+  ControlErrorTypes,
+  ControlErrorTypesKeys
 });
@@ -1,21 +1,101 @@
 require('../../meta/typedefs');
 
 const Joi = require('joi')
-, { Control } = require('./Control')
+, { inspect } = require('util')
+, { Control, ControlError } = require('./Control')
 , { Cameleer } = require('../cameleer/Cameleer')
-, { ConfigurableClassConfigSchema } = require('../../meta/schemas')
+, { ControlConfigSchema } = require('../../meta/schemas')
+, crypto = require('crypto')
 , http = require('http');
 
 
-const ControlHttpControlConfigSchema = ConfigurableClassConfigSchema.keys({
-  port: Joi.number().integer().min(80).max(2**16 - 1).required()
+const ControlHttpControlConfigSchema = ControlConfigSchema.keys({
+  port: Joi.number().integer().min(80).max(2**16 - 1).required(),
+  auth: Joi.alternatives(
+    Joi.object().keys({
+      type: Joi.string().valid('token').required(),
+      token: Joi.string().min(1).required()
+    }),
+    Joi.object().keys({
+      type: Joi.string().valid('basic').required(),
+      username: Joi.string().min(1).required(),
+      password: Joi.string().min(1).required()
+    })
+  ).optional()
 });
 
 
 /**
- * Supports controlling Cameleer using GET-requests of the form:
- * /control/command/<command>. Arguments may be supplied using
- * spaces.
+ * Maps the types of ControlError to HTTP status codes.
+ * 
+ * @type {Object.<string, number>}
+ */
+const statusCodesForErrorTypes = Object.freeze({
+  unknownCommand: 404,
+  notFound: 404,
+  notAllowed: 403,
+  invalidArgs: 400,
+  conflict: 409
+});
+
+
+/**
+ * Thrown by the HttpControl's routing, if a request cannot be served.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class HttpControlError extends Error {
+  /**
+   * @param {number} statusCode The HTTP status code to respond with.
+   * @param {string} msg A message describing the error.
+   */
+  constructor(statusCode, msg) {
+    super(msg);
+    this.statusCode = statusCode;
+  };
+};
+
+
+/**
+ * @typedef HttpControlRoute
+ * @type {Object}
+ * @property {'GET'|'POST'} method
+ * @property {RegExp} path
+ * @property {string|((match: RegExpExecArray) => string)} command The name of the
+ * command this route represents (or a function that extracts it from the path).
+ * @property {(match: RegExpExecArray, body: Object.<string, any>, query: URLSearchParams) => Array.<any>} [args]
+ * Optional. Defaults to no arguments. Returns the arguments for the command.
+ * @property {number} [statusCode] Optional. Defaults to 200. The status code to
+ * respond with if the command succeeds.
+ */
+
+
+/**
+ * Supports controlling Cameleer using a REST-API that responds with JSON. The
+ * following routes are supported:
+ * - GET /tasks, GET /tasks/:name, POST /tasks/:name/trigger (the body may contain
+ *   the properties 'args', 'context' and 'priority')
+ * - GET /queues, GET /queues/:name, POST /queues (the body is the queue's
+ *   configuration), POST /queues/:name/update (the body contains the changes),
+ *   POST /queues/:name/pause, POST /queues/:name/resume, POST /queues/:name/remove
+ *   (responds with 202, as the queue is only removed once it was drained)
+ * - GET /jobs, GET /jobs/:id
+ * - GET /history (the query string may contain the properties of a JobHistoryQuery,
+ *   e.g. /history?task=foo&limit=5), GET /history/:task
+ * - POST /load, POST /reload, POST /run, POST /pause, POST /pausewait, POST /shutdown
+ * - GET /help, GET /help/:command
+ * - POST /commands/:command (any registered command; its arguments are taken
+ *   from the property 'args' of the request's body)
+ * - GET /control/command/<command> (legacy; arguments may be supplied using spaces)
+ * 
+ * Each route maps to a command of the Control's registry, so that the allow- and
+ * deny-list apply to it and its arguments are validated.
+ * 
+ * Failed requests are answered with an appropriate status code and a body of
+ * the form { error: { statusCode, type, message } }.
+ * 
+ * If the configuration has the property 'auth', every request needs to be
+ * authenticated, using either a bearer token or basic authentication.
  * 
  * @author Sebastian Hönel <development@hoenel.net>
  */
@@ -28,8 +108,8 @@ class HttpControl extends Control {
   };
 
   /**
-   * @param {Cameleer} cameleerInstance 
-   * @param {ConfigurableClassConfig} config Requires the property 'port'.
+   * @param {Cameleer} cameleerInstance
+   * @param {ControlHttpControlConfig} config Requires the property 'port'.
    */
   constructor(cameleerInstance, config) {
     super(cameleerInstance, config);
@@ -37,6 +117,9 @@ class HttpControl extends Control {
     this.server = null;
     this.logScope = this.logger.beginScope(`${this.port}`);
     this.logger.logInfo(`Running Http-Controller for Cameleer on port ${this.port}.`);
+
+    /** @type {Array.<HttpControlRoute>} */
+    this.routes = this._createRoutes();
     this._initServer();
   };
 
@@ -47,32 +130,259 @@ class HttpControl extends Control {
     return ControlHttpControlConfigSchema;
   };
 
+  /**
+   * @returns {Array.<HttpControlRoute>}
+   */
+  _createRoutes() {
+    const firstGroup = match => [match[1]]
+    , historyQuery = query => {
+      const q = {};
+      for (const key of query.keys()) {
+        const values = query.getAll(key);
+        q[key] = values.length > 1 ? values : values[0];
+      }
+      return q;
+    };
+
+    return [{
+      method: 'GET', path: /^\/tasks\/?$/, command: 'tasks'
+    }, {
+      method: 'GET', path: /^\/tasks\/([^/]+)\/?$/, command: 'tasks', args: firstGroup
+    }, {
+      method: 'POST', path: /^\/tasks\/([^/]+)\/trigger\/?$/, command: 'trigger',
+      args: (match, body) => [match[1], body]
+    }, {
+      method: 'GET', path: /^\/queues\/?$/, command: 'queues'
+    }, {
+      method: 'GET', path: /^\/queues\/([^/]+)\/?$/, command: 'queues', args: firstGroup
+    }, {
+      method: 'POST', path: /^\/queues\/?$/, command: 'addqueue', args: (match, body) => [body]
+    }, {
+      method: 'POST', path: /^\/queues\/([^/]+)\/update\/?$/, command: 'updatequeue',
+      args: (match, body) => [match[1], body]
+    }, {
+      method: 'POST', path: /^\/queues\/([^/]+)\/pause\/?$/, command: 'pausequeue', args: firstGroup
+    }, {
+      method: 'POST', path: /^\/queues\/([^/]+)\/resume\/?$/, command: 'resumequeue', args: firstGroup
+    }, {
+      // The queue is removed in the background, once it was drained:
+      method: 'POST', path: /^\/queues\/([^/]+)\/remove\/?$/, command: 'removequeue', args: firstGroup,
+      statusCode: 202
+    }, {
+      method: 'GET', path: /^\/jobs\/?$/, command: 'jobs'
+    }, {
+      method: 'GET', path: /^\/jobs\/([^/]+)\/?$/, command: 'jobs', args: firstGroup
+    }, {
+      method: 'POST', path: /^\/jobs\/([^/]+)\/cancel\/?$/, command: 'cancel', args: firstGroup
+    }, {
+      method: 'GET', path: /^\/history\/?$/, command: 'history',
+      args: (match, body, query) => [historyQuery(query)]
+    }, {
+      method: 'GET', path: /^\/history\/([^/]+)\/?$/, command: 'history',
+      args: (match, body, query) => [Object.assign(historyQuery(query), { task: match[1] })]
+    }, {
+      method: 'POST', path: /^\/load\/?$/, command: 'load'
+    }, {
+      method: 'POST', path: /^\/reload\/?$/, command: 'reload'
+    }, {
+      method: 'POST', path: /^\/run\/?$/, command: 'run'
+    }, {
+      method: 'POST', path: /^\/pause\/?$/, command: 'pause'
+    }, {
+      method: 'POST', path: /^\/pausewait\/?$/, command: 'pausewait'
+    }, {
+      method: 'POST', path: /^\/shutdown\/?$/, command: 'shutdown'
+    }, {
+      method: 'GET', path: /^\/help\/?$/, command: 'help'
+    }, {
+      method: 'GET', path: /^\/help\/([^/]+)\/?$/, command: 'help', args: firstGroup
+    }, {
+      method: 'POST', path: /^\/commands\/([^/]+)\/?$/, command: match => match[1],
+      args: (match, body) => {
+        if (body.args !== void 0 && !Array.isArray(body.args)) {
+          throw new ControlError('invalidArgs', `The property 'args' of the request's body must be an Array.`);
+        }
+        return body.args || [];
+      }
+    }, {
+      method: 'GET', path: /^\/control\/command\/(.+)$/, command: match => match[1].split(' ')[0],
+      args: match => match[1].split(' ').slice(1)
+    }];
+  };
+
+  /**
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean} True, if both strings are equal. The comparison is done
+   * in constant time.
+   */
+  static _safeEquals(a, b) {
+    const bufA = Buffer.from(`${a}`, 'utf8'), bufB = Buffer.from(`${b}`, 'utf8');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  };
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @returns {boolean} True, if this Control does not require authentication
+   * or if the request carries valid credentials.
+   */
+  _isAuthenticated(req) {
+    if (!this.config.auth) {
+      return true;
+    }
+
+    const header = `${req.headers['authorization'] || ''}`
+    , idx = header.indexOf(' ')
+    , scheme = idx < 0 ? '' : header.substr(0, idx).toLowerCase()
+    , credentials = idx < 0 ? '' : header.substr(idx + 1).trim();
+
+    if (this.config.auth.type === 'token') {
+      return scheme === 'bearer' && HttpControl._safeEquals(credentials, this.config.auth.token);
+    }
+
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8')
+    , sep = decoded.indexOf(':');
+    return scheme === 'basic' && sep >= 0
+      && HttpControl._safeEquals(decoded.substr(0, sep), this.config.auth.username)
+      && HttpControl._safeEquals(decoded.substr(sep + 1), this.config.auth.password);
+  };
+
   _initServer() {
-    const path = 'control/command/';
     this.server = http.createServer(async(req, res) => {
-      const idx = req.url.indexOf(path);
-      if (idx >= 0) {
-        try {
-          const line = req.url.substr(idx + path.length).split(' ');
-          this.logger.logInfo(`Received command: '${line}'`);
-          await this.processCommand.apply(this, line);
-          res.statusCode = 200;
-        } catch (e) {
-          res.write(e);
-          res.statusCode = 500;
-          this.logger.logError(`500 caused by: ${e instanceof Error ? e.message : e}`);
-        } finally {
-          res.end();
+      let statusCode = 200, body = null;
+
+      try {
+        if (!this._isAuthenticated(req)) {
+          res.setHeader('WWW-Authenticate', this.config.auth.type === 'token' ? 'Bearer' : 'Basic realm="Cameleer"');
+          throw new HttpControlError(401, 'The request could not be authenticated.');
+        }
+
+        // Routes are matched against the raw path, so that an encoded slash within
+        // a segment (e.g. a task's name) does not split it:
+        const url = new URL(req.url, 'http://localhost')
+        , pathName = url.pathname
+        , candidates = this.routes.filter(r => r.path.test(pathName))
+        , route = candidates.find(r => r.method === req.method);
+
+        if (candidates.length === 0) {
+          throw new HttpControlError(404, `There is no resource at '${pathName}'.`);
+        } else if (route === void 0) {
+          res.setHeader('Allow', candidates.map(r => r.method).join(', '));
+          throw new HttpControlError(405, `The method '${req.method}' is not allowed for '${pathName}'.`);
+        }
+
+        const match = HttpControl._decodeMatch(route.path.exec(pathName))
+        , command = route.command instanceof Function ? route.command(match) : route.command;
+        this._requireCommandAllowed(command);
+
+        const reqBody = await this._readBody(req)
+        , args = route.args instanceof Function ? route.args(match, reqBody, url.searchParams) : [];
+        this.logger.logInfo(`Received command: '${command}'`);
+        body = this._toJSONValue(await this.processCommand(command, ...args));
+        statusCode = route.statusCode === void 0 ? 200 : route.statusCode;
+      } catch (e) {
+        statusCode = this._getStatusCodeForError(e);
+        body = {
+          error: {
+            statusCode,
+            type: e instanceof ControlError ? e.errType : (e instanceof Error ? e.constructor.name : typeof e),
+            message: e instanceof Error ? e.message : inspect(e)
+          }
+        };
+        if (statusCode < 500) {
+          this.logger.logWarning(`${statusCode} caused by: ${body.error.message}`);
+        } else {
+          this.logger.logError(`${statusCode} caused by: ${body.error.message}`);
         }
+      } finally {
+        res.statusCode = statusCode;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(body));
       }
     });
 
     this.server.listen(this.port);
   };
 
+  /**
+   * @param {RegExpExecArray} match A match of a route's path against the raw path.
+   * @throws {HttpControlError} If a captured segment is not properly encoded.
+   * @returns {Array.<string>} The match, with all of its captured segments decoded.
+   */
+  static _decodeMatch(match) {
+    try {
+      return match.map((group, idx) =>
+        idx === 0 || group === void 0 ? group : decodeURIComponent(group));
+    } catch (e) {
+      if (e instanceof URIError) {
+        throw new HttpControlError(400, `The path '${match[0]}' is not properly encoded.`);
+      }
+      throw e;
+    }
+  };
+
+  /**
+   * @param {any} error
+   * @returns {number}
+   */
+  _getStatusCodeForError(error) {
+    if (error instanceof HttpControlError) {
+      return error.statusCode;
+    } else if (error instanceof ControlError) {
+      return statusCodesForErrorTypes[error.errType];
+    }
+    return 500;
+  };
+
+  /**
+   * Reads the entire body of a request and parses it as JSON.
+   * 
+   * @param {http.IncomingMessage} req
+   * @throws {HttpControlError} If the body is not valid JSON or not an Object.
+   * @returns {Promise.<Object.<string, any>>} The parsed body or an empty
+   * Object, if the request had no body.
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('error', reject);
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8').trim();
+        if (raw === '') {
+          resolve({});
+          return;
+        }
+
+        let body = null;
+        try {
+          body = JSON.parse(raw);
+        } catch (e) {
+          reject(new HttpControlError(400, `The request's body is not valid JSON: ${e.message}`));
+          return;
+        }
+
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpControlError(400, `The request's body must be a JSON Object.`));
+        } else {
+          resolve(body);
+        }
+      });
+    });
+  };
+
+  /**
+   * Closes the server. Subsequent calls are ignored, as a shutdown that was
+   * requested through this Control will tear it down more than once.
+   */
   async teardown() {
+    if (this.server === null) {
+      return;
+    }
+
     this.server.removeAllListeners();
     this.server.close();
+    this.server = null;
     this.logger.endScope(this.logScope);
     this.logger.logInfo(`Shut down Http-Controller running on port ${this.port}.`);
     super.teardown();
@@ -80,14 +390,28 @@ class HttpControl extends Control {
 };
 
 
+/**
+ * @typedef ControlHttpControlAuthConfig
+ * @type {Object}
+ * @property {'token'|'basic'} type Whether requests authenticate using a bearer token
+ * ('Authorization: Bearer <token>') or using basic authentication.
+ * @property {string} [token] Required for the type 'token'.
+ * @property {string} [username] Required for the type 'basic'.
+ * @property {string} [password] Required for the type 'basic'.
+ */
+
+
 /**
  * @typedef ControlHttpControlConfig
- * @type {ConfigurableClassConfig}
+ * @type {ControlConfig}
  * @property {number} port
+ * @property {ControlHttpControlAuthConfig} [auth] Optional. Defaults to undefined. If
+ * given, all requests must be authenticated.
  */
 
 
 module.exports = Object.freeze({
   HttpControl,
+  HttpControlError,
   ControlHttpControlConfigSchema
 });
@@ -1,18 +1,24 @@
 require('../../meta/typedefs');
 
-const { Control } = require('./Control')
+const { inspect } = require('util')
+, { Control } = require('./Control')
 , { Cameleer } = require('../cameleer/Cameleer');
 
 
 /**
+ * Reads commands line by line from stdin. The first word of a line is the
+ * command, all following words are its arguments. Use the command 'help' to
+ * list all available commands.
+ * 
  * @author Sebastian Hönel <development@hoenel.net>
  */
 class StdinControl extends Control {
   /**
    * @param {Cameleer} cameleerInstance 
+   * @param {ControlConfig} [config] Optional. Defaults to undefined.
    */
-  constructor(cameleerInstance) {
-    super(cameleerInstance);
+  constructor(cameleerInstance, config = void 0) {
+    super(cameleerInstance, config);
 
     /**
      * @param {Buffer} chunk 
@@ -21,8 +27,8 @@ class StdinControl extends Control {
       const line = chunk.toString('utf-8').trim().split(' ');
       try {
         this.logger.logInfo(`Attempting command '${line[0]}' with args '${line.slice(1).join(' ')}'`);
-        await this.processCommand.apply(this, line);
-        this.logger.logInfo('Command succeeded.');
+        const result = this._toJSONValue(await this.processCommand.apply(this, line));
+        this.logger.logInfo(`Command succeeded${result === null ? '.' : `: ${inspect(result, { depth: 4 })}`}`);
       } catch (e) {
         this.logger.logError(`The command failed: '${e instanceof Error ? e.message : e}'`);
       }
@@ -6,6 +6,12 @@ const Joi = require('joi');
  * @author Sebastian Hönel <development@hoenel.net>
  */
 
+const ErrorMatcherSchema = Joi.array().items(
+  Joi.string().min(1),
+  Joi.func()
+).min(1);
+
+
 const FunctionalTaskErrorConfigSchema = Joi.object().keys({
   schedule: Joi.alternatives(
     Joi.object()/*.type(Schedule)*/.required(),
@@ -19,11 +25,13 @@ const FunctionalTaskErrorConfigSchema = Joi.object().keys({
     Joi.boolean().required(),
     Joi.func().arity(0).required()
   ).default(false).optional(),
-  maxNumFails: Joi.number().integer().min(0).max(Number.MAX_SAFE_INTEGER).default(Number.MAX_SAFE_INTEGER).optional()
+  maxNumFails: Joi.number().integer().min(0).max(Number.MAX_SAFE_INTEGER).default(Number.MAX_SAFE_INTEGER).optional(),
+  retryOn: ErrorMatcherSchema.optional(),
+  abortOn: ErrorMatcherSchema.optional()
 }).strict();
 
 
-const FunctionalTaskConfigSchema = Joi.object().keys({
+const CompensationConfigSchema = Joi.object().keys({
   name: Joi.string().min(1).optional(),
   canFail: Joi.alternatives(
     Joi.boolean().required(),
@@ -34,16 +42,66 @@ const FunctionalTaskConfigSchema = Joi.object().keys({
     Joi.array().not().empty().required(),
     Joi.func().required()
   ).default([]).optional(),
-  thisArg: Joi.object().default(null).optional()
+  thisArg: Joi.object().default(null).optional(),
+  timeoutSecs: Joi.number().greater(0).default(null).optional()
 });
 
 
+const FunctionalTaskConfigSchema = Joi.object().keys({
+  name: Joi.string().min(1).optional(),
+  canFail: Joi.alternatives(
+    Joi.boolean().required(),
+    FunctionalTaskErrorConfigSchema
+  ).default(false).optional(),
+  func: Joi.func(),
+  parallel: Joi.array().items(
+    Joi.lazy(() => FunctionalTaskConfigSchema),
+    Joi.func()
+  ).min(1),
+  join: Joi.string().valid('all', 'any', 'allSettled').default('all').optional(),
+  forEach: Joi.string().min(1).optional(),
+  when: Joi.func().maxArity(1).optional(),
+  undo: Joi.alternatives(
+    Joi.func(),
+    CompensationConfigSchema
+  ).optional(),
+  args: Joi.alternatives(
+    Joi.array().not().empty().required(),
+    Joi.func().required()
+  ).default([]).optional(),
+  thisArg: Joi.object().default(null).optional(),
+  timeoutSecs: Joi.number().greater(0).default(null).optional()
+}).xor('func', 'parallel').without('parallel', 'forEach');
+
+
 const SimpleTaskConfigSchema = Joi.array().items(
   FunctionalTaskConfigSchema,
   Joi.func()
 );
 
 
+const TaskDependencySchema = Joi.alternatives(
+  Joi.string().min(1),
+  Joi.object().keys({
+    task: Joi.string().min(1).required(),
+    condition: Joi.string().valid('success', 'always').default('success').optional()
+  })
+);
+
+
+const CircuitBreakerConfigSchema = Joi.object().keys({
+  failureThreshold: Joi.number().integer().greater(0).default(5).optional(),
+  openSecs: Joi.number().greater(0).default(60).optional()
+});
+
+
+const ResourceLimitConfigSchema = Joi.object().keys({
+  maxConcurrent: Joi.number().integer().greater(0).optional(),
+  maxRuns: Joi.number().integer().greater(0).optional(),
+  perSecs: Joi.number().greater(0).default(60).optional()
+}).or('maxConcurrent', 'maxRuns');
+
+
 const TaskConfigSchema = Joi.object().keys({
   type: Joi.alternatives(
     Joi.string().min(1),
@@ -60,6 +118,10 @@ const TaskConfigSchema = Joi.object().keys({
     Joi.number().greater(0),
     Joi.func().maxArity(2)
   ).default(null).optional(),
+  priority: Joi.alternatives(
+    Joi.number(),
+    Joi.func().maxArity(2)
+  ).default(0).optional(),
   allowMutliple: Joi.alternatives(
     Joi.boolean(),
     Joi.func()
@@ -74,11 +136,24 @@ const TaskConfigSchema = Joi.object().keys({
     Joi.object(),
     Joi.func()
   ).default(null).optional(),
-  schedule: Joi.object()/*.type(Schedule)*/.required(), // We require a resolved property!
+  schedule: Joi.alternatives(
+    Joi.object()/*.type(Schedule)*/,
+    Joi.string().min(1) // A cron expression
+  ).required(), // We require a resolved property!
   interruptTimeoutSecs: Joi.alternatives(
     Joi.number().integer().greater(0),
     Joi.func().maxArity(2)
   ).default(null).optional(),
+  timeoutSecs: Joi.alternatives(
+    Joi.number().greater(0),
+    Joi.func().maxArity(2)
+  ).default(null).optional(),
+  onInterruptedRun: Joi.string().valid('fail', 'rerun').default('fail').optional(),
+  misfirePolicy: Joi.string().valid('skip', 'runOnce', 'runAll').default('skip').optional(),
+  maxMisfireRuns: Joi.number().integer().greater(0).default(10).optional(),
+  dependsOn: Joi.array().items(TaskDependencySchema).default([]).optional(),
+  circuitBreaker: CircuitBreakerConfigSchema.optional(),
+  resources: Joi.array().items(Joi.string().min(1)).default([]).optional(),
   tasks: Joi.alternatives(
     SimpleTaskConfigSchema,
     Joi.array().items(
@@ -90,6 +165,39 @@ const TaskConfigSchema = Joi.object().keys({
 }).strict().unknown(true);
 
 
+const DeclarativeFunctionalTaskConfigSchema = Joi.object().keys({
+  type: Joi.string().min(1).required(),
+  name: Joi.string().min(1).optional(),
+  canFail: Joi.boolean().default(false).optional(),
+  timeoutSecs: Joi.number().greater(0).optional(),
+  args: Joi.array().not().empty().optional(),
+  options: Joi.object().default({}).optional()
+}).strict();
+
+
+const DeclarativeTaskConfigSchema = Joi.object().keys({
+  type: Joi.string().min(1).default('Task').optional(),
+  name: Joi.string().min(1).max(255).required(),
+  enabled: Joi.bool().default(true).optional(),
+  cost: Joi.number().greater(0).optional(),
+  priority: Joi.number().optional(),
+  allowMultiple: Joi.boolean().default(false).optional(),
+  queues: Joi.array().items(
+    Joi.string().min(1)
+  ).not().empty().optional(),
+  schedule: Joi.object().length(1).required(),
+  interruptTimeoutSecs: Joi.number().integer().greater(0).optional(),
+  timeoutSecs: Joi.number().greater(0).optional(),
+  onInterruptedRun: Joi.string().valid('fail', 'rerun').optional(),
+  misfirePolicy: Joi.string().valid('skip', 'runOnce', 'runAll').optional(),
+  maxMisfireRuns: Joi.number().integer().greater(0).optional(),
+  dependsOn: Joi.array().items(TaskDependencySchema).optional(),
+  circuitBreaker: CircuitBreakerConfigSchema.optional(),
+  resources: Joi.array().items(Joi.string().min(1)).optional(),
+  tasks: Joi.array().items(DeclarativeFunctionalTaskConfigSchema).default([]).optional()
+}).strict().unknown(true);
+
+
 
 const ConfigurableClassConfigSchema = Joi.object().keys({
   type: Joi.alternatives(
@@ -102,7 +210,36 @@ const ConfigurableClassConfigSchema = Joi.object().keys({
 
 const ManagerConfigSchema = ConfigurableClassConfigSchema.unknown(true);
 
-const ControlConfigSchema = ConfigurableClassConfigSchema.unknown(true);
+const ControlCommandSchema = Joi.object().keys({
+  name: Joi.string().regex(/^[^_\s]\S*$/).required(),
+  description: Joi.string().allow('').default('').optional(),
+  args: Joi.object().schema().optional(),
+  handler: Joi.func().required()
+});
+
+const ControlConfigSchema = ConfigurableClassConfigSchema.keys({
+  allow: Joi.array().items(Joi.string().min(1)).optional(),
+  deny: Joi.array().items(Joi.string().min(1)).optional()
+}).unknown(true);
+
+const JobHistoryStoreConfigSchema = ConfigurableClassConfigSchema.unknown(true);
+
+const BacklogStoreConfigSchema = ConfigurableClassConfigSchema.unknown(true);
+
+const JobRunStateSchema = Joi.string().valid('scheduled', 'running', 'done', 'failed', 'interrupted');
+
+const JobHistoryQuerySchema = Joi.object().keys({
+  id: Joi.string().min(1).optional(),
+  task: Joi.string().min(1).optional(),
+  workflowId: Joi.string().min(1).optional(),
+  state: Joi.alternatives(
+    JobRunStateSchema,
+    Joi.array().items(JobRunStateSchema).min(1)
+  ).optional(),
+  since: Joi.date().optional(),
+  until: Joi.date().optional(),
+  limit: Joi.number().integer().min(1).optional()
+});
 
 
 
@@ -120,7 +257,17 @@ const CameleerQueueConfigSchema = Joi.object().keys({
   isDefault: Joi.boolean().default(false).optional(),
   parallelism: Joi.number().integer().greater(0).optional(),
   capabilities: Joi.number().greater(0).optional(),
-  allowExclusiveJobs: Joi.boolean().optional()
+  allowExclusiveJobs: Joi.boolean().optional(),
+  agingSecs: Joi.number().greater(0).optional()
+});
+
+const CameleerQueueChangesSchema = Joi.object().keys({
+  enabled: Joi.boolean().optional(),
+  isDefault: Joi.boolean().optional(),
+  parallelism: Joi.number().integer().greater(0).optional(),
+  capabilities: Joi.number().greater(0).optional(),
+  allowExclusiveJobs: Joi.boolean().optional(),
+  agingSecs: Joi.number().greater(0).optional()
 });
 
 const CameleerLoggingConfigSchema = Joi.object().keys({
@@ -138,22 +285,38 @@ const CameleerConfigSchema = Joi.object().keys({
   logging: CameleerLoggingConfigSchema,
   queues: Joi.array().items(CameleerQueueConfigSchema).required().not().empty(),
   controls: Joi.array().items(ControlConfigSchema).optional(),
-  managers: Joi.array().items(ManagerConfigSchema).optional()
+  managers: Joi.array().items(ManagerConfigSchema).optional(),
+  schedulers: Joi.object().pattern(/^.+$/, Joi.object()).optional(),
+  jobHistory: JobHistoryStoreConfigSchema.optional(),
+  backlog: BacklogStoreConfigSchema.optional(),
+  resources: Joi.object().pattern(/^.+$/, ResourceLimitConfigSchema).optional()
 });
 
 
 module.exports = Object.freeze({
+  ErrorMatcherSchema,
   FunctionalTaskErrorConfigSchema,
+  CompensationConfigSchema,
   FunctionalTaskConfigSchema,
   SimpleTaskConfigSchema,
+  TaskDependencySchema,
+  CircuitBreakerConfigSchema,
+  ResourceLimitConfigSchema,
   TaskConfigSchema,
+  DeclarativeFunctionalTaskConfigSchema,
+  DeclarativeTaskConfigSchema,
 
   CameleerDefaultsSchema,
   CameleerQueueConfigSchema,
+  CameleerQueueChangesSchema,
   CameleerLoggingConfigSchema,
   CameleerConfigSchema,
 
   ConfigurableClassConfigSchema,
+  ControlCommandSchema,
   ControlConfigSchema,
-  ManagerConfigSchema
+  ManagerConfigSchema,
+  JobHistoryStoreConfigSchema,
+  JobHistoryQuerySchema,
+  BacklogStoreConfigSchema
 });
\ No newline at end of file
@@ -41,21 +41,56 @@
 /**
  * @typedef FunctionalTaskErrorConfig
  * @type {Object}
- * @property {() => (Schedule|Promise.<Schedule>)} schedule A schedule that is used to retry this task after it failed. The task will be retried for as long as the schedule given schedules it or until it succeeds. Note that, should the schedule complete/finish/drain and retry-attempts are left, no furter recoveries will be attempted (i.e. the excess retries left will not be used).
+ * @property {() => (Schedule|Promise.<Schedule>)} schedule A schedule that is used to retry this task after it failed. The task will be retried for as long as the schedule given schedules it or until it succeeds. Note that, should the schedule complete/finish/drain and retry-attempts are left, no furter recoveries will be attempted (i.e. the excess retries left will not be used). Use a RetryInterval for a fixed delay between retries, or a BackoffRetrySchedule for exponential backoff with jitter and a deadline.
  * @property {number|(() => (number|Promise.<number>)} [maxNumFails] Optional. Defaults to Number.MAX_SAFE_INTEGER. If a task fails, its fail-counter is increased. If maxNumFails is specified and the amount of fails reaches that value, that task is considered having failed finally.
  * @property {boolean|(() => (boolean|Promise.<boolean>)} [skip] Optional. Defaults to false. This property is evaluated every time when the task is scheduled to run according to the given schedule. If you specify a literal boolean value, a failed task can be skipped after it failed the first time, i.e. if you provide 'true', the task will be skipped after initial failure immediately without having to wait for its rescheduling.
  * @property {boolean|(() => (boolean|Promise.<boolean>)} [continueOnFinalFail] Optional. Defaults to 'false'. This property determines how to continue after this task finally failed (i.e. no attempts are left). Providing 'true' will lead to the program continuing with the next task. 'false' on the other hand will stop the entire task and prevent any more sub-tasks from executing.
+ * @property {ErrorMatcher} [retryOn] Optional. Defaults to undefined. If given, only errors that match are transient (i.e. they are retried using the schedule); all other errors are permanent.
+ * @property {ErrorMatcher} [abortOn] Optional. Defaults to undefined. Errors that match are permanent, even if they match retryOn. A permanent error (of the regular attempt or of any recovery-attempt) makes the functional task fail finally, without any (further) retries; continueOnFinalFail still applies. The classification of the error is recorded on the AttemptError (AttemptError::classification).
+ */
+
+/**
+ * Matches errors: an Array of error codes or names (compared to the error's 'code',
+ * 'name' and the name of its class, e.g. 'ECONNRESET' or 'TimeoutError') and/or of
+ * predicates that receive the error (e.g. to test it using instanceof). An error
+ * matches if any of the items matches it. If a predicate throws, the error is
+ * considered permanent.
+ * 
+ * @typedef ErrorMatcher
+ * @type {Array.<string|((error: any) => boolean)>}
  */
 
 
 
+/**
+ * A compensation undoes the effects of a functional task that completed, if its
+ * job fails later on (see FunctionalTaskConfig::undo). Its function receives the
+ * value of the functional task's Result, followed by the functional task's own
+ * (resolved) arguments, this compensation's args and the CameleerJob.
+ * 
+ * @typedef CompensationConfig
+ * @type {Object}
+ * @property {string} [name] Optional. Defaults to undefined. An additional name for the log.
+ * @property {boolean|FunctionalTaskErrorConfig} [canFail] Optional. Defaults to Cameleer's configuration for FunctionalTaskErrorConfig. Same as FunctionalTaskConfig::canFail. A compensation that finally fails and must not continue prevents all remaining compensations from running.
+ * @property {(...args: Array.<Value|CameleerJob>) => (Value|Promise.<Value>)} func The (async) function that undoes the functional task.
+ * @property {Array.<Value>|(() => (Array.<Value>|Promise.<Array.<Value>>))} [args] Optional. Defaults to an empty array ([]).
+ * @property {Object} [thisArg] Optional. Defaults to 'null'.
+ * @property {number} [timeoutSecs] Optional. Defaults to null. Same as FunctionalTaskConfig::timeoutSecs. Note that compensations are not aborted if their job is (they run after it failed).
+ */
+
 /**
  * @typedef FunctionalTaskConfig
  * @type {Object}
  * @property {string} [name] Optional. Defaults to undefined. You may specify an additional name to better distinguish functional tasks in the log. If not provided, only the functional task's index is logged.
  * @property {boolean|FunctionalTaskErrorConfig} [canFail] Optional. Defaults to Cameleer's configuration for FunctionalTaskErrorConfig. Whether or not this task may fail. You may either specify a boolean value or give a more detailed definition using a FunctionalTaskErrorConfig for the case when this task fails. If given 'true', then this task may fail up to Cameleer's default-value for 'maxNumFails'. If given 'false', the functional task will given 0 retries and will not be attempted to run on its error-config. Also, such a failing functional task will abort the entire Task.
- * @property {(...args: Array.<Value|CameleerJob>) => (Value|Promise.<Value>)} func The (async) function to execute within this functional task.
+ * @property {(...args: Array.<Value|CameleerJob>) => (Value|Promise.<Value>)} [func] The (async) function to execute within this functional task. Required, unless the functional task is a parallel group.
+ * @property {Array.<FunctionalTaskConfig|Function>} [parallel] Optional. Defaults to undefined. Makes this functional task a parallel group (instead of defining func): its functional tasks run concurrently, each using its own canFail-configuration, and the group finishes once all of them have finished. Each of them is listed in CameleerJob::functionalTasksDone, named after the group's index and its own index (e.g. '2.1'). The group's result depends on the join-policy.
+ * @property {'all'|'any'|'allSettled'} [join] Optional. Defaults to 'all'. Only applies to parallel groups. 'all' requires all functional tasks to succeed, and the result is an Array of their values (in the order they are defined); once one of them fails, the signals of the others are aborted and the group fails with that failure. 'any' requires at least one of them to succeed: the group finishes as soon as one succeeds (the first one in time, not in order of definition), its value is the result, and the signals of the others are aborted (their outcome is disregarded). Either way, the group only finishes once the aborted functional tasks have settled. 'allSettled' never fails, and the result is an Array of their Results (null for those that were skipped, see when).
+ * @property {string} [forEach] Optional. Defaults to undefined. The name of a property of the job's context (CameleerJob::context) that holds an Array. The function is then run once for each of its items, one after another, with the item and its index as the first two arguments (followed by args and the job). Each iteration is listed in CameleerJob::functionalTasksDone (e.g. '3[0]'), and the result is an Array of the iterations' values. Cannot be combined with parallel.
+ * @property {(job: CameleerJob) => (boolean|Promise.<boolean>)} [when] Optional. Defaults to undefined. A condition that is evaluated right before the functional task would run. If it returns false, the functional task is skipped (it produces no Result and is not listed in CameleerJob::functionalTasksDone). If the condition throws, the job fails with an AttemptError of type 'condition'.
+ * @property {((...args: Array.<Value|CameleerJob>) => (Value|Promise.<Value>))|CompensationConfig} [undo] Optional. Defaults to undefined. A compensation for this functional task. If the job fails finally (i.e. it throws a JobFailError, which includes timeouts and cancellations), the compensations of all functional tasks that completed (and whose Result is not an error) are run in reverse order of completion. Their outcomes are recorded in CameleerJob::compensations. The job still fails with its original error.
  * @property {Object} [thisArg] Optional. Defaults to 'null'. The this-argument to bind the function to (not applicable to arrow-functions).
+ * @property {number} [timeoutSecs] Optional. Defaults to null. A timeout, in seconds, for each attempt to run this functional task (the regular attempt and each recovery-attempt). If an attempt times out, the job's signal (CameleerJob::signal) is aborted and the attempt is not awaited anymore; it counts as a failed attempt, so that the canFail-configuration applies. If the functional task finally fails because of a timeout, the AttemptError is of type 'timeout'.
  * @property {Array.<Value>|(() => (Array.<Value>|Promise.<Array.<Value>>))} [args] Optional. Defaults to an empty array ([]). Arguments passed to the functional task, obtained literally, from a Function, or a Promise-producing function. Note that the last argument is always the result of the preceding task. If there was no preceding task, the last argument defaults to 'undefined'. The last argument is passed as an instance of CameleerJob. The CameleerJob provides access to all previous results, the task's logger and a shared object (a context).
  */
 
@@ -78,6 +113,49 @@
 
 
 
+/**
+ * The state of a Task's circuit breaker is kept in its static context, so that it
+ * is shared by all of its jobs and survives restarts. The circuit is closed while
+ * jobs succeed. Once failureThreshold jobs failed in a row (cancelled jobs do not
+ * count), it opens: the task's runs (scheduled or triggered) are then skipped in
+ * Cameleer::_enqueueTask(). After openSecs, the circuit is half-open and lets a
+ * single job run as a probe. If it succeeds, the circuit closes; if it fails, the
+ * circuit opens again. Cameleer emits a CameleerWorkEvent of type
+ * symbolCameleerCircuitOpened or symbolCameleerCircuitClosed when that happens.
+ * 
+ * @typedef CircuitBreakerConfig
+ * @type {Object}
+ * @property {number} [failureThreshold] Optional. Defaults to 5. The amount of consecutive failed jobs that opens the circuit.
+ * @property {number} [openSecs] Optional. Defaults to 60. For how long the circuit stays open, before a probe is let through.
+ */
+
+/**
+ * @typedef CircuitBreakerState
+ * @type {Object}
+ * @property {'closed'|'open'|'halfOpen'} state
+ * @property {number} numFailures The amount of consecutive failed jobs.
+ * @property {string|null} openedAt The date the circuit was opened (as ISO-string), or null if it is closed.
+ */
+
+/**
+ * Limits the use of a named resource (e.g. 'db' or 'sftp:hostA') by the jobs of all
+ * Tasks that declare it (see TaskConfig::resources). At least one of maxConcurrent
+ * and maxRuns must be given.
+ * 
+ * @typedef ResourceLimitConfig
+ * @type {Object}
+ * @property {number} [maxConcurrent] Optional. Defaults to undefined (unlimited). The maximum amount of jobs that hold the resource at the same time.
+ * @property {number} [maxRuns] Optional. Defaults to undefined (unlimited). The maximum amount of jobs that may start using the resource within perSecs.
+ * @property {number} [perSecs] Optional. Defaults to 60. The length of the sliding window for maxRuns, in seconds.
+ */
+
+/**
+ * @typedef TaskDependency
+ * @type {Object}
+ * @property {string} task The name of the Task that is depended on.
+ * @property {'success'|'always'} [condition] Optional. Defaults to 'success'. Whether the dependent task only runs if the upstream job succeeded, or always (i.e. also if it failed). If the upstream task did not run in the workflow run (it was skipped), the dependent task is skipped, too.
+ */
+
 /**
  * @typedef TaskConfig
  * @type {Object}
@@ -87,15 +165,62 @@
  * @property {Object.<string, (any|(() => (any|Promise.<any>)))>} [resolve] Optional. Defaults to {}. An object where the values are either plain values, (async) functions or Promises. This object is resolved before all other properties (except for enabled) and passed to each other property (if it is defined as a function) to allow access to its resolved values. This property is evaluated every time the task is scheduled to run.
  * @property {(rro: ResolvedResolveObject, task: Task) => (boolean|Promise.<boolean>} [skip] Optional. Defaults to false. A function that returns a boolean (or a Promise that resolves to a boolean) value to indicate whether or not this task should be skipped at the time of evaluation. It is evaluated before any other tasks are run. If a non-boolean value is returned or the Promise is rejected, the task will be aborted. This property is evaluated every time the task is scheduled to run.
  * @property {number|((rro: ResolvedResolveObject, task: Task) => (number|Promise.<number>)} [cost] Optional. Defaults to null. If this task is allowed to run on cost-based queues, it needs to define a cost according to the queue's capabilities. This property is evaluated every time the task is scheduled to run.
+ * @property {number|((rro: ResolvedResolveObject, task: Task) => (number|Promise.<number>)} [priority] Optional. Defaults to 0. The priority of this task's jobs in the backlog of their queue: jobs with a higher priority run before those with a lower one, and jobs with the same priority run in the order they were enqueued. A manual trigger may override it (see Cameleer::triggerTask()). Queues may raise the priority of waiting jobs over time (see CameleerQueueConfig::agingSecs). This property is evaluated every time the task is scheduled to run.
  * @property {boolean|((rro: ResolvedResolveObject, task: Task) => (boolean|Promise.<boolean>)} [allowMultiple] Optional. Defaults to false. If true, multiple instances of this task may run in parallel, if scheduled. If false, scheduling attempts will be ignored while the task is running. This property is evaluated every time the task is scheduled to run.
  * @property {Array.<string>|((rro: ResolvedResolveObject, task: Task) => (Array.<string>|Promise.<Array.<string>>)} [queues] Optional. Defaults to []. An array of names of queues, this task is allowed to run on. Queues are checked in the order they appear and the first matching queue that has a free slot (in case of parallel queues) or enough capabilities is selected to run the job. If the task does not define queues to run on and compatible default-queues are defined, they will be selected. If no appropriate queue is found, the job is enqueued in the least busy queue. If the task defines queues to run on and none of these is available to Cameleer, an error is thrown. If this property does not return an array of strings or e.g. the promise is rejected, then the job is not run and aborted. This property is evaluated every time the task is scheduled to run.
  * @property {Progress|((rro: ResolvedResolveObject, task: Task) => (Progress|Promise.<Progress>))} [progress] Optional. Defaults to null. A Progress-object that will be observed for progress, while this task is running. This property is evaluated every time the task is scheduled to run.
- * @property {Schedule|((rro: ResolvedResolveObject, task: Task) => (Schedule|Promise.<Schedule>))} schedule The schedule this job uses to schedule when it should be triggered. This schedule will internally be added to an appropriate scheduler. Note that this property is only evaluated once during task creation (i.e. the schedule of a task cannot be changed later).
+ * @property {Schedule|string|((rro: ResolvedResolveObject, task: Task) => (Schedule|Promise.<Schedule>))} schedule The schedule this job uses to schedule when it should be triggered. A string is interpreted as cron expression (e.g. '0 3 * * 1-5' or 'TZ=Europe/Berlin 0 0 3 * * 1-5') and results in a CronSchedule. This schedule will internally be added to an appropriate scheduler. Note that this property is only evaluated once during task creation (i.e. the schedule of a task cannot be changed later).
  * @property {number|((rro: ResolvedResolveObject, task: Task) => (number|Promise.<number>)} [interruptTimeoutSecs] Optional. Defaults to null. Specify a timeout, in seconds, within it is possible to manually interrupt the execution of this task. Cameleer emits a symbolCameleerInterruptable for the task after it has been resolved and before it is being run on (or pushed to) any queue. If no interruption is received, the task is executed normally. Otherwise, it will not be run.
+ * @property {number|((rro: ResolvedResolveObject, task: Task) => (number|Promise.<number>)} [timeoutSecs] Optional. Defaults to null. A timeout, in seconds, for each job of this task, starting when the job starts running. If the job times out, its signal (CameleerJob::signal) is aborted, the running functional task is not awaited anymore and the job fails with an AttemptError of type 'timeout' (regardless of the functional task's canFail-configuration).
+ * @property {'fail'|'rerun'} [onInterruptedRun] Optional. Defaults to 'fail'. Only relevant if Cameleer uses a durable backlog (see CameleerConfig::backlog). Determines what happens to a job of this task that was running when Cameleer was shut down unexpectedly (e.g. it crashed): 'fail' records the job as failed, 'rerun' enqueues it again when Cameleer restores its backlog.
+ * @property {'skip'|'runOnce'|'runAll'} [misfirePolicy] Optional. Defaults to 'skip'. Determines what loadTasks() does about the scheduled runs this task missed while Cameleer was not running (Cameleer remembers each task's last scheduled run in the static task context): 'skip' ignores them, 'runOnce' enqueues one job for the first missed run and 'runAll' enqueues one job per missed run (but at most maxMisfireRuns, the first ones; these jobs are enqueued even if allowMultiple is false, as long as the first of them was). Only schedules that report preliminary events (e.g. Interval, Calendar, CronSchedule) can have missed runs.
+ * @property {number} [maxMisfireRuns] Optional. Defaults to 10. The maximum amount of missed runs that are caught up on if the misfirePolicy is 'runAll'.
+ * @property {CircuitBreakerConfig} [circuitBreaker] Optional. Defaults to undefined (no circuit breaker). If given, consecutive failures of this task's jobs open a circuit breaker, so that its runs are skipped for a while instead of retrying against a dependency that is down.
+ * @property {Array.<string>} [resources] Optional. Defaults to []. The names of the resources each job of this task needs (e.g. ['db', 'sftp:hostA']). Resources can be limited using CameleerConfig::resources. The tokens of all of its limited resources are acquired when its queue starts the job, and released once it finished; until they are available, the job waits in its queue's backlog and is skipped (jobs that may run are run first, regardless of their priority). Thus, waiting jobs neither hold tokens nor count towards rate limits. To cap the amount of concurrent jobs of one task, give it a resource of its own.
+ * @property {Array.<string|TaskDependency>} [dependsOn] Optional. Defaults to []. The Tasks this task depends on (a name is short for a TaskDependency with the condition 'success'). Whenever a job of a task finishes, the tasks that depend on it are enqueued, once all of their dependencies that take part in the same workflow run have finished and their conditions are met (otherwise, they are skipped, as are their own dependents). The jobs of one workflow run share a workflow ID (CameleerJob::workflowId), and each dependent job has access to its upstream jobs (CameleerJob::upstreamJobs) and starts with a copy of their merged contexts. A workflow run starts with any job that was not enqueued because of a dependency (e.g. scheduled or triggered manually); tasks that only run as a dependent should therefore use a ManualSchedule. The dependencies of all tasks must not form a cycle, which is checked by loadTasks() and reloadTasks(). Dependencies on tasks that are not loaded are ignored.
  * @property {SimpleTaskConfig|((rro: ResolvedResolveObject, task: Task) => (SimpleTaskConfig|Promise.<SimpleTaskConfig>))} [tasks] Optional. Defaults to an empty Array. An array of functions, promise-producing functions or functional-tasks to run as the main task of this definition. The tasks are run in the order they appear in the array, one after another. Execution is therefore serial, not parallel or asynchronous (however, each task may be an async function/Promise-producing function). The value returned by one task is added to the CameleerJob's results. The CameleerJob is passed as last argument to the next task (i.e. there is always one argument passed). If there were no previous results yet, the CameleerJob's intermediate results will be empty (and its result-property will return undefined). The final value is then also represented by CameleerJob::result. This property is optional so that a task, based on its configuration, may create functional tasks automatically. This may especially be the case for specialized sub-classes of Task.
  */
 
 
+/**
+ * A functional task that is described as data. It references a registered sub-class of TaskType by name. An instance of that class is created using the options and its run()-method becomes the functional task's function.
+ * 
+ * @typedef DeclarativeFunctionalTaskConfig
+ * @type {Object}
+ * @property {string} type The name of a registered sub-class of TaskType (e.g. 'LogTaskType', 'DelayTaskType' or 'ProcessTaskType').
+ * @property {string} [name] Optional. Defaults to the type. A name to better distinguish functional tasks in the log.
+ * @property {boolean} [canFail] Optional. Defaults to false. Whether or not this functional task may fail.
+ * @property {number} [timeoutSecs] Optional. Defaults to null. See FunctionalTaskConfig::timeoutSecs.
+ * @property {Array.<Value>} [args] Optional. Defaults to undefined. Literal arguments that are passed to the TaskType's run()-method, after the CameleerJob.
+ * @property {Object.<string, any>} [options] Optional. Defaults to {}. The options for the TaskType; they are validated against its schema.
+ */
+
+
+/**
+ * A TaskConfig that is described entirely as data (e.g. in a JSON- or YAML-file or in a database), so that it does not require any JavaScript. It is converted into a TaskConfig using createTaskConfigFromDeclaration(). All properties that are not listed here are passed to the TaskConfig as they are (e.g. for sub-classes of Task).
+ * 
+ * @typedef DeclarativeTaskConfig
+ * @type {Object}
+ * @property {string} [type] Optional. Defaults to 'Task'. The name of a registered sub-class of Task.
+ * @property {string} name The name of this task.
+ * @property {boolean} [enabled] Optional. Defaults to true.
+ * @property {number} [cost] Optional. Defaults to null.
+ * @property {number} [priority] Optional. Defaults to 0.
+ * @property {boolean} [allowMultiple] Optional. Defaults to false.
+ * @property {Array.<string>} [queues] Optional. Defaults to undefined.
+ * @property {Object.<string, any>} schedule An object with exactly one property, where the key selects a registered schedule-factory and the value is passed to it, e.g. { interval: 10000 }, { cron: '0 3 * * 1-5' }, { calendar: 'holidays.ics' } or { manual: true }.
+ * @property {number} [interruptTimeoutSecs] Optional. Defaults to null.
+ * @property {number} [timeoutSecs] Optional. Defaults to null.
+ * @property {'fail'|'rerun'} [onInterruptedRun] Optional. Defaults to 'fail'.
+ * @property {'skip'|'runOnce'|'runAll'} [misfirePolicy] Optional. Defaults to 'skip'.
+ * @property {number} [maxMisfireRuns] Optional. Defaults to 10.
+ * @property {Array.<string|TaskDependency>} [dependsOn] Optional. Defaults to [].
+ * @property {CircuitBreakerConfig} [circuitBreaker] Optional. Defaults to undefined.
+ * @property {Array.<string>} [resources] Optional. Defaults to [].
+ * @property {Array.<DeclarativeFunctionalTaskConfig>} [tasks] Optional. Defaults to an empty Array.
+ */
+
+
 /**
  * @typedef CameleerDefaults
  * @type {Object}
@@ -110,12 +235,26 @@
  * @typedef CameleerQueueConfig
  * @type {Object}
  * @property {String} name
- * @property {Boolean} enabled
+ * @property {Boolean} enabled Whether the queue runs its jobs and may be selected for new jobs.
  * @property {'cost'|'parallel'} type
  * @property {boolean} [isDefault] Optional. Defaults to false. Cameleer can have up to one default queue each for the types cost and parallel. When selecting a queue to run a task on, default queues are taken into account before selecting the least-busy queue. Also, for tasks that do not define queues to run on, a default-queue is selected (if defined).
  * @property {Number} [parallelism]
  * @property {Number} [capabilities]
  * @property {Boolean} [allowExclusiveJobs]
+ * @property {number} [agingSecs] Optional. Defaults to undefined (no aging). If given, the priority of a job in this queue's backlog rises by one for every agingSecs it waited, so that jobs with a low priority do not starve (see TaskConfig::priority).
+ */
+
+/**
+ * The properties of a CameleerQueueConfig that can be changed at runtime, using Cameleer::updateQueue(). A queue that is disabled does not run its jobs and is not selected for new jobs.
+ * 
+ * @typedef CameleerQueueChanges
+ * @type {Object}
+ * @property {boolean} [enabled]
+ * @property {boolean} [isDefault]
+ * @property {number} [parallelism] Only for parallel queues. If it is decreased, the running jobs are not affected, but no new jobs are run until fewer jobs than the new parallelism are running.
+ * @property {number} [capabilities] Only for cost queues.
+ * @property {boolean} [allowExclusiveJobs] Only for cost queues.
+ * @property {number} [agingSecs]
  */
 
 
@@ -147,6 +286,10 @@
  * @property {CameleerLoggingConfig} logging
  * @property {Array.<Control>} [controls]
  * @property {Array.<Manager>} [managers]
+ * @property {Object.<string, Object>} [schedulers] Optional. Defaults to {}. Options for the Schedulers, keyed by the name of the type of Schedule they are for. For example, { Calendar: { scheduleIntervalSecs: 30, lookAheadSecs: 604800 } } configures the CalendarScheduler (these are the defaults). Schedulers for custom types of Schedules can be registered using SchedulerRegistry.registerScheduler().
+ * @property {JobHistoryStoreConfig} [jobHistory] Optional. Defaults to { type: 'InMemoryJobHistoryStore' }. The store that keeps a record of each job, see JobHistoryStore.
+ * @property {BacklogStoreConfig} [backlog] Optional. Defaults to undefined. If given, Cameleer persists its enqueued and running jobs in this store (e.g. { type: 'JsonFileBacklogStore', file: 'backlog.json' }). Jobs that were not finished when Cameleer was shut down (or crashed) are restored by loadTasks(). See TaskConfig::onInterruptedRun.
+ * @property {Object.<string, ResourceLimitConfig>} [resources] Optional. Defaults to {}. The limits of the resources that tasks declare (see TaskConfig::resources), by their name, e.g. { db: { maxConcurrent: 2 }, 'sftp:hostA': { maxRuns: 5, perSecs: 60 } }. Resources without a limit are not restricted.
  */
 
 /**
@@ -165,6 +308,125 @@
 /**
  * @typedef ControlConfig
  * @type {ConfigurableClassConfig}
+ * @property {Array.<string>} [allow] Optional. Defaults to undefined. If given, the Control will only process the commands named in this list.
+ * @property {Array.<string>} [deny] Optional. Defaults to []. A list of commands that the Control will refuse to process. Commands that start with an underscore are always denied, as they refer to Cameleer's internals.
+ */
+
+/**
+ * @typedef JobHistoryStoreConfig
+ * @type {ConfigurableClassConfig}
+ */
+
+/**
+ * @typedef InMemoryJobHistoryStoreConfig
+ * @type {JobHistoryStoreConfig}
+ * @property {number} [capacity] Optional. Defaults to 1000. The maximum amount of records to keep; the oldest records are dropped first.
+ */
+
+/**
+ * @typedef JsonLinesJobHistoryStoreConfig
+ * @type {JobHistoryStoreConfig}
+ * @property {string} file The file to append the records to (one line of JSON per saved record). It is created if it does not exist.
+ * @property {number} [capacity] Optional. Defaults to 1000. The amount of the latest records to keep when the file is compacted, which happens once it has twice as many lines.
+ */
+
+/**
+ * @typedef SqliteJobHistoryStoreConfig
+ * @type {JobHistoryStoreConfig}
+ * @property {string} file The database-file (or ':memory:'). Requires the package 'sqlite3'.
+ * @property {string} [table] Optional. Defaults to 'jobHistory'. The name of the table to use; it is created if it does not exist.
+ */
+
+/**
+ * @typedef BacklogStoreConfig
+ * @type {ConfigurableClassConfig}
+ */
+
+/**
+ * @typedef JsonFileBacklogStoreConfig
+ * @type {BacklogStoreConfig}
+ * @property {string} file The JSON-file that holds the backlog. It is created if it does not exist.
+ */
+
+/**
+ * A serializable description of a job in the durable backlog.
+ * 
+ * @typedef BacklogJobDescriptor
+ * @type {Object}
+ * @property {string} id The ID of the descriptor, which is also the ID of the job's JobRunRecord.
+ * @property {number} jobId The ID of the job (only unique for the lifetime of the process).
+ * @property {string} task The name of the job's Task.
+ * @property {'enqueued'|'running'} state
+ * @property {boolean} isManual Whether the job was triggered manually.
+ * @property {string} scheduledAt The date (ISO-string) the job was scheduled.
+ * @property {string|null} startedAt The date (ISO-string) the job started running, if it did.
+ * @property {Array.<any>|null} args The arguments given to a manual trigger, or null if they could not be serialized.
+ * @property {Object.<string, any>|null} context The initial context given to a manual trigger (or inherited from the upstream jobs of a dependent job), or null if it could not be serialized.
+ * @property {string} [workflowId] Optional. The ID of the workflow run the job belongs to (see TaskConfig::dependsOn).
+ * @property {number} [priority] Optional. The priority of the job (see TaskConfig::priority).
+ */
+
+/**
+ * @typedef JobRunFunctionalTaskRecord
+ * @type {Object}
+ * @property {string} name The name of the functional task, as in CameleerJob::functionalTasksDone.
+ * @property {boolean} isError Whether the functional task failed (it may have continued, see FunctionalTaskErrorConfig).
+ * @property {any} result The functional task's result as JSON-value (the message, if the result is an error). Null for the functional task that made the job fail (see JobRunRecord::error).
+ * @property {boolean} regularAttemptFailed Whether the first (regular) attempt failed.
+ * @property {number} numRetries The amount of recovery-attempts (retries) that were run.
+ */
+
+/**
+ * @typedef CameleerJobSnapshot
+ * @type {Object}
+ * @property {number} id The ID of the job (only unique for the lifetime of the process).
+ * @property {string} task The name of the job's Task.
+ * @property {string|null} queue The name of the CameleerQueue the job was enqueued in, or null if it is pending.
+ * @property {string} workflowId The ID of the workflow run the job belongs to (see TaskConfig::dependsOn).
+ * @property {Array.<number>} upstreamJobIds The IDs of the jobs this job was enqueued after, as a dependent (see TaskConfig::dependsOn).
+ * @property {'pending'|'enqueued'|'running'|'done'|'failed'} state
+ * @property {boolean} isManual Whether the job was triggered manually (as opposed to by its schedule).
+ * @property {number} priority The priority of the job (see TaskConfig::priority).
+ * @property {boolean} isRunning
+ * @property {boolean} isDone
+ * @property {boolean} hasFailed
+ * @property {boolean} isCancelled
+ * @property {number} progress The percentage of functional tasks that are done, in the range [0,1].
+ * @property {Array.<string>} functionalTasksDone The names of the functional tasks that are done, in order.
+ * @property {string|null} currentFunctionalTask The name of the functional task that is currently running, or null.
+ * @property {Array.<{ name: string, isError: boolean }>} compensations The compensations that were run after the job failed, in order (see FunctionalTaskConfig::undo).
+ * @property {Date} scheduledAt
+ * @property {Date|null} startedAt
+ */
+
+/**
+ * @typedef JobRunRecord
+ * @type {Object}
+ * @property {string} id The unique ID of the record.
+ * @property {number} jobId The ID of the job (only unique for the lifetime of the process).
+ * @property {string} task The name of the job's Task.
+ * @property {string} workflowId The ID of the workflow run the job belongs to (see TaskConfig::dependsOn).
+ * @property {'scheduled'|'running'|'done'|'failed'|'interrupted'} state
+ * @property {boolean} isManual Whether the job was triggered manually (as opposed to by its schedule).
+ * @property {Date} scheduledAt
+ * @property {Date|null} startedAt
+ * @property {Date|null} finishedAt
+ * @property {number|null} durationMsecs The duration of the run (from startedAt to finishedAt).
+ * @property {number} numFunctionalTasks
+ * @property {Array.<JobRunFunctionalTaskRecord>} functionalTasks The functional tasks that were run, in order.
+ * @property {{ type: string|null, message: string }|null} error The reason the job failed. The type is the type of the AttemptError, if the job failed because of one, or 'interrupted' if the job was running while Cameleer was shut down unexpectedly. Jobs that were cancelled have the state 'failed' and the error-type 'cancelled'.
+ */
+
+/**
+ * @typedef JobHistoryQuery
+ * @type {Object}
+ * @property {string} [id] Optional. Only the record with this ID.
+ * @property {string} [task] Optional. Only records of the Task with this name.
+ * @property {string} [workflowId] Optional. Only records of the jobs of this workflow run (see TaskConfig::dependsOn).
+ * @property {string|Array.<string>} [state] Optional. Only records that are in (one of) the given state(s).
+ * @property {Date|string|number} [since] Optional. Only records of jobs scheduled at or after this date.
+ * @property {Date|string|number} [until] Optional. Only records of jobs scheduled at or before this date.
+ * @property {number} [limit] Optional. The maximum amount of records to return (the latest records are returned first).
  */
 
 /**
@@ -0,0 +1,142 @@
+require('../meta/typedefs');
+
+const { assert, expect } = require('chai')
+, fs = require('fs')
+, os = require('os')
+, path = require('path')
+, { ManualSchedule } = require('sh.orchestration-tools')
+, { Cameleer } = require('../lib/cameleer/Cameleer')
+, { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { BacklogStore, JsonFileBacklogStore } = require('../lib/cameleer/BacklogStore');
+
+
+/**
+ * @param {string} file
+ * @param {Array.<any>} argsSeen
+ * @param {'fail'|'rerun'} [onInterruptedRun]
+ * @returns {Cameleer}
+ */
+const createCameleer = (file, argsSeen, onInterruptedRun = 'fail') => {
+  const camConf = createDefaultCameleerConfig();
+  camConf.logging.method = 'none';
+  camConf.backlog = { type: 'JsonFileBacklogStore', file };
+
+  return new Cameleer(new StandardConfigProvider(camConf, [{
+    name: 'durable',
+    schedule: new ManualSchedule(),
+    allowMultiple: true,
+    onInterruptedRun,
+    tasks: [async job => {
+      argsSeen.push({ args: job.args, context: job.context, isManual: job.isManual });
+      return 42;
+    }]
+  }]));
+};
+
+
+describe('BacklogStore', function() {
+  it('should persist enqueued jobs and restore them after a restart', async function() {
+    this.timeout(5000);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-'))
+    , file = path.join(dir, 'backlog.json')
+    , argsSeen = [];
+
+    try {
+      const c1 = createCameleer(file, argsSeen);
+      await c1.loadTasks();
+      // The queues are not running, so the jobs stay enqueued:
+      const job1 = await c1.triggerTask('durable', { args: [1, 'a'], context: { foo: 'bar' } });
+      await c1.triggerTask('durable', { args: [2] });
+      await c1.shutdown();
+
+      const persisted = await BacklogStore.fromConfiguration(c1, { type: JsonFileBacklogStore, file }).getDescriptors();
+      assert.strictEqual(persisted.length, 2);
+      assert.deepEqual(persisted.map(d => d.args), [[1, 'a'], [2]]);
+      assert.deepEqual(persisted.map(d => d.state), ['enqueued', 'enqueued']);
+      assert.strictEqual(persisted[0].jobId, job1.id);
+      assert.isTrue(persisted[0].isManual);
+
+      const c2 = createCameleer(file, argsSeen);
+      try {
+        await c2.loadTasks();
+        const restored = Array.from(c2._backlogJobs.keys());
+        assert.strictEqual(restored.length, 2);
+        assert.strictEqual(+restored[0].scheduledAt, +new Date(persisted[0].scheduledAt));
+
+        c2.run();
+        await Promise.all(restored.map(job => job.donePromise));
+
+        assert.deepEqual(argsSeen, [
+          { args: [1, 'a'], context: { foo: 'bar' }, isManual: true },
+          { args: [2], context: {}, isManual: true }
+        ]);
+        assert.deepEqual(await c2._backlog.getDescriptors(), []);
+      } finally {
+        await c2.shutdown();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should fail or re-run jobs that were interrupted while running', async function() {
+    this.timeout(5000);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-'))
+    , file = path.join(dir, 'backlog.json')
+    /** @type {BacklogJobDescriptor} */
+    , descriptor = {
+      id: 'running-1',
+      jobId: 1,
+      task: 'durable',
+      state: 'running',
+      isManual: false,
+      scheduledAt: (new Date()).toISOString(),
+      startedAt: (new Date()).toISOString(),
+      args: [],
+      context: {}
+    };
+
+    try {
+      fs.writeFileSync(file, JSON.stringify([descriptor, Object.assign({}, descriptor, { id: 'unknown-1', task: 'unknown' })]));
+      const argsSeen = [], c1 = createCameleer(file, argsSeen, 'fail');
+      try {
+        await c1.loadTasks();
+        assert.strictEqual(c1._backlogJobs.size, 0);
+        assert.deepEqual(await c1._backlog.getDescriptors(), []);
+
+        const [ record ] = await c1.queryJobHistory({ id: 'running-1' });
+        assert.strictEqual(record.state, 'failed');
+        assert.strictEqual(record.error.type, 'interrupted');
+      } finally {
+        await c1.shutdown();
+      }
+
+      fs.writeFileSync(file, JSON.stringify([descriptor]));
+      const c2 = createCameleer(file, argsSeen, 'rerun');
+      try {
+        await c2.loadTasks();
+        const [ job ] = Array.from(c2._backlogJobs.keys());
+        assert.isFalse(job.isManual);
+
+        c2.run();
+        await job.donePromise;
+        assert.deepEqual(argsSeen, [{ args: [], context: {}, isManual: false }]);
+
+        // Jobs that are removed by clearTasks() are also removed from the backlog:
+        c2.pause();
+        await c2.triggerTask('durable');
+        assert.strictEqual((await c2._backlog.getDescriptors()).length, 1);
+        await c2.clearTasks();
+        assert.deepEqual(await c2._backlog.getDescriptors(), []);
+      } finally {
+        await c2.shutdown();
+      }
+
+      expect(() => BacklogStore.fromConfiguration(c2, { type: JsonFileBacklogStore })).to.throw();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -7,11 +7,12 @@ const { assert, expect } = require('chai')
 , { assertThrowsAsync, mergeObjects, ProgressNumeric,
   timeout, ManualSchedule, Calendar, Interval, symbolDone,
   CalendarScheduler, IntervalScheduler, ManualScheduler,
-  symbolRun, symbolFailed, Schedule, Resolve
+  symbolRun, symbolFailed, Schedule, Resolve, defer
 } = require('sh.orchestration-tools')
 , { Task } = require('../lib/cameleer/Task')
-, { Cameleer, CameleerJob, JobFailError, symbolCameleerShutdown,
-    symbolCameleerSchedule, symbolCameleerWork } = require('../lib/cameleer/Cameleer')
+, { Cameleer, CameleerJob, JobFailError, MisfireScheduleEvent, symbolCameleerShutdown,
+    symbolCameleerSchedule, symbolCameleerWork, symbolCameleerCancelled,
+    symbolCameleerCircuitOpened, symbolCameleerCircuitClosed } = require('../lib/cameleer/Cameleer')
 , { LogLevel } = require('sh.log-client')
 , {
   createDefaultCameleerConfig,
@@ -197,6 +198,142 @@ describe('Cameleer', function() {
     await c.shutdown();
   });
 
+  it('should trigger loaded tasks manually', async() => {
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const std = new StandardConfigProvider(camConf, [{
+      name: 'trig',
+      allowMultiple: false,
+      schedule: new Interval(1e6),
+      tasks: [async(job) => {
+        await timeout(50);
+        return job.args.concat(job.context.foo);
+      }]
+    }, {
+      name: 'skipped',
+      skip: async() => true,
+      schedule: new ManualSchedule()
+    }]);
+
+    const c = new Cameleer(std);
+    await c.loadTasks();
+    c.run();
+
+    let numScheduled = 0;
+    c.observableWork.subscribe(evt => {
+      if (evt.type === symbolCameleerSchedule) {
+        numScheduled++;
+      }
+    });
+
+    await assertThrowsAsync(async() => {
+      await c.triggerTask('foo');
+    });
+    await assertThrowsAsync(async() => {
+      await c.triggerTask('trig', { args: 42 });
+    });
+
+    const job = await c.triggerTask('trig', { args: [1, 2], context: { foo: 3 } });
+    assert.isTrue(job instanceof CameleerJob);
+    assert.deepEqual(job.args, [1, 2]);
+
+    // Does not allow multiple runs:
+    assert.strictEqual(await c.triggerTask('trig'), null);
+    assert.strictEqual(await c.triggerTask('skipped'), null);
+
+    const result = await job.donePromise;
+    assert.deepEqual(result.value, [1, 2, 3]);
+    assert.strictEqual(numScheduled, 3);
+
+    await c.shutdown();
+  });
+
+  it('should reload tasks and only replace those that have changed', async() => {
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const runs = [];
+    /** @param {string} name */
+    const createConf = (name, tasks = [async() => { runs.push(name); await timeout(50); }]) => ({
+      name, tasks, allowMultiple: true, schedule: new ManualSchedule()
+    });
+
+    const keep = createConf('keep'), same = createConf('same');
+    const std = new StandardConfigProvider(camConf, [keep, same, createConf('change'), createConf('remove')]);
+
+    const c = new Cameleer(std);
+    await c.loadTasks();
+    const loaded = Object.assign({}, c._tasks);
+
+    // Enqueue jobs while the queue is paused:
+    await c.triggerTask('keep');
+    await c.triggerTask('remove');
+    assert.isTrue(c.isTaskEnqueued(loaded['keep']));
+
+    std.tasks = [
+      keep, // the same object
+      createConf('same', same.tasks), // a new, but equal object (with the same functions)
+      createConf('change', [async() => { runs.push('changed'); }]),
+      createConf('add')
+    ];
+
+    const summary = await c.reloadTasks();
+    assert.deepEqual(summary.unchanged, ['keep', 'same']);
+    assert.deepEqual(summary.removed, ['remove']);
+    assert.deepEqual(summary.replaced, ['change']);
+    assert.deepEqual(summary.added, ['add']);
+
+    assert.deepEqual(c._tasksArr.map(t => t.name).sort(), ['add', 'change', 'keep', 'same']);
+    assert.strictEqual(c._tasks['keep'], loaded['keep']);
+    assert.strictEqual(c._tasks['same'], loaded['same']);
+    assert.notStrictEqual(c._tasks['change'], loaded['change']);
+
+    // The Job of the unchanged task is still enqueued, the other one was removed:
+    assert.isTrue(c.isTaskEnqueued(loaded['keep']));
+    assert.isFalse(c.isTaskEnqueued(loaded['remove']));
+
+    // The replaced task is scheduled by its new schedule only:
+    std.tasks[2].schedule.triggerNext();
+    loaded['change'].config.schedule.triggerNext();
+    c.run();
+    await timeout(150);
+    assert.deepEqual(runs, ['keep', 'changed']);
+
+    // An invalid configuration must not change anything:
+    std.tasks = [keep, { name: 'invalid', schedule: 42 }];
+    await assertThrowsAsync(async() => {
+      await c.reloadTasks();
+    });
+    assert.strictEqual(c._tasksArr.length, 4);
+
+    // A task that is not enabled anymore is unloaded, even if otherwise unchanged:
+    c.pause();
+    await c.triggerTask('keep');
+    keep.enabled = false;
+    const sameDisabled = Object.assign(createConf('same'), { enabled: async() => false });
+    std.tasks = [keep, sameDisabled, createConf('change', [async() => { runs.push('changed'); }]), createConf('add')];
+    const disabledSummary = await c.reloadTasks();
+    assert.deepEqual(disabledSummary.removed.sort(), ['keep', 'same']);
+    assert.deepEqual(c._tasksArr.map(t => t.name).sort(), ['add', 'change']);
+    assert.isFalse(c.isTaskEnqueued(loaded['keep']));
+
+    // Functions of the same source may capture other values, so they are not equal:
+    std.tasks = [std.tasks[2], createConf('add')];
+    const lookalikeSummary = await c.reloadTasks();
+    assert.deepEqual(lookalikeSummary.unchanged, ['change']);
+    assert.deepEqual(lookalikeSummary.replaced, ['add']);
+
+    // The jobs of a replaced task still count with regard to allowMultiple:
+    std.tasks = [Object.assign(createConf('single'), { allowMultiple: false })];
+    await c.reloadTasks();
+    assert.isNotNull(await c.triggerTask('single'));
+    std.tasks = [Object.assign(createConf('single', [async() => 'new']), { allowMultiple: false })];
+    assert.deepEqual((await c.reloadTasks()).replaced, ['single']);
+    assert.isNull(await c.triggerTask('single'));
+    assert.isTrue(c.isTaskEnqueued(c._tasks['single']));
+
+    await c.shutdown();
+  });
+
   it('should properly tear down Managers and Controllers', async() => {    
     const camConf = createDefaultCameleerConfig();
     camConf.logging.method = 'none';
@@ -419,6 +556,7 @@ describe('Cameleer', function() {
 
 
     // Let's check how it looks if the static context cannot be written..
+    std.cameleerConfig.defaults.staticTaskContextSerializeInterval = 50;
     const c3 = new Cameleer(std);
     runProm = c3.runAsync();
     await c3.loadTasks();
@@ -430,6 +568,598 @@ describe('Cameleer', function() {
     });
     c3._staticTaskContextFile = fileBefore; // Otherwise, shutdown() throws
 
+    // Frequent changes do not postpone saving the static context indefinitely:
+    let numSaves = 0;
+    const saveStaticTaskContext = c3._saveStaticTaskContext.bind(c3);
+    c3._saveStaticTaskContext = async() => {
+      numSaves++;
+      await saveStaticTaskContext();
+    };
+    for (let i = 0; i < 20; i++) {
+      c3._deferSaveStaticTaskContext();
+      await timeout(10);
+    }
+    assert.isAtLeast(numSaves, 2);
+
     await Promise.all([ runProm, c3.shutdown() ]);
   });
-});
\ No newline at end of file
+
+  it('should catch up on runs that were missed while it was not running', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    /**
+     * @param {number} msecs
+     * @returns {Array.<TaskConfig>}
+     */
+    const createTasks = msecs => [
+      { misfirePolicy: 'skip', allowMultiple: true },
+      { misfirePolicy: 'runOnce', allowMultiple: true },
+      { misfirePolicy: 'runAll', maxMisfireRuns: 3, allowMultiple: true },
+      { misfirePolicy: 'runAll', schedule: new ManualSchedule(), allowMultiple: true },
+      // Catching up on all runs does not require allowMultiple:
+      { misfirePolicy: 'runAll', maxMisfireRuns: 2 }
+    ].map((conf, idx) => Object.assign({
+      name: `misfire${idx}`,
+      schedule: new Interval(msecs),
+      tasks: [async() => 42]
+    }, conf));
+
+    // The first instance's schedules never fire, it only remembers when it ran:
+    const c1 = new Cameleer(new StandardConfigProvider(camConf, createTasks(3600e3)));
+    await c1.loadTasks();
+    await c1.shutdown();
+
+    await timeout(500);
+
+    // Keep the queues paused, so that all jobs remain enqueued:
+    const c2 = new Cameleer(new StandardConfigProvider(camConf, createTasks(50)));
+    await c2.loadTasks();
+
+    /**
+     * @param {Cameleer} cam
+     * @returns {Array.<CameleerJob>}
+     */
+    const getMisfired = cam => cam._queuesArr
+      .map(cq => cq.queue.queue.asArray).reduce((a, b) => a.concat(b), [])
+      .filter(job => job.schedEvent instanceof MisfireScheduleEvent);
+    const misfired = getMisfired(c2);
+    await c2.shutdown();
+
+    assert.deepEqual(misfired.map(job => job.task.name),
+      ['misfire1', 'misfire2', 'misfire2', 'misfire2', 'misfire4', 'misfire4']);
+    assert.isTrue(misfired.every(job => !job.isManual && job.scheduledAt < new Date()));
+    // runAll enqueues the first runs, in the order they were missed:
+    assert.isBelow(+misfired[1].scheduledAt, +misfired[3].scheduledAt);
+    assert.strictEqual(+misfired[0].scheduledAt, +misfired[1].scheduledAt);
+
+    // A short interval and a long gap; the missed runs are not all enumerated:
+    const dayAgo = new Date(Date.now() - 864e5)
+    , context = JSON.parse(await fsProm.readFile(c2._staticTaskContextFile, 'utf8'));
+    Object.keys(context['$cameleerLastFired']).forEach(name => {
+      context['$cameleerLastFired'][name] = dayAgo.toISOString();
+    });
+    await fsProm.writeFile(c2._staticTaskContextFile, JSON.stringify(context));
+
+    const c3 = new Cameleer(new StandardConfigProvider(camConf, createTasks(1)));
+    const loadStart = Date.now();
+    await c3.loadTasks();
+    assert.isBelow(Date.now() - loadStart, 1000);
+
+    const misfiredLong = getMisfired(c3);
+    await c3.shutdown();
+
+    assert.deepEqual(misfiredLong.map(job => job.task.name),
+      ['misfire1', 'misfire2', 'misfire2', 'misfire2', 'misfire4', 'misfire4']);
+    assert.deepEqual(misfiredLong.slice(0, 4).map(job => +job.scheduledAt - +dayAgo), [1, 1, 2, 3]);
+  });
+
+  it('should cancel enqueued and running jobs', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    // Cancelling must not cause rejections that are not handled:
+    camConf.defaults.handleGlobalRejections = false;
+    const unhandled = [], onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'cancellable',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      // Stops once the job is cancelled:
+      tasks: [async job => await new Promise(resolve => job.signal.addEventListener('abort', resolve))]
+    }]));
+
+    /** @type {Array.<CameleerJob>} */
+    const cancelled = [];
+    cam.on(symbolCameleerWork, evt => {
+      if (evt.type === symbolCameleerCancelled) {
+        cancelled.push(evt.job);
+      }
+    });
+
+    try {
+      await cam.loadTasks();
+      const job1 = await cam.triggerTask('cancellable')
+      , job2 = await cam.triggerTask('cancellable');
+
+      assert.isTrue(cam._jobSubscriptions.has(job2));
+      assert.strictEqual(cam.cancelJob(job2.id), job2);
+      assert.isTrue(job2.isCancelled);
+      assert.deepEqual(cam._queuesArr[0].queue.queue.asArray, [job1]);
+      // Its queue will not emit events for it anymore:
+      assert.isFalse(cam._jobSubscriptions.has(job2));
+      await timeout(20);
+      assert.deepEqual(unhandled, []);
+      /** @type {JobFailError} */
+      let job2Err = null;
+      await job2.donePromise.catch(e => job2Err = e);
+      assert.instanceOf(job2Err, JobFailError);
+      assert.strictEqual(job2Err.previousError.errType, 'cancelled');
+      const [ record2 ] = (await cam.queryJobHistory({ task: 'cancellable' })).filter(r => r.jobId === job2.id);
+      assert.strictEqual(record2.state, 'failed');
+      assert.strictEqual(record2.error.type, 'cancelled');
+
+      cam.run();
+      await timeout(50);
+      assert.isTrue(job1.isRunning);
+
+      assert.strictEqual(cam.cancelJob(job1.id), job1);
+      await job1.donePromise.catch(e => assert.strictEqual(e.previousError.errType, 'cancelled'));
+      assert.isTrue(job1.hasFailed && job1.isCancelled);
+      assert.deepEqual(cancelled, [job2, job1]);
+      await timeout(10);
+      assert.strictEqual(cam._jobSubscriptions.size, 0);
+
+      assert.isNull(cam.cancelJob(job1.id));
+      assert.isNull(cam.cancelJob(-1));
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+      await cam.shutdown();
+    }
+  });
+
+  it('should provide a registry of running and enqueued jobs', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const deferred = defer();
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'registered',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [async() => 1, {
+        name: 'wait',
+        func: async() => await deferred.promise
+      }]
+    }]));
+
+    try {
+      await cam.loadTasks();
+      const job1 = await cam.triggerTask('registered')
+      , job2 = await cam.triggerTask('registered');
+
+      assert.deepEqual(cam.getEnqueuedJobs(), [job1, job2]);
+      assert.deepEqual(cam.getEnqueuedJobs('defaultQueue'), [job1, job2]);
+      assert.deepEqual(cam.getEnqueuedJobs('foo'), []);
+      assert.deepEqual(cam.getRunningJobs(), []);
+      assert.strictEqual(cam.getJob(job2.id), job2);
+      assert.isNull(cam.getJob(-1));
+
+      let snapshot = job1.toSnapshot();
+      assert.deepEqual(JSON.parse(JSON.stringify(snapshot)), JSON.parse(JSON.stringify({
+        id: job1.id,
+        task: 'registered',
+        queue: 'defaultQueue',
+        workflowId: job1.workflowId,
+        upstreamJobIds: [],
+        state: 'enqueued',
+        isManual: true,
+        priority: 0,
+        isRunning: false,
+        isDone: false,
+        hasFailed: false,
+        isCancelled: false,
+        progress: 0,
+        functionalTasksDone: [],
+        currentFunctionalTask: null,
+        compensations: [],
+        scheduledAt: job1.scheduledAt,
+        startedAt: null
+      })));
+
+      cam.run();
+      await timeout(50);
+      // The default queue runs one job at a time:
+      assert.deepEqual(cam.getRunningJobs(), [job1]);
+      assert.deepEqual(cam.getEnqueuedJobs(), [job2]);
+
+      snapshot = job1.toSnapshot();
+      assert.strictEqual(snapshot.state, 'running');
+      assert.strictEqual(snapshot.progress, 0.5);
+      assert.deepEqual(snapshot.functionalTasksDone, ['1']);
+      assert.strictEqual(snapshot.currentFunctionalTask, '2 (wait)');
+      assert.instanceOf(snapshot.startedAt, Date);
+
+      deferred.resolve();
+      await Promise.all([job1.donePromise, job2.donePromise]);
+      assert.strictEqual(job1.toSnapshot().state, 'done');
+      assert.isNull(job1.currentFunctionalTask);
+      assert.isNull(cam.getJob(job1.id));
+    } finally {
+      deferred.resolve();
+      await cam.shutdown();
+    }
+  });
+
+  it('should run dependent tasks as workflows and reject cyclic dependencies', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const deferred = defer(), seen = {};
+    /**
+     * @param {string} name
+     * @param {Array.<string|TaskDependency>} dependsOn
+     * @param {(job: CameleerJob) => any} func
+     * @returns {TaskConfig}
+     */
+    const createTask = (name, dependsOn, func) => ({
+      name, dependsOn, schedule: new ManualSchedule(), tasks: [{
+        canFail: false,
+        func: async job => {
+          seen[name] = { context: Object.assign({}, job.context), upstream: job.upstreamJobs.map(j => j.task.name) };
+          return await func(job);
+        }
+      }]
+    });
+
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [
+      createTask('extract', [], async job => { job.context.extracted = true; }),
+      createTask('transform', ['extract'], async() => { throw new Error('Transform failed.'); }),
+      createTask('validate', [{ task: 'extract' }, 'unknown'], async() => 42),
+      createTask('report', [{ task: 'transform', condition: 'always' }, 'validate'], async() => deferred.resolve()),
+      createTask('load', ['transform'], async() => 1),
+      createTask('notify', [{ task: 'load', condition: 'always' }], async() => 1)
+    ]));
+
+    try {
+      await cam.loadTasks();
+      cam.run();
+      const root = await cam.triggerTask('extract');
+      await deferred.promise;
+      await timeout(50);
+
+      assert.deepEqual(Object.keys(seen).sort(), ['extract', 'report', 'transform', 'validate']);
+      assert.deepEqual(seen.transform, { context: { extracted: true }, upstream: ['extract'] });
+      assert.deepEqual(seen.report.upstream, ['transform', 'validate']);
+      assert.strictEqual(cam._workflowRuns.size, 0);
+
+      const records = await cam.queryJobHistory({ workflowId: root.workflowId });
+      assert.deepEqual(records.map(r => r.task).sort(), ['extract', 'report', 'transform', 'validate']);
+      assert.strictEqual(records.find(r => r.task === 'transform').state, 'failed');
+
+      // Every job that is not a dependent starts its own workflow run:
+      const other = await cam.triggerTask('validate');
+      await other.donePromise;
+      assert.notStrictEqual(other.workflowId, root.workflowId);
+      assert.deepEqual(other.upstreamJobs, []);
+    } finally {
+      await cam.shutdown();
+    }
+
+    const camCyclic = new Cameleer(new StandardConfigProvider(camConf, [
+      createTask('a', ['c'], async() => 1),
+      createTask('b', ['a'], async() => 1),
+      createTask('c', [{ task: 'b', condition: 'always' }], async() => 1)
+    ]));
+
+    try {
+      await assertThrowsAsync(async() => await camCyclic.loadTasks());
+      assert.strictEqual(camCyclic.tasks.length, 0);
+    } finally {
+      await camCyclic.shutdown();
+    }
+  });
+
+  it('should open a circuit breaker after consecutive failures and close it after a probe', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    let shouldFail = true;
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'breaker',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      circuitBreaker: { failureThreshold: 2, openSecs: 0.1 },
+      tasks: [{ canFail: false, func: async() => {
+        if (shouldFail) {
+          throw new Error('The target is down.');
+        }
+        return 42;
+      } }]
+    }]));
+
+    const events = [];
+    cam.observableWork.subscribe(evt => {
+      if (evt.type === symbolCameleerCircuitOpened || evt.type === symbolCameleerCircuitClosed) {
+        events.push(evt.type === symbolCameleerCircuitOpened ? 'opened' : 'closed');
+      }
+    });
+
+    try {
+      await cam.loadTasks();
+      const task = cam._tasks.breaker;
+      // The state is kept in the static context, which outlives this test:
+      task.staticContext['$cameleerCircuitBreaker'] = null;
+      cam.run();
+
+      await assertThrowsAsync(async() => await (await cam.triggerTask('breaker')).donePromise);
+      assert.deepEqual(events, []);
+      await assertThrowsAsync(async() => await (await cam.triggerTask('breaker')).donePromise);
+      assert.deepEqual(events, ['opened']);
+      assert.strictEqual(task.staticContext['$cameleerCircuitBreaker'].state, 'open');
+
+      // Runs are short-circuited while the circuit is open:
+      assert.isNull(await cam.triggerTask('breaker'));
+
+      // Once half-open, only one probe is let through; a failing probe opens it again:
+      await timeout(120);
+      const probe1 = await cam.triggerTask('breaker');
+      assert.isNotNull(probe1);
+      assert.isNull(await cam.triggerTask('breaker'));
+      await assertThrowsAsync(async() => await probe1.donePromise);
+      assert.deepEqual(events, ['opened', 'opened']);
+      assert.isNull(await cam.triggerTask('breaker'));
+
+      await timeout(120);
+      shouldFail = false;
+      const probe2 = await cam.triggerTask('breaker');
+      assert.strictEqual((await probe2.donePromise).value, 42);
+      await timeout(10); // The job's queue signals that it is done right after
+      assert.deepEqual(events, ['opened', 'opened', 'closed']);
+      assert.deepEqual(task.staticContext['$cameleerCircuitBreaker'], { state: 'closed', numFailures: 0, openedAt: null });
+    } finally {
+      await cam.shutdown();
+    }
+  });
+
+  it('should hold jobs back until the tokens of their resources are available', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    camConf.queues[0].parallelism = 4;
+    camConf.resources = {
+      db: { maxConcurrent: 1 },
+      'sftp:hostA': { maxRuns: 2, perSecs: 0.2 }
+    };
+
+    const gates = [], started = [];
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'dbTask',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      resources: ['db', 'unlimited'],
+      tasks: [async job => {
+        started.push(job.id);
+        const gate = defer();
+        gates.push(gate);
+        return await gate.promise;
+      }]
+    }, {
+      name: 'sftpTask',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      resources: ['sftp:hostA'],
+      tasks: [async() => Date.now()]
+    }]));
+
+    try {
+      await cam.loadTasks();
+      cam.run();
+
+      const job1 = await cam.triggerTask('dbTask')
+      , job2 = await cam.triggerTask('dbTask')
+      , job3 = await cam.triggerTask('dbTask');
+      await timeout(20);
+      assert.deepEqual(started, [job1.id]);
+      assert.deepEqual(cam.getEnqueuedJobs().map(j => j.id), [job2.id, job3.id]);
+      assert.strictEqual(cam.getJob(job3.id), job3);
+
+      // Waiting jobs can be cancelled, and a finished job releases its tokens:
+      assert.strictEqual(cam.cancelJob(job2.id), job2);
+      gates[0].resolve(1);
+      await job1.donePromise;
+      await timeout(20);
+      assert.deepEqual(started, [job1.id, job3.id]);
+      gates[1].resolve(3);
+      assert.strictEqual((await job3.donePromise).value, 3);
+
+      // The third run within the window has to wait for the first one to leave it:
+      const sftpJobs = [];
+      for (let i = 0; i < 3; i++) {
+        sftpJobs.push(await cam.triggerTask('sftpTask'));
+      }
+      const enqueuedAt = Date.now()
+      , ranAt = (await Promise.all(sftpJobs.map(j => j.donePromise))).map(r => r.value);
+      assert.isBelow(ranAt[1] - enqueuedAt, 150);
+      assert.isAtLeast(ranAt[2] - enqueuedAt, 150);
+
+      // Tokens are acquired when a job starts, so that waiting jobs neither hold
+      // them nor count towards the rate limits:
+      cam.pause();
+      const waiting = [];
+      for (let i = 0; i < 3; i++) {
+        waiting.push(await cam.triggerTask('sftpTask'));
+      }
+      const dbWaiting = await cam.triggerTask('dbTask');
+      await timeout(250);
+      assert.isFalse(waiting.concat(dbWaiting).some(j => cam._resourceLimiter.isHolding(j)));
+
+      const resumedAt = Date.now();
+      cam.run();
+      const waitingRanAt = (await Promise.all(waiting.map(j => j.donePromise))).map(r => r.value);
+      assert.isBelow(waitingRanAt[1] - resumedAt, 150);
+      assert.isAtLeast(waitingRanAt[2] - resumedAt, 150);
+      assert.include(started, dbWaiting.id);
+      gates[2].resolve(4);
+      assert.strictEqual((await dbWaiting.donePromise).value, 4);
+
+      // A pending check that is late (e.g. because the event loop is blocked) is not
+      // cancelled by another job starting, as it is the one to run the waiting job:
+      await timeout(250);
+      const lateJobs = [];
+      for (let i = 0; i < 3; i++) {
+        lateJobs.push(await cam.triggerTask('sftpTask'));
+      }
+      await timeout(20);
+      assert.isNotNull(cam._resourceCheckTimeout);
+      const checkAt = cam._resourceCheckAt;
+      while (Date.now() <= checkAt) { /* The check cannot run in time. */ }
+      cam._scheduleResourceCheck();
+      await Promise.all(lateJobs.map(j => j.donePromise));
+    } finally {
+      await cam.shutdown();
+    }
+
+    // A limit requires at least maxConcurrent or maxRuns:
+    camConf.resources = { db: { perSecs: 10 } };
+    expect(() => new Cameleer(new StandardConfigProvider(camConf, []))).to.throw(/Invalid configuration/);
+  });
+
+  it('should run enqueued jobs by their priority and let waiting jobs age', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    camConf.queues[0].agingSecs = 0.05;
+
+    const ran = [];
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'nightlySync',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [async job => ran.push(job.id)]
+    }, {
+      name: 'restore',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      priority: async() => 10,
+      tasks: [async job => ran.push(job.id)]
+    }]));
+
+    try {
+      await cam.loadTasks();
+      // The queues are not running yet, so all jobs wait in the backlog:
+      const sync1 = await cam.triggerTask('nightlySync')
+      , sync2 = await cam.triggerTask('nightlySync')
+      , urgentSync = await cam.triggerTask('nightlySync', { priority: 5 })
+      , restore = await cam.triggerTask('restore');
+
+      assert.strictEqual(restore.priority, 10);
+      assert.strictEqual(urgentSync.toSnapshot().priority, 5);
+      const expected = [restore.id, urgentSync.id, sync1.id, sync2.id];
+      assert.deepEqual(cam.getEnqueuedJobs().map(j => j.id), expected);
+
+      cam.run();
+      await Promise.all([sync1, sync2, urgentSync, restore].map(j => j.donePromise));
+      assert.deepEqual(ran, expected);
+
+      // A job that waited long enough overtakes one with a higher priority:
+      cam.pause();
+      const aged = await cam.triggerTask('nightlySync');
+      await timeout(150);
+      const fresh = await cam.triggerTask('nightlySync', { priority: 2 });
+      assert.deepEqual(cam.getEnqueuedJobs().map(j => j.id), [aged.id, fresh.id]);
+
+      await assertThrowsAsync(async() => await cam.triggerTask('nightlySync', { priority: 'high' }));
+    } finally {
+      await cam.shutdown();
+    }
+  });
+
+  it('should allow adding, changing, pausing and removing queues at runtime', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'work',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      queues: ['extra'],
+      tasks: [async() => await timeout(100)]
+    }, {
+      name: 'otherWork',
+      schedule: new ManualSchedule(),
+      queues: ['extra'],
+      tasks: [async() => await timeout(100)]
+    }]));
+
+    try {
+      await cam.loadTasks();
+      cam.run();
+
+      const extra = cam.addQueue({ name: 'extra', enabled: true, type: 'parallel', parallelism: 1 });
+      assert.deepEqual(cam.queues.map(cq => cq.name), ['defaultQueue', 'extra']);
+      assert.isFalse(extra.queue.isPaused);
+      assert.throws(() => cam.addQueue({ name: 'extra', enabled: true, type: 'parallel' }));
+      // There must not be two enabled default queues of the same type:
+      assert.throws(() => cam.addQueue({ name: 'extra2', enabled: true, type: 'parallel', isDefault: true }));
+      assert.throws(() => cam.addQueue({ name: 'extra2', enabled: true, type: 'foo' }));
+
+      // A queue paused individually stays paused when Cameleer is run again:
+      cam.pauseQueue('extra');
+      const job1 = await cam.triggerTask('work'), job2 = await cam.triggerTask('otherWork');
+      assert.strictEqual(cam.getEnqueuedJobs('extra').length, 2);
+      cam.pause();
+      cam.run();
+      await timeout(20);
+      assert.isTrue(extra.queue.isPaused);
+      assert.strictEqual(cam.getRunningJobs().length, 0);
+
+      cam.resumeQueue('extra');
+      cam.updateQueue('extra', { parallelism: 2 });
+      await timeout(20);
+      assert.strictEqual(extra.queue.numParallel, 2);
+      assert.deepEqual(cam.getRunningJobs().map(j => j.id).sort(), [job1.id, job2.id].sort());
+
+      assert.throws(() => cam.updateQueue('extra', { capabilities: 2 }));
+      assert.throws(() => cam.updateQueue('extra', { parallelism: 0 }));
+      assert.throws(() => cam.updateQueue('extra', { isDefault: true }));
+      assert.throws(() => cam.updateQueue('foo', { enabled: false }));
+
+      // A disabled queue does not run its jobs and is not selected for new ones:
+      await Promise.all([job1.donePromise, job2.donePromise]);
+      cam.updateQueue('extra', { enabled: false });
+      assert.isTrue(extra.queue.isPaused);
+      assert.isNull(await cam.triggerTask('work'));
+      cam.updateQueue('extra', { enabled: true, parallelism: 1 });
+      assert.isFalse(extra.queue.isPaused);
+      cam.updateQueue('defaultQueue', { isDefault: false });
+      cam.updateQueue('extra', { isDefault: true });
+      assert.isTrue(extra.isDefault);
+
+      // A queue is removed once its jobs are done, and takes no new jobs meanwhile:
+      const job3 = await cam.triggerTask('work'), job4 = await cam.triggerTask('work');
+      const removed = cam.removeQueue('extra');
+      await assertThrowsAsync(async() => await cam.removeQueue('extra'));
+      assert.isTrue(cam.queues.some(cq => cq.name === 'extra'));
+      assert.isNull(await cam.triggerTask('work'));
+
+      assert.strictEqual(await removed, extra);
+      assert.isTrue(job3.isDone && job4.isDone);
+      assert.deepEqual(cam.queues.map(cq => cq.name), ['defaultQueue']);
+      await assertThrowsAsync(async() => await cam.removeQueue('extra'));
+    } finally {
+      await cam.shutdown();
+    }
+  });
+});
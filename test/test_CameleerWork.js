@@ -565,6 +565,177 @@ describe('CameleerWork', function() {
     await cameleer.shutdown();
     await runPromise;
   });
+
+  it('should run parallel groups, conditional and forEach functional tasks', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const started = [];
+    /**
+     * @param {string} name
+     * @param {number} msecs
+     * @param {boolean} [fails]
+     * @returns {FunctionalTaskConfig}
+     */
+    const sleep = (name, msecs, fails = false) => ({
+      name, canFail: false, func: async() => {
+        started.push(name);
+        await timeout(msecs);
+        if (fails) {
+          throw new Error(name);
+        }
+        return name;
+      }
+    });
+
+    const c = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'composite',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [
+        async job => { job.context.files = ['a', 'b']; return 1; },
+        { parallel: [sleep('slow', 60), sleep('fast', 20)] },
+        { parallel: [sleep('broken', 10, true), sleep('ok', 30)], join: 'any' },
+        { parallel: [sleep('broken2', 10, true), { when: () => false, func: async() => 0 }], join: 'allSettled' },
+        { name: 'skipped', when: async job => job.context.files.length === 0, func: async() => 'never' },
+        { name: 'upload', forEach: 'files', args: ['x'], func: async(file, idx, x, job) => `${file}${idx}${x}` }
+      ]
+    }, {
+      name: 'failing',
+      schedule: new ManualSchedule(),
+      tasks: [{ parallel: [sleep('broken3', 10, true), sleep('ok3', 5), sleep('slow3', 2000)] }]
+    }, {
+      name: 'racing',
+      schedule: new ManualSchedule(),
+      tasks: [{ parallel: [{
+        name: 'tortoise', func: async job => {
+          job.signal.addEventListener('abort', () => started.push('tortoise aborted'));
+          await timeout(2000);
+          return 'tortoise';
+        }
+      }, sleep('hare', 20), {
+        name: 'late', when: async() => {
+          await timeout(50);
+          started.push('late checked');
+          return true;
+        }, func: async() => 'late'
+      }], join: 'any' }]
+    }]));
+
+    try {
+      await c.loadTasks();
+      c.run();
+
+      const job = await c.triggerTask('composite');
+      await job.donePromise;
+
+      // Both functional tasks of the first group were started before either finished:
+      assert.deepEqual(started.slice(0, 2), ['slow', 'fast']);
+      assert.deepEqual(job.results.map(r => r.value).slice(0, 3), [1, ['slow', 'fast'], 'ok']);
+      const settled = job.results[3].value;
+      assert.isTrue(settled[0].isError);
+      assert.isNull(settled[1]);
+      assert.deepEqual(job.result.value, ['a0x', 'b1x']);
+      assert.strictEqual(job.results.length, 5);
+      assert.strictEqual(job.functionalTasksProgress, 1);
+      assert.deepEqual(job.functionalTasksDone.map(ftd => ftd.name), [
+        '1', '2.2 (fast)', '2.1 (slow)', '3.2 (ok)', '6[0] (upload)', '6[1] (upload)']);
+
+      // The first functional task that fails fails the group, the others are aborted:
+      const failing = await c.triggerTask('failing'), failingStart = Date.now();
+      await assertThrowsAsync(async() => await failing.donePromise);
+      assert.isBelow(Date.now() - failingStart, 1000);
+      assert.strictEqual(failing.functionalTaskFailed.name, '1.1 (broken3)');
+      assert.deepEqual(failing.functionalTasksDone.map(ftd => ftd.name), ['1.2 (ok3)']);
+
+      // The first functional task that succeeds completes the group, the others are aborted:
+      const racing = await c.triggerTask('racing'), racingStart = Date.now();
+      await racing.donePromise;
+      assert.isBelow(Date.now() - racingStart, 1000);
+      assert.strictEqual(racing.result.value, 'hare');
+      assert.deepEqual(racing.functionalTasksDone.map(ftd => ftd.name), ['1.2 (hare)']);
+      assert.include(started, 'tortoise aborted');
+      // The group is only complete once the others have settled:
+      assert.include(started, 'late checked');
+
+      const [ record ] = await c.queryJobHistory({ task: 'composite' });
+      assert.deepEqual(record.functionalTasks.map(ft => ft.result), [1, 'fast', 'slow', 'ok', 'a0x', 'b1x']);
+    } finally {
+      await c.shutdown();
+    }
+  });
+
+  it('should run the compensations of completed functional tasks in reverse order', async function() {
+    this.timeout(5000);
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const undone = [];
+
+    const c = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'saga',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [{
+        name: 'create', canFail: false, args: ['dir'],
+        func: async(prefix, job) => { job.context.files = ['a', 'b']; return `${prefix}/`; },
+        undo: async(value, prefix, job) => { undone.push(['create', value, prefix, job instanceof CameleerJob]); }
+      }, {
+        name: 'skipped', canFail: { skip: true, schedule: new ManualSchedule() },
+        func: async() => { throw new Error('skipped'); },
+        undo: async() => { undone.push(['skipped']); }
+      }, {
+        name: 'upload', canFail: false, forEach: 'files',
+        func: async(file, idx) => `${file}${idx}`,
+        undo: { canFail: { skip: true, schedule: new ManualSchedule() }, args: ['rm'], func: async(value, file, idx, cmd) => {
+          undone.push([cmd, value, file, idx]);
+          if (file === 'b') {
+            throw new Error('Cannot remove b');
+          }
+        } }
+      }, {
+        name: 'notify', canFail: false, func: async() => { throw new Error('Oops'); }
+      }]
+    }, {
+      name: 'stuck',
+      schedule: new ManualSchedule(),
+      tasks: [{
+        canFail: false, func: async() => 1, undo: async() => { undone.push(['stuck1']); }
+      }, {
+        canFail: false, func: async() => 2, undo: { canFail: false, func: async() => { throw new Error('stuck'); } }
+      }, {
+        canFail: false, func: async() => { throw new Error('Oops'); }
+      }]
+    }]));
+
+    try {
+      await c.loadTasks();
+      c.run();
+
+      const job = await c.triggerTask('saga');
+      await assertThrowsAsync(async() => await job.donePromise);
+      await job.donePromise.catch(e => assert.strictEqual(e.previousError.wrappedErr.message, 'Oops'));
+
+      // The skipped functional task is not compensated, and the failing compensation
+      // of 'b' can fail:
+      assert.deepEqual(undone, [
+        ['rm', 'b1', 'b', 1], ['rm', 'a0', 'a', 0], ['create', 'dir/', 'dir', true]]);
+      assert.deepEqual(job.compensations.map(comp => comp.name), ['3[1] (upload)', '3[0] (upload)', '1 (create)']);
+      assert.isTrue(job.compensations[0].result.isError);
+      assert.deepEqual(job.toSnapshot().compensations.map(comp => comp.isError), [true, false, false]);
+
+      // A compensation that must not fail stops the remaining compensations:
+      undone.length = 0;
+      const stuck = await c.triggerTask('stuck');
+      await assertThrowsAsync(async() => await stuck.donePromise);
+      assert.deepEqual(undone, []);
+      assert.strictEqual(stuck.compensations.length, 1);
+      assert.strictEqual(stuck.compensations[0].error.errType, 'finalFail');
+    } finally {
+      await c.shutdown();
+    }
+  });
 });
 
 
@@ -1,11 +1,40 @@
 require('../meta/typedefs');
 
 const { assert, expect } = require('chai')
-, { assertThrowsAsync } = require('sh.orchestration-tools')
+, fs = require('fs')
+, os = require('os')
+, path = require('path')
+, { assertThrowsAsync, timeout } = require('sh.orchestration-tools')
 , { ConfigProvider, createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { DirectoryConfigProvider } = require('../lib/cameleer/DirectoryConfigProvider')
+, { FileConfigProvider } = require('../lib/cameleer/FileConfigProvider')
+, { Cameleer } = require('../lib/cameleer/Cameleer')
 , StandardConfigProviderInstance = require('../cli/config.example');
 
 
+/**
+ * @param {Array.<string>} taskNames
+ * @returns {string} The source of a configuration-module with ManualSchedule-tasks.
+ */
+const createConfigModule = taskNames => `
+const { StandardConfigProvider, createDefaultCameleerConfig, ManualSchedule } = require(${JSON.stringify(path.resolve(__dirname, '../index.js'))});
+const conf = createDefaultCameleerConfig();
+conf.logging.method = 'none';
+module.exports = new StandardConfigProvider(conf, ${JSON.stringify(taskNames)}.map(name => ({
+  name, schedule: new ManualSchedule()
+})));
+`;
+
+/**
+ * @param {string} name
+ * @returns {string} The source of a task-module that exports a TaskConfig.
+ */
+const createTaskModule = name => `
+const { ManualSchedule } = require(${JSON.stringify(path.resolve(__dirname, '../index.js'))});
+module.exports = { name: ${JSON.stringify(name)}, schedule: new ManualSchedule() };
+`;
+
+
 describe('ConfigProvider', function() {
   it('should be an abstract class', async() => {
     const cp = new ConfigProvider();
@@ -43,4 +72,85 @@ describe('ConfigProvider', function() {
     const def = await c.getTaskConfig('foo');
     assert.strictEqual(def, conf);
   });
-});
\ No newline at end of file
+
+  it('should discover tasks in a directory and report faulty task-files', async() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-'));
+    fs.writeFileSync(path.join(dir, 'a.task.js'), createTaskModule('a'));
+    fs.writeFileSync(path.join(dir, 'b.task.js'), 'throw new Error("42");');
+    fs.writeFileSync(path.join(dir, 'c.task.js'), createTaskModule('a'));
+    fs.writeFileSync(path.join(dir, 'd.task.json'), JSON.stringify({ name: 'd', schedule: {} }));
+    fs.writeFileSync(path.join(dir, 'e.task.js'), createTaskModule('e'));
+    fs.writeFileSync(path.join(dir, 'ignored.js'), 'throw new Error();');
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const dcp = new DirectoryConfigProvider(dir, { logging: { method: 'none' } });
+    try {
+      assert.deepEqual(JSON.stringify(dcp.getCameleerConfig()), JSON.stringify(camConf));
+      assert.deepEqual((await dcp.getAllTaskConfigs()).map(t => t.name), ['a', 'e']);
+      assert.deepEqual(dcp.loadErrors.map(le => path.basename(le.file)), ['b.task.js', 'c.task.js', 'd.task.json']);
+      assert.strictEqual(dcp.loadErrors[0].error.message, '42');
+      expect(dcp.loadErrors[1].error.message).to.contain('not unique');
+
+      // The directory is scanned again, so that changes are picked up:
+      fs.unlinkSync(path.join(dir, 'b.task.js'));
+      fs.writeFileSync(path.join(dir, 'c.task.js'), createTaskModule('c'));
+      assert.strictEqual((await dcp.getTaskConfig('c')).name, 'c');
+      assert.deepEqual(dcp.tasks.map(t => t.name), ['a', 'c', 'e']);
+      assert.strictEqual(dcp.loadErrors.length, 1);
+
+      const cam = new Cameleer(dcp);
+      await cam.loadTasks();
+      assert.deepEqual(cam._tasksArr.map(t => t.name), ['a', 'c', 'e']);
+      await cam.shutdown();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should load and watch a configuration-module and a task-directory', async() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-'))
+    , taskDir = path.join(dir, 'tasks')
+    , configFile = path.join(dir, 'config.js');
+    fs.mkdirSync(taskDir);
+    fs.writeFileSync(configFile, createConfigModule(['a']));
+    fs.writeFileSync(path.join(taskDir, 'b.task.js'),
+      `module.exports = async() => ({ name: 'b', schedule: new (require(${JSON.stringify(path.resolve(__dirname, '../index.js'))}).ManualSchedule)() });`);
+    fs.writeFileSync(path.join(taskDir, 'ignored.js'), 'throw new Error();');
+
+    const fcp = new FileConfigProvider(configFile, { taskDirectory: taskDir, debounceMsecs: 25 });
+    assert.throws(() => fcp.getCameleerConfig());
+    await fcp.load();
+    assert.deepEqual((await fcp.getAllTaskConfigs()).map(t => t.name), ['a', 'b']);
+    assert.strictEqual((await fcp.getTaskConfig('b')).name, 'b');
+
+    const cam = new Cameleer(fcp);
+    await cam.loadTasks();
+    const taskA = cam._tasks['a'];
+
+    try {
+      fcp.watch();
+      assert.isTrue(fcp.isWatching);
+
+      const changed = new Promise(resolve => fcp.observableConfigChanged.subscribe(resolve));
+      fs.writeFileSync(configFile, createConfigModule(['a', 'c']));
+      await changed;
+      await timeout(50);
+
+      assert.deepEqual(cam._tasksArr.map(t => t.name).sort(), ['a', 'b', 'c']);
+      assert.strictEqual(cam._tasks['a'], taskA);
+
+      // Invalid configurations are rejected:
+      fs.writeFileSync(configFile, 'module.exports = {');
+      assert.isFalse(await fcp.reload());
+      fs.writeFileSync(configFile, createConfigModule(['a', 'b']));
+      assert.isFalse(await fcp.reload()); // 'b' is not unique
+      assert.deepEqual((await fcp.getAllTaskConfigs()).map(t => t.name), ['a', 'c', 'b']);
+    } finally {
+      fcp.unwatch();
+      assert.isFalse(fcp.isWatching);
+      await cam.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,10 +1,13 @@
 require('../meta/typedefs');
 
 const { assert } = require('chai')
-, { assertThrowsAsync } = require('sh.orchestration-tools')
-, { BaseLogger } = require('sh.log-client')
+, Joi = require('joi')
+, http = require('http')
+, { assertThrowsAsync, timeout, Interval, ManualSchedule } = require('sh.orchestration-tools')
 , { Cameleer } = require('../lib/cameleer/Cameleer')
-, { Control } = require('../lib/control/Control')
+, { Task } = require('../lib/cameleer/Task')
+, { Control, ControlError } = require('../lib/control/Control')
+, { HttpControl } = require('../lib/control/HttpControl')
 , { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
 , { assertDoesNotThrowAsync } = require('./helpers');
 
@@ -40,16 +43,9 @@ describe('Control', function() {
       await ctrl.processCommand('pausewait');
     });
 
-    // Let's call a custom method
-    await assertDoesNotThrowAsync(async() => {
-      class XxGg {};
-      /** @type {BaseLogger.<XxGg>} */
-      const logger = await ctrl.processCommand('getLogger', XxGg);
-      assert.isTrue(logger instanceof BaseLogger);
-    });
-
-    await assertDoesNotThrowAsync(async() => {
-      await ctrl.processCommand('pauseWait');
+    // Methods of Cameleer are not invoked reflectively anymore:
+    await assertThrowsAsync(async() => {
+      await ctrl.processCommand('getLogger');
     });
 
     await assertThrowsAsync(async() => {
@@ -60,4 +56,410 @@ describe('Control', function() {
       await ctrl.processCommand('shutdown');
     });
   });
-});
\ No newline at end of file
+
+  it('should only process commands that are allowed', async() => {
+    const cam = new Cameleer(std);
+    const ctrl = new Control(cam, {
+      type: Control,
+      deny: ['shutdown', 'clear']
+    });
+
+    assert.isTrue(ctrl.isCommandAllowed('run'));
+    assert.isFalse(ctrl.isCommandAllowed('shutdown'));
+    assert.isFalse(ctrl.isCommandAllowed('_enqueueTask'));
+    assert.isFalse(ctrl.isCommandAllowed('constructor'));
+    assert.isFalse(ctrl.isCommandAllowed('clear'));
+
+    // 'clear' is a known command, so it is refused because it is denied:
+    try {
+      await ctrl.processCommand('clear');
+      assert.fail();
+    } catch (e) {
+      assert.isTrue(e instanceof ControlError);
+      assert.strictEqual(e.errType, 'notAllowed');
+    }
+    await assertThrowsAsync(async() => {
+      await ctrl.processCommand('_initKeepAlive');
+    });
+
+    const ctrlAllow = new Control(cam, {
+      type: Control,
+      allow: ['run', 'pause']
+    });
+    assert.isTrue(ctrlAllow.isCommandAllowed('pause'));
+    assert.isFalse(ctrlAllow.isCommandAllowed('load'));
+
+    try {
+      await ctrlAllow.processCommand('load');
+      assert.fail();
+    } catch (e) {
+      assert.isTrue(e instanceof ControlError);
+      assert.strictEqual(e.errType, 'notAllowed');
+    }
+
+    assert.throws(() => {
+      new Control(cam, { type: Control, deny: 'shutdown' });
+    });
+
+    await cam.shutdown();
+  });
+
+  it('should support registering commands and validate their arguments', async() => {
+    const cam = new Cameleer(std);
+    const ctrl = new Control(cam);
+
+    assert.throws(() => {
+      Control.registerCommand({ name: 'run', handler: () => {} });
+    });
+    assert.throws(() => {
+      Control.registerCommand({ name: '_foo', handler: () => {} });
+    });
+    assert.throws(() => {
+      ctrl.registerCommand({ name: 'foo' });
+    });
+
+    Control.registerCommand({
+      name: 'add',
+      description: 'Adds two numbers.',
+      args: Joi.array().ordered(Joi.number().required(), Joi.number().optional()),
+      handler: (control, a, b = 1) => a + b
+    });
+
+    try {
+      assert.strictEqual(await ctrl.processCommand('add', '5', '3'), 8);
+      assert.strictEqual(await ctrl.processCommand('add', 41), 42);
+
+      try {
+        await ctrl.processCommand('add', 'abc');
+        assert.fail();
+      } catch (e) {
+        assert.isTrue(e instanceof ControlError);
+        assert.strictEqual(e.errType, 'invalidArgs');
+      }
+
+      try {
+        await ctrl.processCommand('run', 'abc');
+        assert.fail();
+      } catch (e) {
+        assert.strictEqual(e.errType, 'invalidArgs');
+      }
+
+      // Commands of the instance take precedence:
+      ctrl.registerCommand({ name: 'add', handler: () => 'own' });
+      assert.strictEqual(await ctrl.processCommand('add'), 'own');
+      assert.strictEqual(await new Control(cam).processCommand('add', 1, 2), 3);
+
+      const help = await ctrl.processCommand('help');
+      assert.isTrue(help.some(h => h.name === 'add'));
+      assert.isTrue(help.some(h => h.name === 'shutdown'));
+      assert.strictEqual((await ctrl.processCommand('help', 'tasks')).name, 'tasks');
+      await assertThrowsAsync(async() => {
+        await ctrl.processCommand('help', 'foobar');
+      });
+    } finally {
+      assert.isTrue(Control.unregisterCommand('add'));
+    }
+
+    await assertThrowsAsync(async() => {
+      await new Control(cam).processCommand('add', 1, 2);
+    });
+
+    await cam.shutdown();
+  });
+
+  it('should provide the commands of loaded Tasks', async() => {
+    class CommandTask extends Task {
+      get commands() {
+        return [{
+          name: 'greet',
+          args: Joi.array().ordered(Joi.string().required()),
+          handler: (control, who) => `Hello, ${who}!`
+        }];
+      };
+    };
+
+    const cam = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'cmdTask',
+      type: CommandTask,
+      schedule: new ManualSchedule()
+    }]));
+    const ctrl = new Control(cam);
+
+    await assertThrowsAsync(async() => {
+      await ctrl.processCommand('greet', 'you');
+    });
+
+    await cam.loadTasks();
+    assert.strictEqual(await ctrl.processCommand('greet', 'you'), 'Hello, you!');
+
+    await cam.shutdown();
+  });
+});
+
+/**
+ * @param {number} port
+ * @param {'GET'|'POST'} method
+ * @param {string} path
+ * @param {Object} [body]
+ * @param {Object.<string, string>} [headers]
+ * @returns {Promise.<{ statusCode: number, body: any }>}
+ */
+const requestJSON = (port, method, path, body = void 0, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.request({ port, method, path, headers }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      try {
+        resolve({
+          statusCode: res.statusCode,
+          body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+  req.on('error', reject);
+  req.end(body === void 0 ? void 0 : (typeof body === 'string' ? body : JSON.stringify(body)));
+});
+
+
+describe('HttpControl', function() {
+  it('should provide a JSON REST-API with proper status codes', async() => {
+    const port = 38080;
+    const sched = new ManualSchedule();
+    const conf = createDefaultCameleerConfig();
+    conf.logging.method = 'none';
+    conf.controls.push({ type: HttpControl, port });
+    const cam = new Cameleer(new StandardConfigProvider(conf, [{
+      name: 'httpTask',
+      schedule: sched,
+      tasks: [async() => await timeout(100)]
+    }, {
+      name: 'intervalTask',
+      schedule: new Interval(1e5)
+    }]));
+
+    let res = await requestJSON(port, 'POST', '/load');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body, null);
+
+    res = await requestJSON(port, 'GET', '/tasks');
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(res.body.map(t => t.name), ['httpTask', 'intervalTask']);
+    assert.strictEqual(res.body[0].schedule, 'ManualSchedule');
+
+    res = await requestJSON(port, 'GET', '/tasks/foo');
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.error.type, 'notFound');
+
+    // Segments are decoded after matching, so encoded slashes stay within them:
+    res = await requestJSON(port, 'GET', '/tasks/http%54ask');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.name, 'httpTask');
+
+    res = await requestJSON(port, 'GET', '/tasks/foo%2Fbar');
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.error.type, 'notFound');
+
+    res = await requestJSON(port, 'GET', '/tasks/%E0%A4%A');
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await requestJSON(port, 'GET', '/queues');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body[0].name, 'defaultQueue');
+    assert.isTrue(res.body[0].isPaused);
+
+    res = await requestJSON(port, 'POST', '/run');
+    assert.strictEqual(res.statusCode, 200);
+
+    res = await requestJSON(port, 'POST', '/tasks/httpTask/trigger', { context: { foo: 1 } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.task, 'httpTask');
+    await timeout(50);
+
+    // httpTask does not allow multiple runs:
+    res = await requestJSON(port, 'POST', '/tasks/httpTask/trigger');
+    assert.strictEqual(res.statusCode, 409);
+
+    res = await requestJSON(port, 'POST', '/tasks/httpTask/trigger', { args: 1 });
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await requestJSON(port, 'GET', '/jobs');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.length, 1);
+    assert.strictEqual(res.body[0].task, 'httpTask');
+    assert.isTrue(res.body[0].isRunning);
+    assert.strictEqual(res.body[0].state, 'running');
+    assert.strictEqual(res.body[0].queue, 'defaultQueue');
+
+    res = await requestJSON(port, 'GET', `/jobs/${res.body[0].id}`);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.task, 'httpTask');
+
+    res = await requestJSON(port, 'GET', '/jobs/-1');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'POST', '/jobs/-1/cancel');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'GET', '/history/httpTask?state=scheduled&state=running&limit=1');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.length, 1);
+    assert.strictEqual(res.body[0].state, 'running');
+    assert.deepEqual(res.body[0].functionalTasks, []);
+
+    res = await requestJSON(port, 'GET', '/history?limit=abc');
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await requestJSON(port, 'GET', '/run');
+    assert.strictEqual(res.statusCode, 405);
+
+    res = await requestJSON(port, 'GET', '/foo');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'POST', '/run', '{ invalid');
+    assert.strictEqual(res.statusCode, 400);
+
+    for (const body of ['null', '42', '"run"', '[]']) {
+      res = await requestJSON(port, 'POST', '/commands/tasks', body);
+      assert.strictEqual(res.statusCode, 400);
+    }
+
+    res = await requestJSON(port, 'GET', '/control/command/foobar');
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.error.type, 'unknownCommand');
+
+    res = await requestJSON(port, 'GET', '/help');
+    assert.strictEqual(res.statusCode, 200);
+    assert.isTrue(res.body.some(h => h.name === 'trigger'));
+
+    res = await requestJSON(port, 'GET', '/help/jobs');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.name, 'jobs');
+
+    res = await requestJSON(port, 'GET', '/jobs/abc');
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.error.type, 'invalidArgs');
+
+    res = await requestJSON(port, 'POST', '/commands/tasks', { args: ['httpTask'] });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.name, 'httpTask');
+
+    res = await requestJSON(port, 'POST', '/commands/tasks', { args: 'httpTask' });
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await requestJSON(port, 'GET', '/control/command/queues%20defaultQueue');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.name, 'defaultQueue');
+
+    res = await requestJSON(port, 'POST', '/queues', { name: 'q2', enabled: true, type: 'parallel' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.name, 'q2');
+    assert.isFalse(res.body.isPaused);
+
+    res = await requestJSON(port, 'POST', '/queues', { name: 'q2', enabled: true, type: 'parallel' });
+    assert.strictEqual(res.statusCode, 409);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/pause');
+    assert.strictEqual(res.statusCode, 200);
+    assert.isTrue(res.body.isPausedIndividually);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/update', { parallelism: 3 });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.parallelism, 3);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/update', { capabilities: 3 });
+    assert.strictEqual(res.statusCode, 409);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/update', { parallelism: 'many' });
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await requestJSON(port, 'POST', '/queues/foo/resume');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/resume');
+    assert.strictEqual(res.statusCode, 200);
+    assert.isFalse(res.body.isPaused);
+
+    res = await requestJSON(port, 'POST', '/queues/q2/remove');
+    assert.strictEqual(res.statusCode, 202);
+    assert.isTrue(res.body.isRemoving);
+    res = await requestJSON(port, 'GET', '/queues/q2');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'POST', '/load');
+    assert.strictEqual(res.statusCode, 500);
+
+    // A paused queue is not drained, so that it is removed once it runs again:
+    await timeout(100); // httpTask does not allow multiple runs
+    res = await requestJSON(port, 'POST', '/pause');
+    assert.strictEqual(res.statusCode, 200);
+    res = await requestJSON(port, 'POST', '/tasks/httpTask/trigger');
+    assert.strictEqual(res.statusCode, 200);
+    res = await requestJSON(port, 'POST', '/queues/defaultQueue/remove');
+    assert.strictEqual(res.statusCode, 202);
+    assert.isTrue(res.body.isRemoving);
+    assert.strictEqual(res.body.backlog, 1);
+    res = await requestJSON(port, 'POST', '/queues/defaultQueue/remove');
+    assert.strictEqual(res.statusCode, 409);
+    res = await requestJSON(port, 'POST', '/run');
+    assert.strictEqual(res.statusCode, 200);
+    await timeout(200);
+    res = await requestJSON(port, 'GET', '/queues/defaultQueue');
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await requestJSON(port, 'POST', '/shutdown');
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  it('should authenticate requests and respect the allow- and deny-list', async() => {
+    const port = 38081;
+    const conf = createDefaultCameleerConfig();
+    conf.logging.method = 'none';
+    conf.controls.push({
+      type: HttpControl,
+      port,
+      deny: ['shutdown', 'jobs'],
+      auth: { type: 'token', token: 's3cr3t' }
+    }, {
+      type: HttpControl,
+      port: port + 1,
+      auth: { type: 'basic', username: 'user', password: 'pass' }
+    });
+    const cam = new Cameleer(new StandardConfigProvider(conf));
+
+    let res = await requestJSON(port, 'GET', '/queues');
+    assert.strictEqual(res.statusCode, 401);
+
+    res = await requestJSON(port, 'GET', '/queues', void 0, { Authorization: 'Bearer wrong' });
+    assert.strictEqual(res.statusCode, 401);
+
+    const bearer = { Authorization: 'Bearer s3cr3t' };
+    res = await requestJSON(port, 'GET', '/queues', void 0, bearer);
+    assert.strictEqual(res.statusCode, 200);
+
+    res = await requestJSON(port, 'GET', '/jobs', void 0, bearer);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.error.type, 'notAllowed');
+
+    res = await requestJSON(port, 'POST', '/shutdown', void 0, bearer);
+    assert.strictEqual(res.statusCode, 403);
+
+    res = await requestJSON(port, 'GET', '/control/command/_enqueueTask', void 0, bearer);
+    assert.strictEqual(res.statusCode, 403);
+
+    const basic = user => ({ Authorization: `Basic ${Buffer.from(user).toString('base64')}` });
+    res = await requestJSON(port + 1, 'GET', '/tasks', void 0, basic('user:wrong'));
+    assert.strictEqual(res.statusCode, 401);
+
+    res = await requestJSON(port + 1, 'GET', '/tasks', void 0, basic('user:pass'));
+    assert.strictEqual(res.statusCode, 200);
+
+    assert.throws(() => {
+      new HttpControl(cam, { type: HttpControl, port: port + 2, auth: { type: 'token' } });
+    });
+
+    await cam.shutdown();
+  });
+});
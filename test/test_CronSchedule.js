@@ -0,0 +1,126 @@
+require('../meta/typedefs');
+
+const { assert, expect } = require('chai')
+, { timeout } = require('sh.orchestration-tools')
+, { Cameleer } = require('../lib/cameleer/Cameleer')
+, { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { RunAttempt } = require('../lib/cameleer/RunAttempt')
+, { createTaskConfigFromDeclaration } = require('../lib/cameleer/DeclarativeConfig')
+, { CronExpression, CronSchedule, CronEventSimple, CronScheduler } = require('../lib/cameleer/CronSchedule');
+
+
+describe('CronSchedule', function() {
+  it('should parse cron expressions and reject invalid ones', () => {
+    [
+      '', '* * * *', '* * * * * * *', '60 * * * * *', '* 24 * * *', '* * 0 * *',
+      '* * * 13 *', '* * * * 8', '*/0 * * * *', '5-1 * * * *', 'foo * * * *', '* * * * MON-'
+    ].forEach(expr => {
+      assert.throws(() => new CronExpression(expr), Error, void 0, expr);
+    });
+
+    assert.throws(() => new CronExpression('* * * * *', 'Not/AZone'));
+    assert.throws(() => new CronExpression(42));
+
+    const c = new CronExpression('0 3 * * 1-5', 'UTC');
+    assert.isTrue(c.matches(new Date('2020-01-06T03:00:00Z'))); // Monday
+    assert.isFalse(c.matches(new Date('2020-01-05T03:00:00Z'))); // Sunday
+    assert.isFalse(c.matches(new Date('2020-01-06T03:00:01Z')));
+
+    assert.isTrue(new CronExpression('@hourly', 'UTC').matches(new Date('2020-01-05T17:00:00Z')));
+    assert.isTrue(new CronExpression('0 0 * JAN,dec SUN', 'UTC').matches(new Date('2020-01-05T00:00:00Z')));
+    assert.isTrue(new CronExpression('0 0 * * 7', 'UTC').matches(new Date('2020-01-05T00:00:00Z')));
+  });
+
+  it('should compute the next occurrence, including seconds and timezones', () => {
+    const next = (expr, after, tz = 'UTC') =>
+      new CronExpression(expr, tz).next(new Date(after)).toISOString();
+
+    assert.strictEqual(next('0 3 * * 1-5', '2020-01-03T03:00:00Z'), '2020-01-06T03:00:00.000Z');
+    assert.strictEqual(next('*/15 * * * * *', '2020-01-01T00:00:14.500Z'), '2020-01-01T00:00:15.000Z');
+    assert.strictEqual(next('10-40/10 * * * * *', '2020-01-01T00:00:40Z'), '2020-01-01T00:01:10.000Z');
+    assert.strictEqual(next('0 0 29 2 *', '2020-03-01T00:00:00Z'), '2024-02-29T00:00:00.000Z');
+    // Day of month OR day of week, if both are restricted:
+    assert.strictEqual(next('0 0 13 * 5', '2020-01-01T00:00:00Z'), '2020-01-03T00:00:00.000Z');
+    assert.strictEqual(next('0 0 13 * 5', '2020-01-10T00:00:00Z'), '2020-01-13T00:00:00.000Z');
+
+    // 03:00 in Berlin is 02:00 UTC in winter and 01:00 UTC in summer:
+    assert.strictEqual(next('0 3 * * *', '2020-03-28T12:00:00Z', 'Europe/Berlin'), '2020-03-29T01:00:00.000Z');
+    assert.strictEqual(next('0 3 * * *', '2020-01-01T12:00:00Z', 'Europe/Berlin'), '2020-01-02T02:00:00.000Z');
+
+    // Skipping non-matching days across the days of 23 hours (spring forward) and
+    // of 25 hours (fall back):
+    assert.strictEqual(next('30 0 * * 1-5', '2026-03-27T02:00:00Z', 'Europe/Berlin'), '2026-03-29T22:30:00.000Z');
+    assert.strictEqual(next('30 0 * * 1-5', '2026-10-23T02:00:00Z', 'Europe/Berlin'), '2026-10-25T23:30:00.000Z');
+    assert.strictEqual(next('0 0 * * 1', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T22:00:00.000Z');
+    assert.strictEqual(next('0 0 * * 1', '2026-10-24T12:00:00Z', 'Europe/Berlin'), '2026-10-25T23:00:00.000Z');
+    // The midnight of this Sunday does not exist (00:00 -04:00 becomes 01:00 -03:00):
+    assert.strictEqual(next('30 0 * * 0', '2022-09-10T12:00:00Z', 'America/Santiago'), '2022-09-18T03:30:00.000Z');
+    assert.strictEqual(next('0 1 * * 0', '2022-09-10T12:00:00Z', 'America/Santiago'), '2022-09-11T04:00:00.000Z');
+
+    assert.isNull(new CronExpression('0 0 30 2 *').next());
+  });
+
+  it('should provide preliminary events and support timezone-prefixes', () => {
+    const cs = new CronSchedule('TZ=America/New_York 0 0 12 * * *', { maxNumTriggers: 2 });
+    assert.strictEqual(cs.expression, '0 0 12 * * *');
+    assert.strictEqual(cs.timezone, 'America/New_York');
+    assert.strictEqual(new CronSchedule('CRON_TZ=UTC @daily').timezone, 'UTC');
+    assert.strictEqual(new CronSchedule('TZ=UTC @daily', { timezone: 'Europe/Berlin' }).timezone, 'Europe/Berlin');
+
+    const prelim = [...cs.preliminaryEvents(new Date('2020-01-01T17:00:00Z'), new Date('2020-01-10T00:00:00Z'))];
+    assert.deepEqual(prelim.map(p => p.dateTime.toISOString()),
+      ['2020-01-01T17:00:00.000Z', '2020-01-02T17:00:00.000Z']);
+    assert.throws(() => [...cs.preliminaryEvents(new Date())]);
+  });
+
+  it('should be scheduled by CronScheduler, Cameleer and RunAttempt', async function() {
+    this.timeout(5000);
+
+    const cs = new CronSchedule('* * * * * *', { maxNumTriggers: 2 })
+    , sched = new CronScheduler()
+    , events = [];
+
+    sched.addSchedule(cs);
+    assert.throws(() => sched.addSchedule(cs));
+    assert.throws(() => sched.hasSchedule({}));
+    sched.getObservableForSchedule(cs).subscribe(evt => events.push(evt));
+
+    await timeout(2100);
+    assert.strictEqual(events.length, 2);
+    assert.isTrue(events[0] instanceof CronEventSimple);
+    assert.strictEqual(+events[1].scheduleItem - +events[0].scheduleItem, 1000);
+    assert.isTrue(cs.isFinished);
+    assert.deepEqual(sched.removeAllSchedules(), [cs]);
+    assert.isFalse(sched.hasSchedule(cs));
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const c = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'cron',
+      schedule: '0 0 3 * * 1-5',
+      tasks: [async() => 42]
+    }, createTaskConfigFromDeclaration({
+      name: 'decl',
+      schedule: { cron: { expression: '@daily', timezone: 'UTC' } }
+    })]));
+
+    try {
+      await c.loadTasks();
+      c.run();
+      const task = c._tasks['cron'], decl = c._tasks['decl'];
+      assert.isTrue(task.config.schedule instanceof CronSchedule);
+      assert.isTrue(decl.config.schedule instanceof CronSchedule);
+      assert.strictEqual(decl.config.schedule.timezone, 'UTC');
+      assert.isTrue(c._getSchedulerForSchedule(task.config.schedule) instanceof CronScheduler);
+      assert.isTrue(c._getSchedulerForSchedule(task.config.schedule).hasSchedule(task.config.schedule));
+
+      const job = await c.triggerTask('cron');
+      assert.strictEqual((await job.donePromise).value, 42);
+    } finally {
+      await c.shutdown();
+    }
+
+    const ra = new RunAttempt({ tasks: [] }, { conf: { tasks: [] } });
+    expect(ra._getSchedulerForSchedule(new CronSchedule('@hourly'))).to.be.instanceOf(CronScheduler);
+  });
+});
@@ -0,0 +1,142 @@
+require('../meta/typedefs');
+
+const { assert, expect } = require('chai')
+, Joi = require('joi')
+, fs = require('fs')
+, os = require('os')
+, path = require('path')
+, { Calendar, Interval, ManualSchedule } = require('sh.orchestration-tools')
+, { Cameleer } = require('../lib/cameleer/Cameleer')
+, { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { DirectoryConfigProvider } = require('../lib/cameleer/DirectoryConfigProvider')
+, { TaskType } = require('../lib/cameleer/TaskType')
+, { SubClassRegister } = require('../tools/SubClassRegister')
+, { createFingerprint } = require('../tools/CreateFingerprint')
+, {
+  registerScheduleFactory, unregisterScheduleFactory, createScheduleFromDeclaration,
+  createTaskConfigFromDeclaration, parseDeclaration
+} = require('../lib/cameleer/DeclarativeConfig');
+
+
+class SumTaskType extends TaskType {
+  get schemaConf() {
+    return Joi.object().keys({
+      offset: Joi.number().default(0).optional()
+    });
+  };
+
+  async run(job, ...args) {
+    return args.reduce((a, b) => a + b, this.options.offset);
+  };
+};
+
+
+describe('DeclarativeConfig', function() {
+  it('should create schedules from declarations', () => {
+    const i1 = createScheduleFromDeclaration({ interval: 500 });
+    assert.isTrue(i1 instanceof Interval);
+    assert.strictEqual(i1.msecs, 500);
+
+    const i2 = createScheduleFromDeclaration({ interval: { msecs: 250, maxNumTriggers: 2 } });
+    assert.strictEqual(i2.msecs, 250);
+    assert.strictEqual(i2.maxNumTriggers, 2);
+
+    assert.isTrue(createScheduleFromDeclaration({ manual: true }) instanceof ManualSchedule);
+    assert.isTrue(createScheduleFromDeclaration({ calendar: 'foo.ics' }, { name: 'cal' }) instanceof Calendar);
+
+    assert.throws(() => createScheduleFromDeclaration({}));
+    assert.throws(() => createScheduleFromDeclaration({ interval: 5, manual: true }));
+    assert.throws(() => createScheduleFromDeclaration({ interval: -5 }));
+    expect(() => createScheduleFromDeclaration({ foo: 42 })).to.throw(/no schedule-factory/);
+
+    registerScheduleFactory('foo', (value, context) => new Interval(value * 1000));
+    assert.throws(() => registerScheduleFactory('foo', () => null));
+    assert.strictEqual(createScheduleFromDeclaration({ foo: 2 }).msecs, 2000);
+    registerScheduleFactory('foo', () => null, true);
+    assert.throws(() => createScheduleFromDeclaration({ foo: 2 }));
+    unregisterScheduleFactory('foo');
+    assert.throws(() => unregisterScheduleFactory('foo'));
+  });
+
+  it('should convert declarations into TaskConfigs that use TaskTypes', async() => {
+    assert.throws(() => createTaskConfigFromDeclaration({ name: 'a', schedule: { manual: true }, enabled: 'yes' }));
+    assert.throws(() => createTaskConfigFromDeclaration({ name: 'a', schedule: { manual: true }, tasks: [{ type: 'SumTaskType' }] }));
+
+    SubClassRegister.registerSubclass(SumTaskType);
+    assert.throws(() => createTaskConfigFromDeclaration({ name: 'a', schedule: { manual: true }, tasks: [{ type: 'SumTaskType', options: { offset: 'x' } }] }));
+
+    /** @type {DeclarativeTaskConfig} */
+    const decl = parseDeclaration(`
+name: decl
+allowMultiple: true
+schedule:
+  manual: true
+tasks:
+  - type: LogTaskType
+    options:
+      message: Hello
+  - type: SumTaskType
+    name: sum
+    args: [1, 2]
+    options:
+      offset: 10
+  - type: ProcessTaskType
+    args: ["process.stdout.write('42')"]
+    options:
+      command: ${JSON.stringify(process.execPath)}
+      args: ["-e"]
+`, 'yaml');
+
+    const conf = createTaskConfigFromDeclaration(decl);
+    assert.isTrue(conf.schedule instanceof ManualSchedule);
+    assert.deepEqual(conf.declaration, decl);
+    assert.deepEqual(conf.tasks.map(t => t.name), ['LogTaskType', 'sum', 'ProcessTaskType']);
+
+    // Changes of the options must result in a different fingerprint:
+    const decl2 = JSON.parse(JSON.stringify(decl));
+    decl2.tasks[1].options.offset = 11;
+    assert.notEqual(createFingerprint(createTaskConfigFromDeclaration(decl2)), createFingerprint(conf));
+    assert.strictEqual(createFingerprint(createTaskConfigFromDeclaration(decl)), createFingerprint(conf));
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const c = new Cameleer(new StandardConfigProvider(camConf, [conf]));
+    await c.loadTasks();
+    c.run();
+
+    try {
+      const job = await c.triggerTask('decl');
+      await job.donePromise;
+      assert.deepEqual(job.results.map(r => r.value).slice(0, 2), ['Hello', 13]);
+      assert.strictEqual(job.result.value.stdOut, '42');
+    } finally {
+      await c.shutdown();
+      SubClassRegister.unregisterSubclass(SumTaskType);
+    }
+
+    assert.throws(() => parseDeclaration('{}', 'xml'));
+  });
+
+  it('should discover declarative task-files in a directory', async() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-'));
+    fs.writeFileSync(path.join(dir, 'a.task.json'), JSON.stringify({ name: 'a', schedule: { interval: 1000 } }));
+    fs.writeFileSync(path.join(dir, 'b.task.yml'), 'name: b\nschedule:\n  calendar: b.ics\n');
+    fs.writeFileSync(path.join(dir, 'c.task.yaml'), 'name: c\nschedule: [');
+
+    try {
+      const dcp = new DirectoryConfigProvider(dir, { logging: { method: 'none' } })
+      , tasks = await dcp.getAllTaskConfigs();
+
+      assert.deepEqual(tasks.map(t => t.name), ['a', 'b']);
+      assert.isTrue(tasks[0].schedule instanceof Interval);
+      assert.isTrue(tasks[1].schedule instanceof Calendar);
+      assert.deepEqual(dcp.loadErrors.map(le => path.basename(le.file)), ['c.task.yaml']);
+
+      // Relative paths are resolved against the directory:
+      fs.writeFileSync(path.join(dir, 'b.ics'), 'BEGIN:VCALENDAR');
+      assert.strictEqual(await tasks[1].schedule.icsProvider(), 'BEGIN:VCALENDAR');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
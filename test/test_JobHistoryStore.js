@@ -0,0 +1,290 @@
+require('../meta/typedefs');
+
+const { assert, expect } = require('chai')
+, fs = require('fs')
+, os = require('os')
+, path = require('path')
+, { assertThrowsAsync, Interval, ManualSchedule } = require('sh.orchestration-tools')
+, { Cameleer } = require('../lib/cameleer/Cameleer')
+, { Control } = require('../lib/control/Control')
+, { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { JobHistoryStore, InMemoryJobHistoryStore, JsonLinesJobHistoryStore, SqliteJobHistoryStore } = require('../lib/cameleer/JobHistoryStore');
+
+
+/**
+ * @param {number} jobId
+ * @param {string} task
+ * @param {string} state
+ * @param {Date} scheduledAt
+ * @returns {JobRunRecord}
+ */
+const createRecord = (jobId, task, state, scheduledAt) => ({
+  id: `${task}-${jobId}`,
+  jobId,
+  task,
+  state,
+  isManual: false,
+  scheduledAt,
+  startedAt: null,
+  finishedAt: null,
+  durationMsecs: null,
+  numFunctionalTasks: 0,
+  functionalTasks: [],
+  error: state === 'failed' ? { type: null, message: 'failed' } : null
+});
+
+/**
+ * @param {JobHistoryStore} store
+ */
+const assertStoreQueries = async store => {
+  await store.saveRecord(createRecord(1, 'a', 'scheduled', new Date('2020-01-01T00:00:00Z')));
+  await store.saveRecord(createRecord(2, 'b', 'failed', new Date('2020-01-02T00:00:00Z')));
+  await store.saveRecord(createRecord(3, 'a', 'failed', new Date('2020-01-03T00:00:00Z')));
+  // Replaces the first record:
+  store.saveRecord(createRecord(1, 'a', 'done', new Date('2020-01-01T00:00:00Z')));
+
+  const all = await store.query();
+  assert.deepEqual(all.map(r => r.jobId), [3, 2, 1]);
+  assert.strictEqual(all[2].state, 'done');
+  assert.isTrue(all[0].scheduledAt instanceof Date);
+  assert.isNull(all[0].startedAt);
+
+  assert.deepEqual((await store.getLastRuns('a', 1)).map(r => r.jobId), [3]);
+  assert.deepEqual((await store.getFailuresSince(new Date('2020-01-02T12:00:00Z'))).map(r => r.jobId), [3]);
+  assert.deepEqual((await store.query({ state: ['done', 'failed'], until: '2020-01-02' })).map(r => r.jobId), [2, 1]);
+
+  await assertThrowsAsync(async() => await store.query({ state: 'foo' }));
+  await assertThrowsAsync(async() => await store.query({ limit: 0 }));
+};
+
+
+describe('JobHistoryStore', function() {
+  it('should record every job of Cameleer and allow to query them', async function() {
+    this.timeout(5000);
+
+    let numFails = 0;
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const c = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'ok',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [async() => 41, {
+        name: 'flaky',
+        canFail: {
+          schedule: new Interval(10),
+          maxNumFails: 5
+        },
+        func: async(job) => {
+          if (++numFails < 3) {
+            throw new Error('flaky');
+          }
+          return { value: job.result.value + 1 };
+        }
+      }]
+    }, {
+      name: 'fail',
+      schedule: new ManualSchedule(),
+      tasks: [async() => 1, {
+        canFail: false,
+        func: async() => { throw new Error('Oops'); }
+      }]
+    }]));
+
+    assert.isTrue(c.jobHistory instanceof InMemoryJobHistoryStore);
+
+    try {
+      await c.loadTasks();
+      c.run();
+
+      const since = new Date();
+      const job1 = await c.triggerTask('ok');
+      const [ scheduled ] = await c.queryJobHistory({ task: 'ok' });
+      assert.strictEqual(scheduled.jobId, job1.id);
+      assert.include(['scheduled', 'running'], scheduled.state);
+
+      await job1.donePromise;
+      const job2 = await c.triggerTask('fail');
+      await assertThrowsAsync(async() => await job2.donePromise);
+
+      const [ failRecord, okRecord ] = await c.queryJobHistory();
+      assert.strictEqual(okRecord.state, 'done');
+      assert.isTrue(okRecord.isManual);
+      assert.isAtLeast(okRecord.durationMsecs, 0);
+      assert.isAtLeast(+okRecord.finishedAt, +okRecord.startedAt);
+      assert.isNull(okRecord.error);
+      assert.strictEqual(okRecord.numFunctionalTasks, 2);
+      assert.deepEqual(okRecord.functionalTasks, [{
+        name: '1', isError: false, result: 41, regularAttemptFailed: false, numRetries: 0
+      }, {
+        name: '2 (flaky)', isError: false, result: { value: 42 }, regularAttemptFailed: true, numRetries: 2
+      }]);
+
+      assert.strictEqual(failRecord.state, 'failed');
+      assert.deepEqual(failRecord.error, { type: 'finalFail', message: 'Oops' });
+      assert.deepEqual(failRecord.functionalTasks.map(ft => ft.isError), [false, true]);
+
+      assert.deepEqual((await c.jobHistory.getFailuresSince(since)).map(r => r.task), ['fail']);
+      assert.deepEqual((await c.jobHistory.getLastRuns('ok', 5)).map(r => r.jobId), [job1.id]);
+
+      const ctrl = new Control(c);
+      const viaControl = await ctrl.processCommand('history', '{"state":"failed","limit":1}');
+      assert.deepEqual(viaControl.map(r => r.jobId), [job2.id]);
+      await assertThrowsAsync(async() => await ctrl.processCommand('history', { foo: 42 }));
+    } finally {
+      await c.shutdown();
+    }
+  });
+
+  it('should support in-memory and JSON-lines stores', async() => {
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cameleer-')), 'history.jsonl');
+    camConf.jobHistory = { type: 'JsonLinesJobHistoryStore', file };
+    const c = new Cameleer(new StandardConfigProvider(camConf));
+
+    try {
+      assert.isTrue(c.jobHistory instanceof JsonLinesJobHistoryStore);
+      assert.deepEqual(await c.queryJobHistory(), []);
+      await assertStoreQueries(c.jobHistory);
+
+      // Another store reads the same file:
+      const other = JobHistoryStore.fromConfiguration(c, { type: JsonLinesJobHistoryStore, file });
+      assert.deepEqual((await other.getLastRuns('b')).map(r => r.jobId), [2]);
+      assert.strictEqual(fs.readFileSync(file, 'utf8').split('\n').filter(l => l !== '').length, 4);
+
+      await assertStoreQueries(new InMemoryJobHistoryStore(c));
+
+      const small = JobHistoryStore.fromConfiguration(c, { type: InMemoryJobHistoryStore, capacity: 2 });
+      await assertStoreQueries(small).catch(() => {});
+      // Saving record 1 again (after it was dropped) has dropped the oldest record (2):
+      assert.deepEqual((await small.query()).map(r => r.jobId), [3, 1]);
+
+      expect(() => JobHistoryStore.fromConfiguration(c, { type: InMemoryJobHistoryStore, capacity: 0 })).to.throw();
+      expect(() => JobHistoryStore.fromConfiguration(c, { type: JsonLinesJobHistoryStore })).to.throw();
+      expect(() => JobHistoryStore.fromConfiguration(c, { type: JsonLinesJobHistoryStore, file, capacity: 0 })).to.throw();
+
+      // The file is compacted once it has twice as many lines as the capacity:
+      const compactFile = path.join(path.dirname(file), 'compact.jsonl')
+      , countLines = () => fs.readFileSync(compactFile, 'utf8').split('\n').filter(l => l !== '').length
+      , compacting = JobHistoryStore.fromConfiguration(c, { type: JsonLinesJobHistoryStore, file: compactFile, capacity: 2 });
+      for (let jobId = 1; jobId <= 5; jobId++) {
+        await compacting.saveRecord(createRecord(jobId, 'a', 'done', new Date(Date.UTC(2020, 0, jobId))));
+      }
+      assert.strictEqual(countLines(), 2);
+      assert.deepEqual((await compacting.query()).map(r => r.jobId), [5, 4]);
+
+      // Lines that are already in the file are counted as well:
+      const resumed = JobHistoryStore.fromConfiguration(c, { type: JsonLinesJobHistoryStore, file: compactFile, capacity: 2 });
+      await resumed.saveRecord(createRecord(5, 'a', 'failed', new Date(Date.UTC(2020, 0, 5))));
+      await resumed.saveRecord(createRecord(6, 'a', 'done', new Date(Date.UTC(2020, 0, 6))));
+      assert.strictEqual(countLines(), 4);
+      await resumed.saveRecord(createRecord(7, 'a', 'done', new Date(Date.UTC(2020, 0, 7))));
+      assert.strictEqual(countLines(), 2);
+      assert.deepEqual((await resumed.query()).map(r => r.jobId), [7, 6]);
+    } finally {
+      await c.shutdown();
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+
+  it('should save and query records of an SQLite store through its driver', async() => {
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    const c = new Cameleer(new StandardConfigProvider(camConf));
+
+    /** @type {Array.<{ method: string, sql: string, params: Array.<any> }>} */
+    const calls = [], rows = [];
+    class MockDatabase {
+      constructor(file, callback) {
+        this.file = file;
+        this.isClosed = false;
+        setImmediate(() => callback(null));
+      };
+
+      run(sql, params, callback) {
+        calls.push({ method: 'run', sql, params });
+        callback(null);
+      };
+
+      all(sql, params, callback) {
+        calls.push({ method: 'all', sql, params });
+        callback(null, rows);
+      };
+
+      close(callback) {
+        this.isClosed = true;
+        callback();
+      };
+    };
+
+    class MockedSqliteJobHistoryStore extends SqliteJobHistoryStore {
+      _requireDriver() {
+        return { Database: MockDatabase };
+      };
+    };
+
+    const store = new MockedSqliteJobHistoryStore(c, { type: MockedSqliteJobHistoryStore, file: ':memory:', table: 'history' })
+    , record = createRecord(1, 'a', 'failed', new Date('2020-01-01T00:00:00Z'));
+
+    try {
+      await store.saveRecord(record);
+      const db = await store._dbPromise;
+      assert.strictEqual(db.file, ':memory:');
+      assert.deepEqual(calls.map(call => call.sql.split(' (')[0]), [
+        'CREATE TABLE IF NOT EXISTS history',
+        'CREATE INDEX IF NOT EXISTS history_task_scheduledAt ON history',
+        'INSERT OR REPLACE INTO history'
+      ]);
+      assert.deepEqual(calls[2].params.slice(0, 4), ['a-1', 'a', 'failed', +record.scheduledAt]);
+
+      rows.push({ record: calls[2].params[4] });
+      const result = await store.query({ task: 'a', state: ['failed', 'done'], since: record.scheduledAt, limit: 5 });
+      assert.deepEqual(calls[3], {
+        method: 'all',
+        sql: 'SELECT record FROM history WHERE task = ? AND state IN (?, ?) AND scheduledAt >= ? ORDER BY scheduledAt DESC LIMIT ?',
+        params: ['a', 'failed', 'done', +record.scheduledAt, 5]
+      });
+      assert.deepEqual(result, [record]);
+
+      await store.teardown();
+      assert.isTrue(db.isClosed);
+    } finally {
+      await c.shutdown();
+    }
+
+    let hasSqlite3 = true;
+    try {
+      require.resolve('sqlite3');
+    } catch (e) {
+      hasSqlite3 = false;
+    }
+    if (!hasSqlite3) {
+      const missing = new SqliteJobHistoryStore(c, { type: SqliteJobHistoryStore, file: ':memory:' });
+      const error = await missing.query().catch(e => e);
+      assert.isTrue(error instanceof Error);
+      assert.include(error.message, `requires the package 'sqlite3'`);
+      await missing.teardown();
+    }
+  });
+
+  it('should support an SQLite store, if sqlite3 is installed', async function() {
+    try {
+      require.resolve('sqlite3');
+    } catch (e) {
+      this.skip();
+    }
+
+    const camConf = createDefaultCameleerConfig();
+    camConf.logging.method = 'none';
+    camConf.jobHistory = { type: 'SqliteJobHistoryStore', file: ':memory:' };
+    const c = new Cameleer(new StandardConfigProvider(camConf));
+
+    try {
+      assert.isTrue(c.jobHistory instanceof SqliteJobHistoryStore);
+      await assertStoreQueries(c.jobHistory);
+    } finally {
+      await c.shutdown();
+    }
+  });
+});
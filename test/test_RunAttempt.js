@@ -8,7 +8,7 @@ const Joi = require('joi')
 , { CameleerJob, JobFailError } = require('../lib/cameleer/Cameleer')
 , { Task } = require('../lib/cameleer/Task')
 , { ResolvedConfig } = require('../lib/cameleer/ResolvedConfig')
-, { RunAttempt, ErrorTypes, AttemptError } = require('../lib/cameleer/RunAttempt')
+, { RunAttempt, ErrorTypes, AttemptError, TimeoutError } = require('../lib/cameleer/RunAttempt')
 , { RetryInterval } = require('../tools/RetryInterval')
 , { TaskConfigSchema, SimpleTaskConfigSchema, FunctionalTaskConfigSchema, FunctionalTaskErrorConfigSchema } = require('../meta/schemas')
 , { Result, ErrorResult } = require('../lib/cameleer/Result')
@@ -405,7 +405,7 @@ describe('RunAttempt', function() {
     // Allow enough time for task being done potentially twice (should not have happened)
     // R-A #1 should be done, let's make some assertions
     assert.strictEqual(ra.numSubSequentFails, 1);
-    assert.isTrue(ra._schedManual.hasSchedule(ms)); // It's still in recovery-phase
+    assert.isTrue(ra._getSchedulerForSchedule(ms).hasSchedule(ms)); // It's still in recovery-phase
 
     ms.trigger();
 
@@ -452,4 +452,139 @@ describe('RunAttempt', function() {
     const r = await cJob.run();
     assert.strictEqual(cJob.result, r);
   });
-});
\ No newline at end of file
+
+  it('should abort attempts that time out and apply the error-configuration', async() => {
+    const ri = new RetryInterval(10, 1, false);
+    /** @type {Array.<AbortSignal>} */
+    const signals = [];
+
+    const exampleTask = createTasks([{
+      timeoutSecs: 0.05,
+      canFail: {
+        schedule: () => ri,
+        maxNumFails: 1
+      },
+      func: async job => {
+        signals.push(job.signal);
+        if (signals.length === 1) {
+          await timeout(500); // Does not react to its signal.
+        }
+        return 42;
+      }
+    }, {
+      timeoutSecs: 0.05,
+      canFail: false,
+      func: job => new Promise((resolve, reject) => {
+        job.signal.addEventListener('abort', () => reject(job.signal.reason));
+      })
+    }]);
+
+    const cJob = await createCamJob(exampleTask, cameleerConfig.defaults);
+    const ra0 = new RunAttempt(cJob.conf.tasks[0], cJob);
+    const ra1 = new RunAttempt(cJob.conf.tasks[1], cJob);
+
+    // The regular attempt times out, the recovery-attempt succeeds:
+    assert.strictEqual((await ra0.run()).value, 42);
+    assert.isTrue(ra0.regularAttemptFailed);
+    assert.isTrue(signals[0].aborted && signals[0].reason instanceof TimeoutError);
+    assert.isFalse(signals[1].aborted);
+
+    let threw = false;
+    try {
+      await ra1.run();
+    } catch (attErr) {
+      threw = true;
+      assert.isTrue(attErr instanceof AttemptError);
+      assert.strictEqual(attErr.errType, 'timeout');
+      assert.isTrue(attErr.wrappedErr instanceof TimeoutError);
+    } finally {
+      assert.isTrue(threw);
+    }
+  });
+
+  it('should abort jobs that time out, regardless of the error-configuration', async() => {
+    const exampleTask = createTasks([{
+      canFail: {
+        schedule: () => new ManualSchedule(),
+        continueOnFinalFail: true
+      },
+      func: async() => { throw new Error('Waits for a retry that never comes.'); }
+    }, async() => 42]);
+    exampleTask.timeoutSecs = async() => 0.1;
+
+    const cJob = await createCamJob(exampleTask, cameleerConfig.defaults);
+    assert.strictEqual(cJob.conf.timeoutSecs, 0.1);
+    assert.isFalse(cJob.signal.aborted);
+
+    let threw = false;
+    try {
+      await cJob.run();
+    } catch (e) {
+      threw = true;
+      assert.isTrue(e instanceof JobFailError);
+      assert.strictEqual(e.previousError.errType, 'timeout');
+      assert.isTrue(cJob.abortSignal.aborted);
+      assert.strictEqual(cJob.functionalTaskFailed.name, '1');
+      assert.strictEqual(cJob.results.length, 0);
+    } finally {
+      assert.isTrue(threw);
+    }
+  });
+
+  it('should fail permanent errors immediately and retry transient ones', async() => {
+    class AuthError extends Error {};
+    const connReset = () => Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' })
+    , ms = new ManualSchedule()
+    , errors = [connReset(), new AuthError('Invalid token')];
+
+    const exampleTask = createTasks([{
+      canFail: {
+        schedule: () => new ManualSchedule(),
+        abortOn: [err => err instanceof AuthError, 'EACCES']
+      },
+      func: async() => { throw Object.assign(new Error('Denied'), { code: 'EACCES' }); }
+    }, {
+      canFail: {
+        schedule: () => ms,
+        retryOn: ['ECONNRESET']
+      },
+      func: async() => { throw errors.shift(); }
+    }, {
+      canFail: {
+        schedule: () => new ManualSchedule(),
+        continueOnFinalFail: true,
+        abortOn: ['AuthError']
+      },
+      func: async() => { throw new AuthError('Invalid token'); }
+    }]);
+
+    const cJob = await createCamJob(exampleTask, cameleerConfig.defaults);
+    const [ ra1, ra2, ra3 ] = cJob.conf.tasks.map(conf => new RunAttempt(conf, cJob));
+
+    // The schedule would never trigger, so this fails only because the error is permanent:
+    const err1 = await ra1.run().catch(e => e);
+    assert.isTrue(err1 instanceof AttemptError);
+    assert.strictEqual(err1.errType, 'finalFail');
+    assert.strictEqual(err1.classification, 'permanent');
+    assert.strictEqual(ra1.numRecoveryAttempts, 0);
+
+    // The first error is transient, the one of the recovery-attempt is permanent:
+    const raProm = ra2.run().catch(e => e);
+    await timeout(20);
+    assert.strictEqual(ra2.errorClassification, 'transient');
+    ms.triggerNext();
+    const err2 = await raProm;
+    assert.strictEqual(err2.errType, 'finalFail');
+    assert.strictEqual(err2.classification, 'permanent');
+    assert.isTrue(err2.wrappedErr instanceof AuthError);
+    assert.strictEqual(ra2.numRecoveryAttempts, 1);
+
+    const result = await ra3.run();
+    assert.isTrue(result.isError);
+    assert.strictEqual(ra3.errorClassification, 'permanent');
+
+    assert.isTrue(RunAttempt._matchesError(connReset(), ['ECONNRESET']));
+    assert.isFalse(RunAttempt._matchesError('ECONNRESET', ['ECONNRESET']));
+    assert.isTrue(RunAttempt._matchesError(new TimeoutError('', 1), ['TimeoutError']));
+  });
+});
@@ -0,0 +1,92 @@
+require('../meta/typedefs');
+
+const { assert } = require('chai')
+, { Calendar, CalendarScheduler, Interval, IntervalScheduler, ManualSchedule, ManualScheduler } = require('sh.orchestration-tools')
+, { Cameleer, CameleerJob } = require('../lib/cameleer/Cameleer')
+, { createDefaultCameleerConfig, StandardConfigProvider } = require('../lib/cameleer/ConfigProvider')
+, { RunAttempt } = require('../lib/cameleer/RunAttempt')
+, { SchedulerRegistry } = require('../lib/cameleer/SchedulerRegistry');
+
+
+class CustomSchedule extends ManualSchedule {};
+
+class CustomScheduler extends ManualScheduler {
+  constructor(options) {
+    super();
+    this.options = options;
+  };
+};
+
+
+describe('SchedulerRegistry', function() {
+  it('should create configured Schedulers lazily and support custom types', async() => {
+    assert.throws(() => SchedulerRegistry.registerScheduler(Object, () => null));
+    assert.throws(() => SchedulerRegistry.registerScheduler(CustomSchedule, null));
+    assert.throws(() => SchedulerRegistry.registerScheduler(Interval, () => new IntervalScheduler()));
+
+    const reg = new SchedulerRegistry({
+      Calendar: { lookAheadSecs: 3600 },
+      CustomSchedule: { foo: 42 }
+    });
+
+    assert.strictEqual(reg.schedulers.length, 0);
+    const calSched = reg.getSchedulerForSchedule(new Calendar('c', () => ''));
+    assert.isTrue(calSched instanceof CalendarScheduler);
+    assert.strictEqual(calSched.lookAheadSecs, 3600);
+    assert.strictEqual(calSched.scheduleIntervalSecs, 30);
+    assert.strictEqual(reg.getSchedulerForSchedule(new Calendar('d', () => '')), calSched);
+    assert.throws(() => reg.getSchedulerForSchedule({}));
+
+    // Sub-classes use the Scheduler of their registered base-class, until they are registered:
+    const cs = new CustomSchedule();
+    const manSched = reg.getSchedulerForSchedule(cs);
+    assert.isTrue(manSched instanceof ManualScheduler);
+
+    SchedulerRegistry.registerScheduler(CustomSchedule, options => new CustomScheduler(options));
+    try {
+      const custSched = new SchedulerRegistry({ CustomSchedule: { foo: 42 } }).getSchedulerForSchedule(cs);
+      assert.isTrue(custSched instanceof CustomScheduler);
+      assert.deepEqual(custSched.options, { foo: 42 });
+
+      // Cameleer shares its registry with its jobs and their RunAttempts:
+      const camConf = createDefaultCameleerConfig();
+      camConf.logging.method = 'none';
+      camConf.schedulers = { CustomSchedule: { bar: true } };
+      const c = new Cameleer(new StandardConfigProvider(camConf, [{
+        name: 'custom',
+        schedule: cs,
+        tasks: [async() => 42]
+      }]));
+
+      await c.loadTasks();
+      const scheduler = c._getSchedulerForSchedule(cs);
+      assert.isTrue(scheduler instanceof CustomScheduler);
+      assert.deepEqual(scheduler.options, { bar: true });
+      assert.isTrue(scheduler.hasSchedule(cs));
+
+      const job = new CameleerJob(c._tasks['custom'], await c._tasks['custom'].resolveConfig(), null, c._schedulers);
+      const ra = new RunAttempt(job.conf.tasks[0], job);
+      assert.strictEqual(ra._getSchedulerForSchedule(cs), scheduler);
+
+      await c.shutdown();
+      assert.isFalse(scheduler.hasSchedule(cs));
+    } finally {
+      assert.isTrue(SchedulerRegistry.unregisterScheduler(CustomSchedule));
+      assert.isFalse(SchedulerRegistry.unregisterScheduler(CustomSchedule));
+    }
+  });
+
+  it('should count the usages of Schedules', () => {
+    const reg = new SchedulerRegistry()
+    , ms = new ManualSchedule()
+    , scheduler = reg.addSchedule(ms);
+
+    assert.isTrue(scheduler.hasSchedule(ms));
+    assert.strictEqual(reg.addSchedule(ms), scheduler);
+    reg.removeSchedule(ms);
+    assert.isTrue(scheduler.hasSchedule(ms));
+    reg.removeSchedule(ms);
+    assert.isFalse(scheduler.hasSchedule(ms));
+    assert.doesNotThrow(() => reg.removeSchedule(ms));
+  });
+});
@@ -7,7 +7,10 @@ const Joi = require('joi')
 , { ConfigurableClass } = require('../tools/ConfigurableClass')
 , { createDefaultCameleerConfig, StandardConfigProvider, } = require('../lib/cameleer/ConfigProvider')
 , { ConfigurableClassConfigSchema } = require('../meta/schemas')
-, { SubClassRegister } = require('../tools/SubClassRegister');
+, { SubClassRegister } = require('../tools/SubClassRegister')
+, { createFingerprint } = require('../tools/CreateFingerprint')
+, { BackoffRetrySchedule, BackoffRetryScheduler } = require('../tools/BackoffRetrySchedule')
+, { Interval, ManualSchedule, assertThrowsAsync } = require('sh.orchestration-tools');
 
 
 
@@ -51,6 +54,132 @@ describe('Tools', () => {
 
 
 
+describe('BackoffRetrySchedule', function() {
+  it('should compute exponential delays with jitter and validate its options', () => {
+    const brs = new BackoffRetrySchedule({ initialDelayMsecs: 100, maxDelayMsecs: 1000, factor: 3 });
+    assert.deepEqual([1, 2, 3, 4, 5].map(() => brs.nextDelay()), [100, 300, 900, 1000, 1000]);
+    assert.strictEqual(brs.maxNumTries, 5);
+    assert.isNull(brs.deadline);
+
+    brs.reset(new Date(0));
+    assert.strictEqual(brs.nextDelay(), 100);
+
+    const full = new BackoffRetrySchedule({ initialDelayMsecs: 100, maxDelayMsecs: 400, jitter: 'full' })
+    , decorrelated = new BackoffRetrySchedule({ initialDelayMsecs: 100, maxDelayMsecs: 400, jitter: 'decorrelated' });
+    for (let i = 0; i < 20; i++) {
+      assert.isAtMost(full.nextDelay(), 400);
+      const delay = decorrelated.nextDelay();
+      assert.isAtLeast(delay, 100);
+      assert.isAtMost(delay, 400);
+    }
+
+    const prelim = [...new BackoffRetrySchedule({ initialDelayMsecs: 10, maxNumTries: 10, deadlineMsecs: 100, tryRightAway: true })
+      .preliminaryEvents(new Date(0), new Date(1000))];
+    assert.deepEqual(prelim.map(p => +p.dateTime), [0, 10, 30, 70]);
+
+    [
+      { initialDelayMsecs: 0 }, { initialDelayMsecs: 100, maxDelayMsecs: 50 }, { factor: 0.5 },
+      { jitter: 'foo' }, { deadlineMsecs: 0 }
+    ].forEach(options => {
+      assert.throws(() => new BackoffRetrySchedule(options), Error, void 0, JSON.stringify(options));
+    });
+  });
+
+  it('should drain after its last retry or once its deadline passed', async function() {
+    const scheduler = new BackoffRetryScheduler()
+    , brs = new BackoffRetrySchedule({ initialDelayMsecs: 5, maxNumTries: 3, tryRightAway: true })
+    , numTries = [];
+
+    await new Promise(resolve => {
+      scheduler.addSchedule(brs);
+      scheduler.getObservableForSchedule(brs).subscribe(evt => numTries.push(evt.scheduleItem), null, resolve);
+    });
+    assert.deepEqual(numTries, [1, 2, 3]);
+    scheduler.removeSchedule(brs);
+
+    // It is reset when it is added again, and the deadline does not allow a single retry:
+    const brs2 = new BackoffRetrySchedule({ initialDelayMsecs: 50, maxNumTries: -1, deadlineMsecs: 20 });
+    await new Promise(resolve => {
+      scheduler.addSchedule(brs2);
+      scheduler.getObservableForSchedule(brs2).subscribe(() => numTries.push(0), null, resolve);
+    });
+    assert.deepEqual(numTries, [1, 2, 3]);
+    assert.deepEqual(scheduler.removeAllSchedules(), [brs2]);
+  });
+
+  it('should be usable as the schedule of failed functional tasks', async function() {
+    this.timeout(5000);
+
+    let numCalls = 0;
+    const c = new Cameleer(new StandardConfigProvider(camConf, [{
+      name: 'flaky',
+      schedule: new ManualSchedule(),
+      allowMultiple: true,
+      tasks: [{
+        canFail: { schedule: () => new BackoffRetrySchedule({ initialDelayMsecs: 5, maxNumTries: 3 }) },
+        func: async job => {
+          if (++numCalls < 3 || !job.args[0]) {
+            throw new Error('Flaky');
+          }
+          return numCalls;
+        }
+      }]
+    }]));
+
+    try {
+      await c.loadTasks();
+      c.run();
+
+      const job = await c.triggerTask('flaky', { args: [true] });
+      assert.strictEqual((await job.donePromise).value, 3);
+
+      // The schedule drains after three retries, so that the task finally fails:
+      numCalls = 0;
+      const failing = await c.triggerTask('flaky', { args: [false] });
+      await assertThrowsAsync(async() => await failing.donePromise);
+      assert.strictEqual(numCalls, 4);
+    } finally {
+      await c.shutdown();
+    }
+  });
+});
+
+
+
+describe('createFingerprint', function() {
+  it('should create equal fingerprints for structurally equal values', done => {
+    const create = (msecs = 500) => ({
+      name: 'foo',
+      schedule: new Interval(msecs),
+      tasks: [async() => 42],
+      nested: { b: [1, '2', null, void 0], a: new Date(0) }
+    });
+
+    assert.strictEqual(createFingerprint(create()), createFingerprint(create()));
+    assert.notEqual(createFingerprint(create()), createFingerprint(create(501)));
+
+    const other = create();
+    other.tasks = [async() => 43];
+    assert.notEqual(createFingerprint(create()), createFingerprint(other));
+
+    // The order of keys does not matter, but their values' types do:
+    assert.strictEqual(createFingerprint({ a: 1, b: 2 }), createFingerprint({ b: 2, a: 1 }));
+    assert.notEqual(createFingerprint({ a: 1 }), createFingerprint({ a: '1' }));
+
+    const circular = { a: 1 };
+    circular.self = circular;
+    assert.doesNotThrow(() => createFingerprint(circular));
+
+    // Live objects within instances are not descended into:
+    assert.strictEqual(
+      createFingerprint({ thisArg: process, schedule: create().schedule }),
+      createFingerprint({ thisArg: process, schedule: create().schedule }));
+
+    done();
+  });
+});
+
+
 describe('ConfigurableClass', function() {
   /** @type {Cameleer} */
   let cameleer = null;
@@ -0,0 +1,333 @@
+const { Schedule, ScheduleEvent, PreliminaryScheduleEvent, Scheduler } = require('sh.orchestration-tools')
+, { ReplaySubject } = require('rxjs')
+, { takeUntil } = require('rxjs/operators');
+
+
+const symbolBackoffRetryEvent = Symbol('backoffRetryEvent');
+
+/**
+ * @type {Set.<string>}
+ */
+const jitterTypes = new Set(['none', 'full', 'decorrelated']);
+
+
+/**
+ * A Schedule for recovery-work (see FunctionalTaskErrorConfig::schedule) that
+ * waits exponentially longer between retries: the n-th delay (starting with 0)
+ * is initialDelayMsecs * factor^n, capped at maxDelayMsecs. Jitter spreads out
+ * the retries of many tasks that failed at the same time ('full' picks a delay
+ * between 0 and the capped delay, 'decorrelated' picks one between
+ * initialDelayMsecs and three times the previous delay, also capped).
+ * 
+ * The Schedule drains once it triggered maxNumTries times, or if the next retry
+ * would happen after the deadline (counted from when it was added to its
+ * Scheduler). Its state is reset whenever it is added to a Scheduler, so that it
+ * can be re-used. Note that Schedules are shared by all RunAttempts that use the
+ * same instance at the same time; a factory (e.g. () => new BackoffRetrySchedule())
+ * gives each functional task its own sequence of retries.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class BackoffRetrySchedule extends Schedule {
+  /**
+   * @param {Object} [options] Optional.
+   * @param {number} [options.initialDelayMsecs] Optional. Defaults to 1000. The
+   * delay before the first retry (without jitter).
+   * @param {number} [options.maxDelayMsecs] Optional. Defaults to 60000.
+   * @param {number} [options.factor] Optional. Defaults to 2. Must be at least 1.
+   * @param {number} [options.maxNumTries] Optional. Defaults to 5. Use -1 for an
+   * unlimited amount of retries (then, a deadline should be given).
+   * @param {'none'|'full'|'decorrelated'} [options.jitter] Optional. Defaults to 'none'.
+   * @param {number} [options.deadlineMsecs] Optional. Defaults to null. If given,
+   * no retries are scheduled after this many milliseconds have passed.
+   * @param {boolean} [options.tryRightAway] Optional. Defaults to false. Whether to
+   * trigger the first retry right away (the delays then apply to the ones after).
+   * @param {boolean} [options.enabled] Optional. Defaults to true.
+   * @throws {Error} If any of the options is not valid.
+   */
+  constructor({
+    initialDelayMsecs = 1e3, maxDelayMsecs = 60e3, factor = 2, maxNumTries = 5,
+    jitter = 'none', deadlineMsecs = null, tryRightAway = false, enabled = true } = {}) {
+    super(enabled);
+
+    if (typeof initialDelayMsecs !== 'number' || isNaN(initialDelayMsecs) || initialDelayMsecs < 1) {
+      throw new Error(`The initial delay must be at least 1 millisecond.`);
+    }
+    if (typeof maxDelayMsecs !== 'number' || isNaN(maxDelayMsecs) || maxDelayMsecs < initialDelayMsecs) {
+      throw new Error(`The maximum delay must not be smaller than the initial delay.`);
+    }
+    if (typeof factor !== 'number' || isNaN(factor) || factor < 1) {
+      throw new Error(`The factor must be at least 1.`);
+    }
+    if (!jitterTypes.has(jitter)) {
+      throw new Error(`The jitter '${jitter}' is not valid. It must be one of ${[...jitterTypes].map(j => `'${j}'`).join(', ')}.`);
+    }
+    if (deadlineMsecs !== null && (typeof deadlineMsecs !== 'number' || isNaN(deadlineMsecs) || deadlineMsecs <= 0)) {
+      throw new Error(`The deadline must be a positive amount of milliseconds, or null.`);
+    }
+
+    this.initialDelayMsecs = initialDelayMsecs;
+    this.maxDelayMsecs = maxDelayMsecs;
+    this.factor = factor;
+    this.maxNumTries = maxNumTries < 0 ? Number.MAX_SAFE_INTEGER : Math.ceil(maxNumTries);
+    this.jitter = jitter;
+    this.deadlineMsecs = deadlineMsecs;
+    this.tryRightAway = !!tryRightAway;
+
+    this.numOccurred = 0;
+    /** @type {Date|null} */
+    this.startedAt = null;
+    /** @type {number} */
+    this._numDelays = 0;
+    /** @type {number} */
+    this._previousDelay = initialDelayMsecs;
+  };
+
+  /**
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.numOccurred >= this.maxNumTries;
+  };
+
+  /**
+   * @returns {Date|null} The date after which no more retries are scheduled, or
+   * null if there is no deadline (or the Schedule was not started yet).
+   */
+  get deadline() {
+    return this.deadlineMsecs === null || this.startedAt === null ? null :
+      new Date(+this.startedAt + this.deadlineMsecs);
+  };
+
+  /**
+   * Resets the state of this Schedule (called by its Scheduler when it is added).
+   * 
+   * @param {Date} [startedAt] Optional. Defaults to now.
+   * @returns {this}
+   */
+  reset(startedAt = new Date()) {
+    this.numOccurred = 0;
+    this.startedAt = startedAt;
+    this._numDelays = 0;
+    this._previousDelay = this.initialDelayMsecs;
+    return this;
+  };
+
+  /**
+   * @param {number} n The index of the delay (starting with 0).
+   * @returns {number} The delay without jitter.
+   */
+  _getCappedDelay(n) {
+    return Math.min(this.maxDelayMsecs, this.initialDelayMsecs * Math.pow(this.factor, n));
+  };
+
+  /**
+   * Computes the delay before the next retry and advances the sequence.
+   * 
+   * @returns {number} The delay in milliseconds.
+   */
+  nextDelay() {
+    const capped = this._getCappedDelay(this._numDelays++);
+    let delay = capped;
+
+    if (this.jitter === 'full') {
+      delay = Math.random() * capped;
+    } else if (this.jitter === 'decorrelated') {
+      const upper = Math.max(this.initialDelayMsecs, this._previousDelay * 3);
+      delay = Math.min(this.maxDelayMsecs,
+        this.initialDelayMsecs + Math.random() * (upper - this.initialDelayMsecs));
+    }
+
+    this._previousDelay = delay;
+    return Math.round(delay);
+  };
+
+  /**
+   * Jitter is not taken into account, i.e. the events are an approximation.
+   * 
+   * @inheritdoc
+   * @param {Date} after Required.
+   * @param {Date} before Required.
+   * @returns {IterableIterator.<PreliminaryScheduleEvent.<BackoffRetrySchedule, undefined>>}
+   */
+  *preliminaryEvents(after, before) {
+    if (!(after instanceof Date && before instanceof Date)) {
+      throw new Error('after and/or before must be Date objects. BackoffRetrySchedule does not support unbounded intervals.');
+    }
+    if (after > before) {
+      throw new Error('The Date for after happens after the Date for before.');
+    }
+
+    const deadline = this.deadlineMsecs === null ? Number.MAX_SAFE_INTEGER : +after + this.deadlineMsecs;
+    let triggers = this.numOccurred, n = 0, t = +after;
+
+    if (this.tryRightAway && triggers < this.maxNumTries) {
+      yield new PreliminaryScheduleEvent(after, this);
+      triggers++;
+    }
+
+    while (triggers < this.maxNumTries && (t += this._getCappedDelay(n++)) <= Math.min(+before, deadline)) {
+      yield new PreliminaryScheduleEvent(new Date(t), this);
+      triggers++;
+    }
+  };
+};
+
+
+/**
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class BackoffRetryEventSimple extends ScheduleEvent {
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   * @param {number} numTry The number of the retry (starting with 1).
+   */
+  constructor(schedule, numTry) {
+    super(schedule, numTry);
+  };
+};
+
+
+/**
+ * A Scheduler for BackoffRetrySchedules. It keeps one timeout per schedule. The
+ * Observable of a schedule (see getObservableForSchedule()) completes once the
+ * schedule drained, i.e. it has no more retries left or its deadline passed.
+ * Disabled schedules keep being scheduled, but do not emit events.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ */
+class BackoffRetryScheduler extends Scheduler {
+  constructor() {
+    super(symbolBackoffRetryEvent);
+
+    /** @type {Map.<BackoffRetrySchedule, { timeout: NodeJS.Timer, drained: ReplaySubject.<void> }>} */
+    this._states = new Map();
+  };
+
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   * @throws {Error} If the given schedule is not a BackoffRetrySchedule.
+   * @returns {boolean}
+   */
+  _isBackoffRetrySchedule(schedule) {
+    if (!(schedule instanceof BackoffRetrySchedule)) {
+      throw new Error('The given schedule is not an instance of BackoffRetrySchedule.');
+    }
+    return true;
+  };
+
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   */
+  _drain(schedule) {
+    const state = this._states.get(schedule);
+    state.timeout = null;
+    state.drained.next();
+    state.drained.complete();
+  };
+
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   * @param {number} delay
+   */
+  _scheduleNext(schedule, delay) {
+    const state = this._states.get(schedule)
+    , deadline = schedule.deadline;
+
+    if (schedule.isFinished || (deadline !== null && Date.now() + delay > +deadline)) {
+      this._drain(schedule);
+      return;
+    }
+
+    state.timeout = setTimeout(() => {
+      if (schedule.isEnabled) {
+        schedule.numOccurred++;
+        this.emit(symbolBackoffRetryEvent, new BackoffRetryEventSimple(schedule, schedule.numOccurred));
+      }
+      // It may have been removed by one of the subscribers:
+      if (this.hasSchedule(schedule)) {
+        this._scheduleNext(schedule, schedule.nextDelay());
+      }
+    }, delay);
+  };
+
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   * @returns {boolean}
+   */
+  hasSchedule(schedule) {
+    return this._isBackoffRetrySchedule(schedule) && this._states.has(schedule);
+  };
+
+  /**
+   * Adds the schedule and resets its state. If it tries right away, the first
+   * event is emitted asynchronously (so that it can be observed).
+   * 
+   * @param {BackoffRetrySchedule} schedule
+   * @returns {this}
+   */
+  addSchedule(schedule) {
+    if (this.hasSchedule(schedule)) {
+      throw new Error('This schedule has been added already.');
+    }
+
+    this._states.set(schedule, { timeout: null, drained: new ReplaySubject(1) });
+    schedule.reset();
+    this._scheduleNext(schedule, schedule.tryRightAway ? 0 : schedule.nextDelay());
+    return this;
+  };
+
+  /**
+   * @param {BackoffRetrySchedule} schedule
+   * @returns {this}
+   */
+  removeSchedule(schedule) {
+    if (!this.hasSchedule(schedule)) {
+      throw new Error('This schedule was not previously added.');
+    }
+
+    clearTimeout(this._states.get(schedule).timeout);
+    this._states.delete(schedule);
+    return this;
+  };
+
+  /**
+   * @returns {Array.<BackoffRetrySchedule>}
+   */
+  removeAllSchedules() {
+    const schedules = [...this._states.keys()];
+    schedules.forEach(s => this.removeSchedule(s));
+    return schedules;
+  };
+
+  /**
+   * Overridden, so that the returned Observable completes once the schedule drained.
+   * 
+   * @param {BackoffRetrySchedule} schedule
+   * @returns {Observable.<BackoffRetryEventSimple>}
+   */
+  getObservableForSchedule(schedule) {
+    const observable = super.getObservableForSchedule(schedule);
+    return this.hasSchedule(schedule) ?
+      observable.pipe(takeUntil(this._states.get(schedule).drained)) : observable;
+  };
+
+  /**
+   * @param {Date} after
+   * @param {Date} before
+   * @returns {IterableIterator.<PreliminaryScheduleEvent.<BackoffRetrySchedule, undefined>>}
+   */
+  *preliminaryEvents(after, before) {
+    for (const schedule of this._states.keys()) {
+      yield* schedule.preliminaryEvents(after, before);
+    }
+  };
+};
+
+
+module.exports = Object.freeze({
+  symbolBackoffRetryEvent,
+  BackoffRetrySchedule,
+  BackoffRetryEventSimple,
+  BackoffRetryScheduler
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+
+/**
+ * Recursively converts a value into a canonical, JSON-serializable representation.
+ * Functions are represented by their source, instances of classes by the name of
+ * their constructor and their public (i.e. not underscore-prefixed) properties.
+ * Objects (including Arrays) that are found within instances of classes are only
+ * represented by the name of their constructor, as those are usually live objects
+ * (e.g. the process or a logger) rather than configuration.
+ * 
+ * @param {any} value
+ * @param {Set.<any>} seen Objects that are currently being visited (to break cycles).
+ * @param {boolean} [withinInstance] Optional. Defaults to false. Whether the value
+ * is (indirectly) a property of an instance of a class.
+ * @returns {any}
+ */
+const canonicalize = (value, seen, withinInstance = false) => {
+  if (value === null || value === void 0) {
+    return `${value}`;
+  }
+
+  const type = typeof value;
+  if (type === 'function') {
+    return `function:${value.name}:${value.toString()}`;
+  } else if (type === 'symbol' || type === 'bigint') {
+    return `${type}:${value.toString()}`;
+  } else if (type !== 'object') {
+    return value;
+  } else if (value instanceof Date) {
+    return `date:${value.toISOString()}`;
+  } else if (value instanceof RegExp) {
+    return `regexp:${value.toString()}`;
+  } else if (seen.has(value)) {
+    return 'circular';
+  }
+
+  const proto = Object.getPrototypeOf(value)
+  , isPlain = proto === null || proto === Object.prototype || Array.isArray(value)
+  , ctor = proto === null ? 'Object' : `${value.constructor && value.constructor.name}`;
+
+  if (withinInstance) {
+    return `object:${ctor}`;
+  }
+
+  seen.add(value);
+  try {
+    if (Array.isArray(value)) {
+      return value.map(v => canonicalize(v, seen));
+    }
+
+    const keys = Object.keys(value).filter(k => isPlain || !k.startsWith('_')).sort();
+    return {
+      ctor,
+      props: keys.map(k => [k, canonicalize(value[k], seen, !isPlain)])
+    };
+  } finally {
+    seen.delete(value);
+  }
+};
+
+
+/**
+ * Creates a fingerprint of an arbitrary value, such as a TaskConfig. Two values
+ * that are structurally equal (including the source of their functions) have the
+ * same fingerprint, even if they are not the same objects.
+ * 
+ * @author Sebastian Hönel <development@hoenel.net>
+ * 
+ * @param {any} value
+ * @returns {string} The fingerprint as hexadecimal string.
+ */
+const createFingerprint = value => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(canonicalize(value, new Set())))
+    .digest('hex');
+};
+
+
+module.exports = Object.freeze({
+  createFingerprint
+});